@@ -6,801 +6,7931 @@ import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/
 import {
   CallToolRequestSchema,
   ErrorCode,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
   ListToolsRequestSchema,
   McpError,
+  ReadResourceRequestSchema,
 } from '@modelcontextprotocol/sdk/types.js';
 import { execSync } from 'node:child_process';
+import { createHash, randomUUID } from 'node:crypto';
+import { appendFileSync, existsSync, mkdirSync, readdirSync, readFileSync, realpathSync, renameSync, statSync, writeFileSync } from 'node:fs';
+import { createRequire } from 'node:module';
+import { homedir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
 import express from 'express';
 
-class SwissEphemerisServer {
-  constructor() {
-    this.server = new Server(
-      {
-        name: 'swiss-ephemeris-mcp-server',
-        version: '1.0.0',
-      },
-      {
-        capabilities: {
-          tools: {},
-        },
-      }
-    );
+// swetest house system letters (-house<lon>,<lat>,<letter>)
+const HOUSE_SYSTEMS = {
+  'placidus': 'P',
+  'koch': 'K',
+  'whole_sign': 'W',
+  'equal': 'E',
+  'equal_mc': 'D',
+  'porphyry': 'O',
+  'regiomontanus': 'R',
+  'campanus': 'C',
+  'alcabitius': 'B',
+  'topocentric': 'T',
+  'morinus': 'M',
+  'meridian': 'X',
+  'vehlow': 'V',
+  'krusinski': 'U',
+  'azimuthal': 'H'
+};
 
-    this.setupToolHandlers();
-  }
+// House systems that are undefined inside the polar circles
+const POLAR_UNSAFE_HOUSE_SYSTEMS = ['placidus', 'koch'];
 
-  setupToolHandlers() {
-    this.server.setRequestHandler(ListToolsRequestSchema, async () => {
-      return {
-        tools: [
-          {
-            name: 'calculate_planetary_positions',
-            description: 'Calculate planetary positions, houses, chart points and asteroids for a given datetime and coordinates',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                datetime: {
-                  type: 'string',
-                  description: 'ISO8601 datetime, e.g., 1985-04-12T23:20:50Z',
-                },
-                latitude: {
-                  type: 'number',
-                  description: 'Latitude in decimal degrees',
-                },
-                longitude: {
-                  type: 'number',
-                  description: 'Longitude in decimal degrees, positive east',
-                },
-              },
-              required: ['datetime', 'latitude', 'longitude'],
-            },
-          },
-          {
-            name: 'calculate_transits',
-            description: 'Calculate birth chart positions and current transits for comparison. Returns both natal chart and current planetary positions.',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                birth_datetime: {
-                  type: 'string',
-                  description: 'Birth datetime in ISO8601 format, e.g., 1985-04-12T23:20:50Z',
-                },
-                latitude: {
-                  type: 'number',
-                  description: 'Birth latitude in decimal degrees',
-                },
-                longitude: {
-                  type: 'number',
-                  description: 'Birth longitude in decimal degrees, positive east',
-                },
-              },
-              required: ['birth_datetime', 'latitude', 'longitude'],
-            },
-          },
-          {
-            name: 'calculate_solar_revolution',
-            description: 'Calculate solar return chart for a specific year. The solar return occurs when the Sun returns to the exact same position as at birth.',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                birth_datetime: {
-                  type: 'string',
-                  description: 'Birth datetime in ISO8601 format, e.g., 1985-04-12T23:20:50Z',
-                },
-                birth_latitude: {
-                  type: 'number',
-                  description: 'Birth latitude in decimal degrees',
-                },
-                birth_longitude: {
-                  type: 'number',
-                  description: 'Birth longitude in decimal degrees, positive east',
-                },
-                return_year: {
-                  type: 'number',
-                  description: 'Year for the solar return calculation, e.g., 2024',
-                },
-                return_latitude: {
-                  type: 'number',
-                  description: 'Latitude for solar return location (optional, defaults to birth location)',
-                },
-                return_longitude: {
-                  type: 'number',
-                  description: 'Longitude for solar return location (optional, defaults to birth location)',
-                },
-              },
-              required: ['birth_datetime', 'birth_latitude', 'birth_longitude', 'return_year'],
-            },
-          },
-          {
-            name: 'calculate_synastry',
-            description: 'Calculate synastry chart between two people for relationship compatibility analysis. Compares planetary positions and calculates aspects between the charts.',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                person1_datetime: {
-                  type: 'string',
-                  description: 'Person 1 birth datetime in ISO8601 format, e.g., 1985-04-12T23:20:50Z',
-                },
-                person1_latitude: {
-                  type: 'number',
-                  description: 'Person 1 birth latitude in decimal degrees',
-                },
-                person1_longitude: {
-                  type: 'number',
-                  description: 'Person 1 birth longitude in decimal degrees, positive east',
-                },
-                person2_datetime: {
-                  type: 'string',
-                  description: 'Person 2 birth datetime in ISO8601 format, e.g., 1990-08-25T14:30:00Z',
-                },
-                person2_latitude: {
-                  type: 'number',
-                  description: 'Person 2 birth latitude in decimal degrees',
-                },
-                person2_longitude: {
-                  type: 'number',
-                  description: 'Person 2 birth longitude in decimal degrees, positive east',
-                },
-              },
-              required: ['person1_datetime', 'person1_latitude', 'person1_longitude', 'person2_datetime', 'person2_latitude', 'person2_longitude'],
-            },
-          },
-        ],
-      };
-    });
+// swetest sidereal modes (-sid<number>)
+const AYANAMSAS = {
+  'fagan_bradley': 0,
+  'lahiri': 1,
+  'deluce': 2,
+  'raman': 3,
+  'ushashashi': 4,
+  'krishnamurti': 5,
+  'djwhal_khul': 6,
+  'yukteshwar': 7,
+  'jn_bhasin': 8,
+  'babylonian_kugler': 9,
+  'hipparchos': 16,
+  'galactic_center': 17,
+  'true_chitra': 27,
+  'true_revati': 28,
+  'true_pushya': 29
+};
 
-    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
-      const { name, arguments: args } = request.params;
+// Aspect angles and default orbs in degrees. Minor aspects include the harmonic series
+// (quintile family for H5, septile for H7, novile for H9).
+const ASPECTS = {
+  'conjunction': { angle: 0, orb: 8, type: 'major' },
+  'opposition': { angle: 180, orb: 8, type: 'major' },
+  'trine': { angle: 120, orb: 8, type: 'major' },
+  'square': { angle: 90, orb: 7, type: 'major' },
+  'sextile': { angle: 60, orb: 6, type: 'major' },
+  'quincunx': { angle: 150, orb: 3, type: 'minor' },
+  'semisextile': { angle: 30, orb: 2, type: 'minor' },
+  'semisquare': { angle: 45, orb: 2, type: 'minor' },
+  'sesquiquadrate': { angle: 135, orb: 2, type: 'minor' },
+  'quintile': { angle: 72, orb: 2, type: 'minor' },
+  'biquintile': { angle: 144, orb: 2, type: 'minor' },
+  'septile': { angle: 360 / 7, orb: 1, type: 'minor' },
+  'novile': { angle: 40, orb: 1, type: 'minor' }
+};
 
-      try {
-        const result = await this.handleToolCall(name, args);
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify(result, null, 2),
-            },
-          ],
-        };
-      } catch (error) {
-        if (error instanceof McpError) {
-          throw error;
-        }
-        throw new McpError(
-          ErrorCode.InternalError,
-          `Tool execution failed: ${error.message}`
-        );
-      }
-    });
-  }
+const DEFAULT_ASPECTS = ['conjunction', 'opposition', 'trine', 'square', 'sextile', 'quincunx'];
 
-  formatDateToSwiss(date) {
-    // Format date as DD.MM.YYYY using UTC components
-    const day = String(date.getUTCDate()).padStart(2, '0');
-    const month = String(date.getUTCMonth() + 1).padStart(2, '0');
-    const year = date.getUTCFullYear();
-    return `${day}.${month}.${year}`;
-  }
+// Bodies counted towards a stellium
+const STELLIUM_PLANETS = ['Sun', 'Moon', 'Mercury', 'Venus', 'Mars', 'Jupiter', 'Saturn', 'Uranus', 'Neptune', 'Pluto'];
 
-  formatTimeToSwiss(date) {
-    // Format time as HH:MM:SS using UTC components
-    const hours = String(date.getUTCHours()).padStart(2, '0');
-    const minutes = String(date.getUTCMinutes()).padStart(2, '0');
-    const seconds = String(date.getUTCSeconds()).padStart(2, '0');
-    return `${hours}:${minutes}:${seconds}`;
-  }
+// Default transiting bodies for transit timelines; the Moon is opt-in since it aspects everything monthly
+const TRANSITING_BODIES = ['Sun', 'Mercury', 'Venus', 'Mars', 'Jupiter', 'Saturn', 'Uranus', 'Neptune', 'Pluto'];
 
-  parsePlanetLine(line) {
-    // Parse planet position line from swetest output
-    // Format: "Sun            ,22 le 53'51.2332" or "Moon           , 2 cp 21' 3.2731"
-    const parts = line.trim().split(',');
-    if (parts.length < 2) return null;
+// The 15 Behenian stars plus the four royal stars (Aldebaran, Regulus, Antares, Fomalhaut)
+const DEFAULT_FIXED_STARS = [
+  'Algol', 'Alcyone', 'Aldebaran', 'Capella', 'Sirius', 'Procyon', 'Regulus', 'Alkaid',
+  'Algorab', 'Spica', 'Arcturus', 'Alphecca', 'Antares', 'Vega', 'Deneb Algedi', 'Fomalhaut'
+];
 
-    const name = parts[0].trim();
-    const positionStr = parts[1].trim();
-    
-    // Parse position like "22 le 53'51.2332" or "2 cp 21' 3.2731" (note space after apostrophe)
-    const posMatch = positionStr.match(/^(\d+)\s+([a-z]{2})\s+(\d+)'\s*([\d.]+)$/i);
-    if (!posMatch) return null;
+// IAU constellation abbreviations used in the nomenclature field of sefstars.txt
+const CONSTELLATIONS = {
+  And: 'Andromeda', Ant: 'Antlia', Aps: 'Apus', Aqr: 'Aquarius', Aql: 'Aquila', Ara: 'Ara', Ari: 'Aries',
+  Aur: 'Auriga', Boo: 'Bootes', Cae: 'Caelum', Cam: 'Camelopardalis', Cnc: 'Cancer', CVn: 'Canes Venatici',
+  CMa: 'Canis Major', CMi: 'Canis Minor', Cap: 'Capricornus', Car: 'Carina', Cas: 'Cassiopeia',
+  Cen: 'Centaurus', Cep: 'Cepheus', Cet: 'Cetus', Cha: 'Chamaeleon', Cir: 'Circinus', Col: 'Columba',
+  Com: 'Coma Berenices', CrA: 'Corona Australis', CrB: 'Corona Borealis', Crv: 'Corvus', Crt: 'Crater',
+  Cru: 'Crux', Cyg: 'Cygnus', Del: 'Delphinus', Dor: 'Dorado', Dra: 'Draco', Equ: 'Equuleus',
+  Eri: 'Eridanus', For: 'Fornax', Gem: 'Gemini', Gru: 'Grus', Her: 'Hercules', Hor: 'Horologium',
+  Hya: 'Hydra', Hyi: 'Hydrus', Ind: 'Indus', Lac: 'Lacerta', Leo: 'Leo', LMi: 'Leo Minor', Lep: 'Lepus',
+  Lib: 'Libra', Lup: 'Lupus', Lyn: 'Lynx', Lyr: 'Lyra', Men: 'Mensa', Mic: 'Microscopium',
+  Mon: 'Monoceros', Mus: 'Musca', Nor: 'Norma', Oct: 'Octans', Oph: 'Ophiuchus', Ori: 'Orion',
+  Pav: 'Pavo', Peg: 'Pegasus', Per: 'Perseus', Phe: 'Phoenix', Pic: 'Pictor', Psc: 'Pisces',
+  PsA: 'Piscis Austrinus', Pup: 'Puppis', Pyx: 'Pyxis', Ret: 'Reticulum', Sge: 'Sagitta',
+  Sgr: 'Sagittarius', Sco: 'Scorpius', Scl: 'Sculptor', Sct: 'Scutum', Ser: 'Serpens', Sex: 'Sextans',
+  Tau: 'Taurus', Tel: 'Telescopium', Tri: 'Triangulum', TrA: 'Triangulum Australe', Tuc: 'Tucana',
+  UMa: 'Ursa Major', UMi: 'Ursa Minor', Vel: 'Vela', Vir: 'Virgo', Vol: 'Volans', Vul: 'Vulpecula'
+};
 
-    const degrees = parseInt(posMatch[1]);
-    const signAbbr = posMatch[2].toLowerCase();
-    const minutes = parseInt(posMatch[3]);
-    const seconds = parseFloat(posMatch[4]);
+// Bodies checked for parans with fixed stars
+const PARAN_BODIES = ['Sun', 'Moon', 'Mercury', 'Venus', 'Mars', 'Jupiter', 'Saturn', 'Uranus', 'Neptune', 'Pluto'];
 
-    // Map sign abbreviations to full names and calculate longitude
-    const signMap = {
-      'ar': { name: 'Aries', offset: 0 },
-      'ta': { name: 'Taurus', offset: 30 },
-      'ge': { name: 'Gemini', offset: 60 },
-      'cn': { name: 'Cancer', offset: 90 },
-      'le': { name: 'Leo', offset: 120 },
-      'vi': { name: 'Virgo', offset: 150 },
-      'li': { name: 'Libra', offset: 180 },
-      'sc': { name: 'Scorpio', offset: 210 },
-      'sa': { name: 'Sagittarius', offset: 240 },
-      'cp': { name: 'Capricorn', offset: 270 },
-      'aq': { name: 'Aquarius', offset: 300 },
-      'pi': { name: 'Pisces', offset: 330 }
-    };
+// Optional bodies selectable through extra_bodies, by swetest planet letter. Minor planets are
+// requested by number instead (-ps -xs<number>) and need their se1 file in SE_EPHE_PATH.
+const EXTRA_BODIES = {
+  'Osculating Lilith': 'B',
+  'Interpolated Lilith': 'c',
+  'Interpolated Perigee': 'g',
+  'Pholus': 'E',
+  'Cupido': 'J',
+  'Hades': 'K',
+  'Zeus': 'L',
+  'Kronos': 'M',
+  'Apollon': 'N',
+  'Admetos': 'O',
+  'Vulkanus': 'P',
+  'Poseidon': 'Q',
+  'Transpluto': 'R'
+};
 
-    const signInfo = signMap[signAbbr];
-    if (!signInfo) return null;
+// swetest body codes and scan settings for return searches. windowDays covers one full
+// geocentric cycle including retrograde loops; stepDays keeps each scan to one swetest process.
+const RETURN_BODIES = {
+  'Sun': { code: '0', windowDays: 370, stepDays: 1 },
+  'Moon': { code: '1', windowDays: 30, stepDays: 1 },
+  'Mercury': { code: '2', windowDays: 420, stepDays: 1 },
+  'Venus': { code: '3', windowDays: 600, stepDays: 1 },
+  'Mars': { code: '4', windowDays: 900, stepDays: 2 },
+  'Jupiter': { code: '5', windowDays: 4700, stepDays: 5 },
+  'Saturn': { code: '6', windowDays: 11200, stepDays: 10 },
+  'Uranus': { code: '7', windowDays: 31500, stepDays: 20 },
+  'Neptune': { code: '8', windowDays: 61000, stepDays: 30 },
+  'Pluto': { code: '9', windowDays: 92000, stepDays: 30 },
+  'Chiron': { code: 'D', windowDays: 19500, stepDays: 15 },
+  'North Node': { code: 't', windowDays: 7000, stepDays: 5 }
+};
 
-    // Calculate total longitude in degrees
-    const longitude = signInfo.offset + degrees + (minutes / 60) + (seconds / 3600);
+// Datetime arguments that accept local civil time, with the argument naming their time zone and
+// the longitude arguments (first one present) used for local mean time
+const DATETIME_ARGUMENTS = {
+  datetime: { timezone: 'timezone', longitude: ['longitude'] },
+  birth_datetime: { timezone: 'birth_timezone', longitude: ['birth_longitude', 'longitude'] },
+  transit_datetime: { timezone: 'transit_timezone', longitude: ['transit_longitude', 'longitude'] },
+  person1_datetime: { timezone: 'person1_timezone', longitude: ['person1_longitude'] },
+  person2_datetime: { timezone: 'person2_timezone', longitude: ['person2_longitude'] },
+  outer_datetime: { timezone: 'outer_timezone', longitude: ['outer_longitude', 'longitude'] },
+  start_date: { timezone: 'timezone', longitude: ['longitude'] },
+  end_date: { timezone: 'timezone', longitude: ['longitude'] },
+  start_datetime: { timezone: 'timezone', longitude: ['return_longitude', 'birth_longitude'] },
+  target_date: { timezone: 'timezone', longitude: ['longitude'] },
+  progression_date: { timezone: 'timezone', longitude: ['longitude'] }
+};
 
-    return {
-      name,
-      longitude,
-      sign: signInfo.name,
-      degree: Math.round((degrees + (minutes / 60) + (seconds / 3600)) * 100) / 100
-    };
-  }
+// First day of the Gregorian calendar; swetest reads earlier dates as Julian calendar dates
+const GREGORIAN_REFORM = Date.UTC(1582, 9, 15);
 
-  parseHouseLine(line) {
-    // Parse house cusp line from swetest output
-    // Format: "house  1       ,13 cn 39'52.5152"
-    const parts = line.trim().split(',');
-    if (parts.length < 2) return null;
+// Years accepted in datetime arguments: the span the Swiss Ephemeris files cover (13201 BC to
+// AD 17191). The vendored files cover 1800-2400; other years need more files in SE_EPHE_PATH.
+const MIN_DATETIME_YEAR = -13200;
+const MAX_DATETIME_YEAR = 17190;
 
-    const houseMatch = parts[0].trim().match(/^house\s+(\d+)/);
-    if (!houseMatch) return null;
+// generate_ephemeris step sizes as swetest -s arguments; months are calendar months
+const EPHEMERIS_STEPS = {
+  hourly: '1h',
+  daily: '1',
+  weekly: '7',
+  monthly: '1mo'
+};
 
-    const house = parseInt(houseMatch[1]);
-    const positionStr = parts[1].trim();
-    
-    // Parse position like "13 cn 39'52.5152" (allow optional spaces after apostrophe)
-    const posMatch = positionStr.match(/^(\d+)\s+([a-z]{2})\s+(\d+)'\s*([\d.]+)$/i);
-    if (!posMatch) return null;
+// Rows per generate_ephemeris call, to keep responses a reasonable size
+const MAX_EPHEMERIS_ROWS = 2000;
 
-    const degrees = parseInt(posMatch[1]);
-    const signAbbr = posMatch[2].toLowerCase();
-    const minutes = parseInt(posMatch[3]);
-    const seconds = parseFloat(posMatch[4]);
+// Synastry orbs in degrees, wider than ASPECTS since two separate charts are compared
+const SYNASTRY_ORBS = {
+  conjunction: 8,
+  opposition: 8,
+  trine: 8,
+  square: 8,
+  sextile: 6,
+  quincunx: 3,
+  semisextile: 3
+};
 
-    // Map sign abbreviations to full names and calculate longitude
-    const signMap = {
-      'ar': { name: 'Aries', offset: 0 },
-      'ta': { name: 'Taurus', offset: 30 },
-      'ge': { name: 'Gemini', offset: 60 },
-      'cn': { name: 'Cancer', offset: 90 },
-      'le': { name: 'Leo', offset: 120 },
-      'vi': { name: 'Virgo', offset: 150 },
-      'li': { name: 'Libra', offset: 180 },
-      'sc': { name: 'Scorpio', offset: 210 },
-      'sa': { name: 'Sagittarius', offset: 240 },
-      'cp': { name: 'Capricorn', offset: 270 },
-      'aq': { name: 'Aquarius', offset: 300 },
-      'pi': { name: 'Pisces', offset: 330 }
-    };
+// Default synastry compatibility model. Every section can be replaced key by key from the JSON
+// file named by SYNASTRY_SCORING_CONFIG and then by the caller's scoring_weights. A contact
+// scores aspect weight × both point weights × pair weight × tightness^orb_exponent, where
+// tightness is 1 at exact and 0 at the edge of the orb. Categories total the contacts that
+// involve at least one of their points. The orbs also decide which contacts are found at all.
+const DEFAULT_SYNASTRY_SCORING = {
+  aspect_weights: {
+    conjunction: 3,
+    trine: 2,
+    sextile: 1.5,
+    semisextile: 0.5,
+    quincunx: -0.5,
+    square: -2,
+    opposition: -1.5
+  },
+  point_weights: {
+    Sun: 1.5,
+    Moon: 1.5,
+    Venus: 1.3,
+    Mars: 1.2,
+    Ascendant: 1.2,
+    Mercury: 1,
+    Jupiter: 1,
+    Saturn: 1,
+    Midheaven: 0.8,
+    'North Node': 0.8,
+    Uranus: 0.7,
+    Neptune: 0.7,
+    Pluto: 0.7,
+    Chiron: 0.6
+  },
+  default_point_weight: 0.5,
+  pair_weights: {
+    'Sun-Moon': 2,
+    'Venus-Mars': 2,
+    'Moon-Moon': 1.5,
+    'Moon-Venus': 1.5,
+    'Sun-Venus': 1.5,
+    'Sun-Ascendant': 1.3,
+    'Moon-Ascendant': 1.3,
+    'Mercury-Mercury': 1.2,
+    'Saturn-Sun': 1.2,
+    'Saturn-Moon': 1.2,
+    'Saturn-Venus': 1.2
+  },
+  orb_exponent: 1,
+  categories: {
+    attraction: ['Venus', 'Mars'],
+    emotional: ['Moon', 'Venus'],
+    identity: ['Sun', 'Ascendant'],
+    communication: ['Mercury'],
+    growth: ['Jupiter'],
+    commitment: ['Saturn'],
+    transformation: ['Uranus', 'Neptune', 'Pluto'],
+    destiny: ['North Node', 'Chiron']
+  },
+  orbs: SYNASTRY_ORBS
+};
 
-    const signInfo = signMap[signAbbr];
-    if (!signInfo) return null;
+const SKY_EVENT_TYPES = ['ingresses', 'stations', 'lunations', 'void_of_course', 'mutual_aspects'];
 
-    // Calculate total longitude in degrees
-    const longitude = signInfo.offset + degrees + (minutes / 60) + (seconds / 3600);
+// rectify_birth_time defaults: hard aspects to the candidate angles, weighted by technique (directions
+// and progressions are the classic timing tools) and by aspect
+const RECTIFICATION_ASPECTS = ['conjunction', 'opposition', 'square'];
+const RECTIFICATION_TECHNIQUES = { transit: 1, progression: 1.5, solar_arc: 2 };
+const RECTIFICATION_ASPECT_WEIGHTS = { conjunction: 1, opposition: 1, square: 0.75 };
+const RECTIFICATION_TRANSITS = ['Mars', 'Jupiter', 'Saturn', 'Uranus', 'Neptune', 'Pluto', 'North Node'];
+const RECTIFICATION_PROGRESSED = ['Sun', 'Moon', 'Mercury', 'Venus', 'Mars'];
+const MAX_RECTIFICATION_CANDIDATES = 721;
 
-    return {
-      house,
-      longitude,
-      sign: signInfo.name,
-      degree: Math.round((degrees + (minutes / 60) + (seconds / 3600)) * 100) / 100
-    };
-  }
+// Charts kept by the chart cache unless CHART_CACHE_SIZE is set
+const DEFAULT_CHART_CACHE_SIZE = 500;
 
-  parseChartPointLine(line) {
-    // Parse chart point line from swetest output
-    // Format: "Ascendant      ,13 cn 39'52.5152"
-    const parts = line.trim().split(',');
-    if (parts.length < 2) return null;
+// Part of every chart cache key; bump it when the chart shape changes so persisted charts are not reused
+const CHART_CACHE_VERSION = 2;
 
-    const name = parts[0].trim();
-    const positionStr = parts[1].trim();
-    
-    // Parse position like "13 cn 39'52.5152" (allow optional spaces after apostrophe)
-    const posMatch = positionStr.match(/^(\d+)\s+([a-z]{2})\s+(\d+)'\s*([\d.]+)$/i);
-    if (!posMatch) return null;
+// Birth records accepted by calculate_charts_batch
+const MAX_BATCH_CHARTS = 20;
 
-    const degrees = parseInt(posMatch[1]);
-    const signAbbr = posMatch[2].toLowerCase();
-    const minutes = parseInt(posMatch[3]);
-    const seconds = parseFloat(posMatch[4]);
+// Tools that manage saved profiles; they keep datetimes as entered instead of converting them to UTC
+const PROFILE_TOOLS = ['save_profile', 'list_profiles', 'update_profile', 'delete_profile'];
 
-    // Map sign abbreviations to full names and calculate longitude
-    const signMap = {
-      'ar': { name: 'Aries', offset: 0 },
-      'ta': { name: 'Taurus', offset: 30 },
-      'ge': { name: 'Gemini', offset: 60 },
-      'cn': { name: 'Cancer', offset: 90 },
-      'le': { name: 'Leo', offset: 120 },
-      'vi': { name: 'Virgo', offset: 150 },
-      'li': { name: 'Libra', offset: 180 },
-      'sc': { name: 'Scorpio', offset: 210 },
-      'sa': { name: 'Sagittarius', offset: 240 },
-      'cp': { name: 'Capricorn', offset: 270 },
-      'aq': { name: 'Aquarius', offset: 300 },
-      'pi': { name: 'Pisces', offset: 330 }
-    };
+// Profile IDs: lowercase letters, digits and hyphens, also used in resource URIs
+const PROFILE_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,63}$/;
 
-    const signInfo = signMap[signAbbr];
-    if (!signInfo) return null;
+// Profile arguments per tool and the datetime, latitude and longitude arguments each stands in for.
+// rectify_birth_time takes the local birth date (and the profile's time zone) instead of a datetime.
+const BIRTH_ARGUMENTS = ['datetime', 'latitude', 'longitude'];
+const NATAL_ARGUMENTS = ['birth_datetime', 'latitude', 'longitude'];
+const BIRTH_PLACE_ARGUMENTS = ['birth_datetime', 'birth_latitude', 'birth_longitude'];
+const PROFILE_ARGUMENTS = {
+  calculate_planetary_positions: { profile_id: BIRTH_ARGUMENTS },
+  calculate_fixed_stars: { profile_id: BIRTH_ARGUMENTS },
+  calculate_natal_aspects: { profile_id: BIRTH_ARGUMENTS },
+  calculate_transits: { profile_id: NATAL_ARGUMENTS },
+  calculate_transit_timeline: { profile_id: NATAL_ARGUMENTS },
+  find_eclipses: { profile_id: BIRTH_PLACE_ARGUMENTS },
+  calculate_progressions: { profile_id: NATAL_ARGUMENTS },
+  calculate_solar_revolution: { profile_id: BIRTH_PLACE_ARGUMENTS },
+  calculate_planetary_return: { profile_id: BIRTH_PLACE_ARGUMENTS },
+  calculate_composite: {
+    person1_profile_id: ['person1_datetime', 'person1_latitude', 'person1_longitude'],
+    person2_profile_id: ['person2_datetime', 'person2_latitude', 'person2_longitude']
+  },
+  calculate_synastry: {
+    person1_profile_id: ['person1_datetime', 'person1_latitude', 'person1_longitude'],
+    person2_profile_id: ['person2_datetime', 'person2_latitude', 'person2_longitude']
+  },
+  rectify_birth_time: { profile_id: ['birth_date', 'latitude', 'longitude'] },
+  render_chart_wheel: {
+    profile_id: BIRTH_ARGUMENTS,
+    outer_profile_id: ['outer_datetime', 'outer_latitude', 'outer_longitude']
+  },
+  calculate_astrocartography: { profile_id: NATAL_ARGUMENTS },
+  calculate_relocated_chart: { profile_id: NATAL_ARGUMENTS },
+  calculate_dignities: { profile_id: BIRTH_ARGUMENTS },
+  calculate_time_lords: { profile_id: NATAL_ARGUMENTS },
+  calculate_vedic_chart: { profile_id: BIRTH_ARGUMENTS },
+  calculate_midpoints_and_harmonics: { profile_id: BIRTH_ARGUMENTS }
+};
+const MAX_RECTIFICATION_EVENTS = 50;
 
-    // Calculate total longitude in degrees
-    const longitude = signInfo.offset + degrees + (minutes / 60) + (seconds / 3600);
+const SIGNS = ['Aries', 'Taurus', 'Gemini', 'Cancer', 'Leo', 'Virgo', 'Libra', 'Scorpio', 'Sagittarius', 'Capricorn', 'Aquarius', 'Pisces'];
 
-    return {
-      name,
-      longitude,
-      sign: signInfo.name,
-      degree: Math.round((degrees + (minutes / 60) + (seconds / 3600)) * 100) / 100
-    };
-  }
+// The seven traditional planets in Chaldean order (slowest first); faces and firdaria sub-periods follow it
+const CHALDEAN_ORDER = ['Saturn', 'Jupiter', 'Mars', 'Sun', 'Venus', 'Mercury', 'Moon'];
 
-  calculateEphemeris(datetime, latitude, longitude) {
-    try {
-      const date = new Date(datetime);
-      if (isNaN(date.getTime())) {
-        throw new Error('Invalid datetime format. Use ISO8601 format like 1985-04-12T23:20:50Z');
-      }
+// Essential dignities by sign index. Triplicities are Dorothean (day, night, participating);
+// terms are the Egyptian bounds as [ruler, end degree].
+const DOMICILE_RULERS = ['Mars', 'Venus', 'Mercury', 'Moon', 'Sun', 'Mercury', 'Venus', 'Mars', 'Jupiter', 'Saturn', 'Saturn', 'Jupiter'];
+const EXALTATIONS = { Sun: [0, 19], Moon: [1, 3], Mercury: [5, 15], Venus: [11, 27], Mars: [9, 28], Jupiter: [3, 15], Saturn: [6, 21] };
+const TRIPLICITY_RULERS = [
+  ['Sun', 'Jupiter', 'Saturn'],
+  ['Venus', 'Moon', 'Mars'],
+  ['Saturn', 'Mercury', 'Jupiter'],
+  ['Venus', 'Mars', 'Moon']
+];
+const EGYPTIAN_TERMS = [
+  [['Jupiter', 6], ['Venus', 12], ['Mercury', 20], ['Mars', 25], ['Saturn', 30]],
+  [['Venus', 8], ['Mercury', 14], ['Jupiter', 22], ['Saturn', 27], ['Mars', 30]],
+  [['Mercury', 6], ['Jupiter', 12], ['Venus', 17], ['Mars', 24], ['Saturn', 30]],
+  [['Mars', 7], ['Venus', 13], ['Mercury', 19], ['Jupiter', 26], ['Saturn', 30]],
+  [['Jupiter', 6], ['Venus', 11], ['Saturn', 18], ['Mercury', 24], ['Mars', 30]],
+  [['Mercury', 7], ['Venus', 17], ['Jupiter', 21], ['Mars', 28], ['Saturn', 30]],
+  [['Saturn', 6], ['Mercury', 14], ['Jupiter', 21], ['Venus', 28], ['Mars', 30]],
+  [['Mars', 7], ['Venus', 11], ['Mercury', 19], ['Jupiter', 24], ['Saturn', 30]],
+  [['Jupiter', 12], ['Venus', 17], ['Mercury', 21], ['Saturn', 26], ['Mars', 30]],
+  [['Mercury', 7], ['Jupiter', 14], ['Venus', 22], ['Saturn', 26], ['Mars', 30]],
+  [['Mercury', 7], ['Venus', 13], ['Jupiter', 20], ['Mars', 25], ['Saturn', 30]],
+  [['Venus', 12], ['Jupiter', 16], ['Mercury', 19], ['Mars', 28], ['Saturn', 30]]
+];
 
-      const swissDate = this.formatDateToSwiss(date);
-      const swissTime = this.formatTimeToSwiss(date);
-      const ephePath = process.env.SE_EPHE_PATH || '/app/vendor/swisseph';
+// Lilly's point values; overridable per call with dignity_scores
+const DEFAULT_DIGNITY_SCORES = { domicile: 5, exaltation: 4, triplicity: 3, terms: 2, face: 1, detriment: -5, fall: -4, peregrine: -5 };
 
-      // Execute swetest for planets, including asteroids and additional points
-      // 0123456789 = Sun through Pluto, t = true Node, A = mean Apogee (Lilith), D = Chiron, F = Ceres, G = Pallas, H = Juno, I = Vesta
-      const planetCmd = `SE_EPHE_PATH=${ephePath} swetest -b${swissDate} -ut${swissTime} -p0123456789tADFGHI -fPZ -g, -head`;
-      let planetOutput;
-      try {
-        planetOutput = execSync(planetCmd, { encoding: 'utf8' });
-      } catch (error) {
-        throw new Error(`Failed to execute swetest for planets: ${error.message}`);
-      }
+// Lots as Ascendant + (to - from) by day. Lots marked reverse swap from and to in night charts.
+// Points may be planets, angles or lots defined earlier in this list.
+const LOTS = {
+  'Fortune': { from: 'Sun', to: 'Moon', reverse: true },
+  'Spirit': { from: 'Moon', to: 'Sun', reverse: true },
+  'Eros': { from: 'Spirit', to: 'Venus', reverse: true },
+  'Necessity': { from: 'Mercury', to: 'Fortune', reverse: true },
+  'Courage': { from: 'Mars', to: 'Fortune', reverse: true },
+  'Victory': { from: 'Spirit', to: 'Jupiter', reverse: true },
+  'Nemesis': { from: 'Saturn', to: 'Fortune', reverse: true },
+  'Father': { from: 'Sun', to: 'Saturn', reverse: true },
+  'Mother': { from: 'Venus', to: 'Moon', reverse: true },
+  'Children': { from: 'Jupiter', to: 'Saturn', reverse: true },
+  'Siblings': { from: 'Saturn', to: 'Jupiter', reverse: false },
+  'Marriage': { from: 'Saturn', to: 'Venus', reverse: false }
+};
+const DEFAULT_LOTS = ['Fortune', 'Spirit', 'Eros', 'Necessity', 'Courage', 'Victory', 'Nemesis'];
 
-      // Execute swetest for houses (Placidus system)
-      const houseCmd = `SE_EPHE_PATH=${ephePath} swetest -b${swissDate} -ut${swissTime} -house${longitude},${latitude},P -fPZ -g, -head`;
-      let houseOutput;
-      try {
-        houseOutput = execSync(houseCmd, { encoding: 'utf8' });
-      } catch (error) {
-        throw new Error(`Failed to execute swetest for houses: ${error.message}`);
-      }
+// Zodiacal releasing: minor years of each sign's ruler. Valens counts 360-day years of 30-day
+// months, so level 1 periods last years x 360 days, level 2 years x 30 days, level 3 years x 2.5 days.
+const RELEASING_YEARS = [15, 8, 20, 25, 19, 20, 8, 15, 12, 27, 30, 12];
+const RELEASING_UNIT_DAYS = [360, 30, 2.5];
 
-      // Parse planets
-      const planets = {};
-      const planetLines = planetOutput.split('\n').filter(line => line.trim() && !line.includes('error:') && !line.includes('warning:'));
-      
-      planetLines.forEach(line => {
-        const planet = this.parsePlanetLine(line);
-        if (planet) {
-          // Map swetest planet codes to readable names
-          const planetNames = {
-            'Sun': 'Sun',
-            'Moon': 'Moon', 
-            'Mercury': 'Mercury',
-            'Venus': 'Venus',
-            'Mars': 'Mars',
-            'Jupiter': 'Jupiter',
-            'Saturn': 'Saturn',
-            'Uranus': 'Uranus',
-            'Neptune': 'Neptune',
-            'Pluto': 'Pluto',
-            'mean Node': 'North Node',
-            'true Node': 'North Node',
-            'Chiron': 'Chiron',
-            'mean Apogee': 'Lilith',
-            'Ceres': 'Ceres',
-            'Pallas': 'Pallas',
-            'Juno': 'Juno',
-            'Vesta': 'Vesta'
-          };
-          
-          const name = planetNames[planet.name] || planet.name;
-          planets[name] = {
-            longitude: planet.longitude,
-            sign: planet.sign,
-            degree: planet.degree
-          };
-        }
-      });
+// Firdaria periods in years for day and night births; the nodes have no sub-periods
+const FIRDARIA = {
+  day: [['Sun', 10], ['Venus', 8], ['Mercury', 13], ['Moon', 9], ['Saturn', 11], ['Jupiter', 12], ['Mars', 7], ['North Node', 3], ['South Node', 2]],
+  night: [['Moon', 9], ['Saturn', 11], ['Jupiter', 12], ['Mars', 7], ['Sun', 10], ['Venus', 8], ['Mercury', 13], ['North Node', 3], ['South Node', 2]]
+};
 
-      // Parse houses and chart points from house output
-      const houses = {};
-      const chartPoints = {};
-      const houseLines = houseOutput.split('\n').filter(line => line.trim() && !line.includes('error:') && !line.includes('warning:'));
-      
-      houseLines.forEach(line => {
-        // Try parsing as house
-        if (line.includes('house ')) {
-          const house = this.parseHouseLine(line);
-          if (house && house.house >= 1 && house.house <= 12) {
-            houses[house.house] = {
-              longitude: house.longitude,
-              sign: house.sign,
-              degree: house.degree
-            };
-          }
-        }
-        // Try parsing as chart point
-        else if (line.includes('Ascendant') || line.includes('MC') || line.includes('ARMC') || line.includes('Vertex')) {
-          const chartPoint = this.parseChartPointLine(line);
-          if (chartPoint) {
-            const pointNames = {
-              'Ascendant': 'Ascendant',
-              'MC': 'Midheaven',
-              'ARMC': 'ARMC',
-              'Vertex': 'Vertex'
-            };
-            
-            const name = pointNames[chartPoint.name] || chartPoint.name;
-            chartPoints[name] = {
-              longitude: chartPoint.longitude,
-              sign: chartPoint.sign,
-              degree: chartPoint.degree
-            };
-          }
-        }
-      });
+// Vedic charts: the nine grahas (Rahu and Ketu are the lunar nodes), Sanskrit sign names and the
+// 27 nakshatras of 13°20' each, whose lords repeat in Vimshottari dasha order
+const VEDIC_GRAHAS = ['Sun', 'Moon', 'Mars', 'Mercury', 'Jupiter', 'Venus', 'Saturn', 'Rahu', 'Ketu'];
+const RASHIS = ['Mesha', 'Vrishabha', 'Mithuna', 'Karka', 'Simha', 'Kanya', 'Tula', 'Vrishchika', 'Dhanu', 'Makara', 'Kumbha', 'Meena'];
+const NAKSHATRAS = [
+  'Ashwini', 'Bharani', 'Krittika', 'Rohini', 'Mrigashira', 'Ardra', 'Punarvasu', 'Pushya', 'Ashlesha',
+  'Magha', 'Purva Phalguni', 'Uttara Phalguni', 'Hasta', 'Chitra', 'Swati', 'Vishakha', 'Anuradha', 'Jyeshtha',
+  'Mula', 'Purva Ashadha', 'Uttara Ashadha', 'Shravana', 'Dhanishta', 'Shatabhisha', 'Purva Bhadrapada', 'Uttara Bhadrapada', 'Revati'
+];
+const NAKSHATRA_SPAN = 360 / 27;
 
-      // Calculate additional points
-      const additionalPoints = {};
+// Vimshottari dasha lords and years (120 in all), counted in years of 365.25 days
+const VIMSHOTTARI_DASHAS = [['Ketu', 7], ['Venus', 20], ['Sun', 6], ['Moon', 10], ['Mars', 7], ['Rahu', 18], ['Jupiter', 16], ['Saturn', 19], ['Mercury', 17]];
+const VIMSHOTTARI_YEAR_DAYS = 365.25;
 
-      // Add South Node (opposite of North Node)
-      if (planets['North Node']) {
-        const northNodeLon = planets['North Node'].longitude;
-        const southNodeLon = (northNodeLon + 180) % 360;
-        const signIndex = Math.floor(southNodeLon / 30);
-        const degree = southNodeLon % 30;
-        const signs = [
-          'Aries', 'Taurus', 'Gemini', 'Cancer', 'Leo', 'Virgo',
-          'Libra', 'Scorpio', 'Sagittarius', 'Capricorn', 'Aquarius', 'Pisces'
-        ];
-        
-        additionalPoints['South Node'] = {
-          longitude: southNodeLon,
-          sign: signs[signIndex],
-          degree: Math.round(degree * 100) / 100
-        };
-      }
+// Parashari divisional charts (vargas) by division number
+const VARGAS = {
+  D1: 'Rasi',
+  D2: 'Hora',
+  D3: 'Drekkana',
+  D4: 'Chaturthamsa',
+  D7: 'Saptamsa',
+  D9: 'Navamsa',
+  D10: 'Dasamsa',
+  D12: 'Dwadasamsa',
+  D16: 'Shodasamsa',
+  D20: 'Vimsamsa',
+  D24: 'Chaturvimsamsa',
+  D27: 'Bhamsa',
+  D30: 'Trimsamsa',
+  D40: 'Khavedamsa',
+  D45: 'Akshavedamsa',
+  D60: 'Shashtiamsa'
+};
+const DEFAULT_VARGAS = ['D9', 'D10'];
 
-      // Calculate Part of Fortune (ASC + Moon - Sun)
-      if (chartPoints.Ascendant && planets.Sun && planets.Moon) {
-        const ascLon = chartPoints.Ascendant.longitude;
-        const sunLon = planets.Sun.longitude;
-        const moonLon = planets.Moon.longitude;
-        let fortuneLon = (ascLon + moonLon - sunLon) % 360;
-        if (fortuneLon < 0) fortuneLon += 360;
-        
-        const signIndex = Math.floor(fortuneLon / 30);
-        const degree = fortuneLon % 30;
-        const signs = [
-          'Aries', 'Taurus', 'Gemini', 'Cancer', 'Leo', 'Virgo',
-          'Libra', 'Scorpio', 'Sagittarius', 'Capricorn', 'Aquarius', 'Pisces'
-        ];
-        
-        additionalPoints['Part of Fortune'] = {
-          longitude: fortuneLon,
-          sign: signs[signIndex],
-          degree: Math.round(degree * 100) / 100
-        };
+// Trimsamsa: uneven portions of odd and even signs as [end degree, sign index]
+const TRIMSAMSA_PORTIONS = {
+  odd: [[5, 0], [10, 10], [18, 8], [25, 2], [30, 6]],
+  even: [[5, 1], [12, 5], [20, 11], [25, 9], [30, 7]]
+};
+
+// Tools whose chart settings default differently from the tropical Placidus chart
+const TOOL_CHART_DEFAULTS = {
+  calculate_vedic_chart: { zodiac: 'sidereal', house_system: 'whole_sign', node_type: 'mean' }
+};
+
+// Cosmobiology dials in degrees of arc around the dial; a dial of D degrees is the 360/D harmonic.
+// Dial contacts are named by the multiple of 45° they stand for.
+const MIDPOINT_DIALS = [90, 45];
+const DIAL_CONTACTS = ['conjunction', 'semisquare', 'square', 'sesquiquadrate', 'opposition'];
+const DEFAULT_HARMONICS = [5, 7, 9];
+const MAX_HARMONIC = 180;
+
+// Astrocartography: angle lines drawn per body, default bodies, and the latitude band of the lines
+// (the ASC/DSC lines run off towards the poles)
+const ACG_ANGLES = ['ASC', 'DSC', 'MC', 'IC'];
+const ACG_BODIES = [...STELLIUM_PLANETS, 'North Node', 'Chiron'];
+const ACG_MAX_LATITUDE = 85;
+const EARTH_RADIUS_KM = 6371.0088;
+const COMPASS_POINTS = ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE', 'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'];
+
+// Chart wheel glyphs; U+FE0E asks for the text rather than the emoji presentation. Bodies without
+// a glyph are drawn with their first two letters.
+const SIGN_GLYPHS = ['♈', '♉', '♊', '♋', '♌', '♍', '♎', '♏', '♐', '♑', '♒', '♓'].map(glyph => `${glyph}\uFE0E`);
+const PLANET_GLYPHS = {
+  'Sun': '☉', 'Moon': '☽', 'Mercury': '☿', 'Venus': '♀', 'Mars': '♂', 'Jupiter': '♃', 'Saturn': '♄',
+  'Uranus': '♅', 'Neptune': '♆', 'Pluto': '♇', 'North Node': '☊', 'Chiron': '⚷', 'Lilith': '⚸',
+  'Ceres': '⚳', 'Pallas': '⚴', 'Juno': '⚵', 'Vesta': '⚶'
+};
+
+// Bodies drawn on a chart wheel unless points says otherwise
+const WHEEL_POINTS = [...STELLIUM_PLANETS, 'North Node', 'Chiron', 'Lilith'];
+
+// Sign sector fills by element (fire, earth, air, water) and aspect line colours by aspect
+const ELEMENT_COLORS = ['#f7ddd5', '#e9e2cf', '#e3eedc', '#d9e6f2'];
+const ASPECT_COLORS = { opposition: '#c0392b', square: '#c0392b', trine: '#2c6fbb', sextile: '#2c6fbb' };
+
+// Tools that accept render: true, and the charts of their result drawn as inner and outer wheel
+const WHEEL_SOURCES = {
+  calculate_planetary_positions: result => [{ chart: result, label: 'Natal' }],
+  calculate_transits: result => [{ chart: result.natal_chart, label: 'Natal' }, { chart: result.current_transits, label: 'Transits' }],
+  calculate_progressions: result => [{ chart: result.natal_chart, label: 'Natal' }, { chart: result.progressed_chart, label: 'Progressed' }],
+  calculate_solar_revolution: result => [{ chart: result.solar_return_chart, label: 'Solar return' }],
+  calculate_planetary_return: result => [{ chart: result.return_chart, label: `${result.planet} return` }],
+  calculate_synastry: result => [{ chart: result.person1_chart, label: 'Person 1' }, { chart: result.person2_chart, label: 'Person 2' }],
+  calculate_composite: result => [result.composite
+    ? { chart: result.composite.chart, label: 'Composite' }
+    : { chart: result.davison.chart, label: 'Davison' }]
+};
+
+// Key of the rendered wheel on a tool result. Symbol keys are skipped by JSON.stringify, so the
+// image only travels as separate MCP content.
+const CHART_WHEEL = Symbol('chart wheel');
+
+// HTTP mode defaults: idle session lifetime, session cap and requests per minute per API key
+// (MCP_SESSION_TTL_SECONDS, MCP_MAX_SESSIONS, MCP_RATE_LIMIT), and how often expired sessions are swept
+const DEFAULT_SESSION_TTL_SECONDS = 1800;
+const DEFAULT_MAX_SESSIONS = 1000;
+const DEFAULT_RATE_LIMIT = 120;
+const SESSION_SWEEP_MS = 60000;
+
+// Version of the response contract: structuredContent and JSON text shapes, types and precision.
+// Additions keep the version; renamed, removed or retyped fields bump it (history in the README).
+const RESPONSE_SCHEMA_VERSION = '2.0';
+
+// Decimal places of every non-integer number in a result
+const RESULT_DECIMALS = 6;
+
+// Nested input charts left out of results in compact mode
+const COMPACT_OMITTED = {
+  calculate_transits: ['natal_chart'],
+  calculate_transit_timeline: ['natal_chart'],
+  calculate_progressions: ['natal_chart'],
+  calculate_solar_revolution: ['natal_chart'],
+  calculate_planetary_return: ['natal_chart'],
+  calculate_relocated_chart: ['natal_chart'],
+  calculate_composite: ['person1_chart', 'person2_chart'],
+  calculate_synastry: ['person1_chart', 'person2_chart']
+};
+
+// REST API routes (POST /api/v1/<route>) and the tools behind them
+const REST_ROUTES = {
+  'chart': 'calculate_planetary_positions',
+  'fixed-stars': 'calculate_fixed_stars',
+  'natal-aspects': 'calculate_natal_aspects',
+  'transits': 'calculate_transits',
+  'transit-timeline': 'calculate_transit_timeline',
+  'eclipses': 'find_eclipses',
+  'ephemeris': 'generate_ephemeris',
+  'sky-events': 'find_sky_events',
+  'progressions': 'calculate_progressions',
+  'solar-return': 'calculate_solar_revolution',
+  'planetary-return': 'calculate_planetary_return',
+  'composite': 'calculate_composite',
+  'synastry': 'calculate_synastry',
+  'rectification': 'rectify_birth_time',
+  'chart-wheel': 'render_chart_wheel',
+  'astrocartography': 'calculate_astrocartography',
+  'relocated-chart': 'calculate_relocated_chart',
+  'dignities': 'calculate_dignities',
+  'time-lords': 'calculate_time_lords',
+  'vedic-chart': 'calculate_vedic_chart',
+  'midpoints': 'calculate_midpoints_and_harmonics',
+  'charts-batch': 'calculate_charts_batch',
+  'save-profile': 'save_profile',
+  'list-profiles': 'list_profiles',
+  'update-profile': 'update_profile',
+  'delete-profile': 'delete_profile'
+};
+
+// HTTP statuses and REST error codes for McpError codes; other errors are internal (500)
+const HTTP_ERRORS = {
+  [ErrorCode.ParseError]: { status: 400, code: 'parse_error' },
+  [ErrorCode.InvalidRequest]: { status: 400, code: 'invalid_request' },
+  [ErrorCode.MethodNotFound]: { status: 404, code: 'not_found' },
+  [ErrorCode.InvalidParams]: { status: 400, code: 'invalid_params' },
+  [ErrorCode.InternalError]: { status: 500, code: 'internal_error' }
+};
+
+// REST error codes for statuses raised by the HTTP layer itself
+const HTTP_STATUS_CODES = {
+  400: 'bad_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  429: 'rate_limited',
+  500: 'internal_error',
+  503: 'unavailable'
+};
+
+// Calculation backends. Both take a swetest argument string and return swetest's text output,
+// so the parsers and every tool see the same input whichever backend runs. SwephBackend covers
+// the subset of swetest options this server uses and runs in-process through the sweph N-API
+// binding of the Swiss Ephemeris C library; SwetestBackend spawns the swetest binary.
+// SwephBackend also calculates whole charts directly (chart()); with swetest the server parses
+// the text output into the same structure.
+class SwetestBackend {
+  constructor(ephePath) {
+    this.name = 'swetest';
+    this.ephePath = ephePath;
+  }
+
+  run(args) {
+    // Long series (hourly Moon over years) exceed execSync's default 1 MB output buffer
+    return execSync(`SE_EPHE_PATH=${this.ephePath} swetest ${args}`, { encoding: 'utf8', maxBuffer: 64 * 1024 * 1024 });
+  }
+}
+
+class SwephBackend {
+  // swetest planet letters to Swiss Ephemeris body numbers
+  static BODIES = {
+    '0': 0, '1': 1, '2': 2, '3': 3, '4': 4, '5': 5, '6': 6, '7': 7, '8': 8, '9': 9,
+    m: 10, t: 11, A: 12, B: 13, D: 15, E: 16, F: 17, G: 18, H: 19, I: 20, c: 21, g: 22,
+    J: 40, K: 41, L: 42, M: 43, N: 44, O: 45, P: 46, Q: 47, R: 48, S: 49, T: 50,
+    U: 51, V: 52, W: 53, X: 54, Y: 55, Z: 56, w: 58
+  };
+
+  static HOUSE_POINTS = ['Ascendant', 'MC', 'ARMC', 'Vertex', 'equat. Asc.', 'co-Asc. W.Koch', 'co-Asc Munkasey', 'Polar Asc.'];
+
+  constructor(sweph, ephePath) {
+    this.name = 'sweph';
+    this.sweph = sweph;
+    this.ephePath = ephePath;
+    sweph.set_ephe_path(ephePath);
+  }
+
+  parseArgs(args) {
+    // Tokens are separated by spaces except inside quotes (-xf"Alpha Centauri")
+    const options = { planets: '', asteroids: [], star: null, format: 'PLBRS', separator: ' ', house: null, sidereal: null, topo: null, count: 1, step: 1, stepUnit: 'd' };
+    for (const token of args.match(/(?:[^\s"]+|"[^"]*")+/g) || []) {
+      const value = token.replace(/"/g, '');
+      if (value.startsWith('-b')) options.date = value.slice(2);
+      else if (value.startsWith('-ut')) options.time = value.slice(3);
+      else if (value.startsWith('-xs')) options.asteroids.push(parseInt(value.slice(3)));
+      else if (value.startsWith('-xf')) options.star = value.slice(3);
+      else if (value.startsWith('-p')) options.planets = value.slice(2);
+      else if (value.startsWith('-f')) options.format = value.slice(2);
+      else if (value.startsWith('-g')) options.separator = value.slice(2) || '\t';
+      else if (value === '-head') continue;
+      else if (value.startsWith('-house')) options.house = value.slice(6).split(',');
+      else if (value.startsWith('-sid')) options.sidereal = parseInt(value.slice(4));
+      else if (value.startsWith('-topo')) options.topo = value.slice(5).split(',').map(Number);
+      else if (value.startsWith('-n')) options.count = parseInt(value.slice(2));
+      else if (/^-s[\d.]+(mo|[ymhs])?$/.test(value)) {
+        const [, step, unit] = value.match(/^-s([\d.]+)(mo|[ymhs])?$/);
+        options.step = parseFloat(step);
+        options.stepUnit = unit || 'd';
+      } else {
+        throw new Error(`Unsupported swetest option for the sweph backend: ${value}`);
       }
+    }
+    return options;
+  }
 
-      // Add IC and Descendant based on Ascendant and Midheaven
-      if (chartPoints.Ascendant) {
-        const ascLon = chartPoints.Ascendant.longitude;
-        const descLon = (ascLon + 180) % 360;
-        const signIndex = Math.floor(descLon / 30);
-        const degree = descLon % 30;
-        const signs = [
-          'Aries', 'Taurus', 'Gemini', 'Cancer', 'Leo', 'Virgo',
-          'Libra', 'Scorpio', 'Sagittarius', 'Capricorn', 'Aquarius', 'Pisces'
-        ];
-        
-        chartPoints.Descendant = {
-          longitude: descLon,
-          sign: signs[signIndex],
-          degree: Math.round(degree * 100) / 100
-        };
+  julianDay(options, index) {
+    // swetest reads dates before 15 October 1582 as Julian calendar dates
+    const [day, month, year] = options.date.split('.').map(Number);
+    const [hours = 0, minutes = 0, seconds = 0] = (options.time || '0').split(':').map(Number);
+    const calendar = year * 10000 + month * 100 + day < 15821015 ? 0 : 1;
+    const start = this.sweph.julday(year, month, day, hours + minutes / 60 + seconds / 3600, calendar);
+    if (index === 0) return start;
+
+    const { step, stepUnit } = options;
+    if (stepUnit === 'mo' || stepUnit === 'y') {
+      const months = month - 1 + index * step * (stepUnit === 'y' ? 12 : 1);
+      return this.sweph.julday(year + Math.floor(months / 12), months % 12 + 1, day, hours + minutes / 60 + seconds / 3600, calendar);
+    }
+    const stepDays = { d: 1, h: 1 / 24, m: 1 / 1440, s: 1 / 86400 }[stepUnit];
+    return start + index * step * stepDays;
+  }
+
+  formatZodiac(longitude) {
+    // swetest's -fZ: "22 le 53'51.2332"
+    const signs = ['ar', 'ta', 'ge', 'cn', 'le', 'vi', 'li', 'sc', 'sa', 'cp', 'aq', 'pi'];
+    let seconds = Math.round(this.normalize(longitude) * 36000000) / 10000;
+    const sign = Math.floor(seconds / 108000) % 12;
+    seconds -= Math.floor(seconds / 108000) * 108000;
+    const degrees = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds - degrees * 3600) / 60);
+    return `${String(degrees).padStart(2)} ${signs[sign]} ${String(minutes).padStart(2)}'${(seconds - degrees * 3600 - minutes * 60).toFixed(4).padStart(7)}`;
+  }
+
+  normalize(degrees) {
+    return ((degrees % 360) + 360) % 360;
+  }
+
+  formatLine(options, julianDay, name, ecliptic, equatorial) {
+    const columns = [];
+    for (const letter of options.format) {
+      switch (letter) {
+        case 'P': columns.push(name.padEnd(15)); break;
+        case 'Z': columns.push(this.formatZodiac(ecliptic[0])); break;
+        case 'l': columns.push(ecliptic[0].toFixed(7).padStart(11)); break;
+        case 'b': columns.push(ecliptic[1].toFixed(7).padStart(11)); break;
+        case 's': columns.push(ecliptic[3].toFixed(7).padStart(11)); break;
+        case 'R': columns.push(ecliptic[2].toFixed(9).padStart(14)); break;
+        case 'a': columns.push((equatorial[0] / 15).toFixed(7).padStart(11)); break;
+        case 'd': columns.push(equatorial[1].toFixed(7).padStart(11)); break;
+        case 'J': columns.push(julianDay.toFixed(8)); break;
+        default: throw new Error(`Unsupported swetest format letter for the sweph backend: ${letter}`);
+      }
+    }
+    return columns.join(options.separator);
+  }
+
+  withSettings(sidereal, topo, calculate) {
+    // The sidereal mode and the observer are global state in the library; they are reset after
+    // every call so that one request's settings never leak into the next
+    const { constants } = this.sweph;
+    let flags = constants.SEFLG_SWIEPH | constants.SEFLG_SPEED;
+    if (sidereal !== null) {
+      this.sweph.set_sid_mode(sidereal, 0, 0);
+      flags |= constants.SEFLG_SIDEREAL;
+    }
+    if (topo) {
+      this.sweph.set_topo(topo[0], topo[1], topo[2] || 0);
+      flags |= constants.SEFLG_TOPOCTR;
+    }
+    try {
+      return calculate(flags);
+    } finally {
+      if (sidereal !== null) this.sweph.set_sid_mode(constants.SE_SIDM_FAGAN_BRADLEY, 0, 0);
+      if (topo) this.sweph.set_topo(0, 0, 0);
+    }
+  }
+
+  chart({ date, bodies, extraBodies, houses, sidereal }) {
+    // A whole chart in one call: every body from calc_ut, the cusps and angles from houses_ex
+    const { constants } = this.sweph;
+    const julianDay = date.getTime() / 86400000 + 2440587.5;
+
+    return this.withSettings(sidereal, null, (flags) => {
+      // Right ascension and declination are always tropical
+      const equatorialFlags = (flags & ~constants.SEFLG_SIDEREAL) | constants.SEFLG_EQUATORIAL;
+      const chart = { bodies: {}, errors: {}, warnings: [], houses: null };
+
+      for (const { key, code } of [...bodies, ...extraBodies]) {
+        const body = typeof code === 'number' ? constants.SE_AST_OFFSET + code : SwephBackend.BODIES[code];
+        const ecliptic = this.sweph.calc_ut(julianDay, body, flags);
+        if (ecliptic.flag < 0) {
+          chart.errors[key] = ecliptic.error;
+          continue;
+        }
+        // Missing ephemeris files make the library fall back to Moshier; report each file once
+        if (ecliptic.error && !chart.warnings.includes(`warning: ${ecliptic.error}`)) {
+          chart.warnings.push(`warning: ${ecliptic.error}`);
+        }
+
+        const [longitude, latitude, distance, speed] = ecliptic.data;
+        const [rightAscension, declination] = this.sweph.calc_ut(julianDay, body, equatorialFlags).data;
+        chart.bodies[key] = { name: this.sweph.get_planet_name(body), longitude, latitude, speed, distance, rightAscension, declination };
       }
 
-      if (chartPoints.Midheaven) {
-        const mcLon = chartPoints.Midheaven.longitude;
-        const icLon = (mcLon + 180) % 360;
-        const signIndex = Math.floor(icLon / 30);
-        const degree = icLon % 30;
-        const signs = [
-          'Aries', 'Taurus', 'Gemini', 'Cancer', 'Leo', 'Virgo',
-          'Libra', 'Scorpio', 'Sagittarius', 'Capricorn', 'Aquarius', 'Pisces'
-        ];
-        
-        chartPoints.IC = {
-          longitude: icLon,
-          sign: signs[signIndex],
-          degree: Math.round(degree * 100) / 100
-        };
+      if (houses) {
+        const houseFlags = sidereal !== null ? constants.SEFLG_SIDEREAL : 0;
+        const result = this.sweph.houses_ex(julianDay, houseFlags, houses.latitude, houses.longitude, houses.system);
+        if (result.flag >= 0) {
+          const [ascendant, midheaven, armc, vertex] = result.data.points;
+          chart.houses = {
+            cusps: result.data.houses.slice(0, 12),
+            points: { Ascendant: ascendant, Midheaven: midheaven, ARMC: armc, Vertex: vertex }
+          };
+        }
+      }
+      return chart;
+    });
+  }
+
+  run(args) {
+    const options = this.parseArgs(args);
+    return this.withSettings(options.sidereal, options.topo, (flags) => this.runWithFlags(options, flags));
+  }
+
+  runWithFlags(options, flags) {
+    const { constants } = this.sweph;
+    // Right ascension and declination are always tropical
+    const equatorialFlags = (flags & ~constants.SEFLG_SIDEREAL) | constants.SEFLG_EQUATORIAL;
+
+    const bodies = [];
+    for (const letter of options.planets) {
+      if (letter === 's') bodies.push(...options.asteroids.map(number => constants.SE_AST_OFFSET + number));
+      else if (letter === 'f') bodies.push('star');
+      else if (SwephBackend.BODIES[letter] !== undefined) bodies.push(SwephBackend.BODIES[letter]);
+      else throw new Error(`Unsupported swetest planet letter for the sweph backend: ${letter}`);
+    }
+
+    const lines = [];
+    const warnings = new Set();
+    for (let index = 0; index < options.count; index++) {
+      const julianDay = this.julianDay(options, index);
+
+      for (const body of bodies) {
+        const result = body === 'star'
+          ? this.sweph.fixstar2_ut(options.star, julianDay, flags)
+          : this.sweph.calc_ut(julianDay, body, flags);
+        if (result.flag < 0) {
+          lines.push(`error: ${result.error}`);
+          continue;
+        }
+        // Missing ephemeris files make the library fall back to Moshier; report each file once
+        if (result.error && !warnings.has(result.error)) {
+          warnings.add(result.error);
+          lines.push(`warning: ${result.error}`);
+        }
+
+        const equatorial = body === 'star'
+          ? this.sweph.fixstar2_ut(options.star, julianDay, equatorialFlags)
+          : this.sweph.calc_ut(julianDay, body, equatorialFlags);
+        const name = body === 'star' ? result.name : this.sweph.get_planet_name(body);
+        lines.push(this.formatLine(options, julianDay, name, result.data, equatorial.data));
       }
 
-      return {
-        planets,
-        houses,
-        chart_points: chartPoints,
-        additional_points: additionalPoints,
-        datetime: datetime,
-        coordinates: {
-          latitude,
-          longitude
+      if (options.house) {
+        const [longitude, latitude, system = 'P'] = options.house;
+        const houseFlags = options.sidereal !== null ? constants.SEFLG_SIDEREAL : 0;
+        const result = this.sweph.houses_ex2(julianDay, houseFlags, parseFloat(latitude), parseFloat(longitude), system);
+        if (result.flag < 0) {
+          lines.push(`error: ${result.error}`);
+          continue;
         }
-      };
 
+        result.data.houses.forEach((cusp, house) => {
+          lines.push(this.formatLine(options, julianDay, `house ${String(house + 1).padStart(2)}`, [cusp, 0, 0, 0], [0, 0]));
+        });
+        result.data.points.forEach((point, pointIndex) => {
+          lines.push(this.formatLine(options, julianDay, SwephBackend.HOUSE_POINTS[pointIndex], [point, 0, 0, 0], [0, 0]));
+        });
+      }
+    }
+
+    return lines.join('\n') + '\n';
+  }
+}
+
+function createEphemerisBackend() {
+  // EPHEMERIS_BACKEND=swetest forces the swetest binary; otherwise the in-process sweph binding
+  // is used when its optional dependency is installed
+  const ephePath = process.env.SE_EPHE_PATH || '/app/vendor/swisseph';
+  const requested = process.env.EPHEMERIS_BACKEND || 'auto';
+  if (!['auto', 'sweph', 'swetest'].includes(requested)) {
+    throw new Error(`EPHEMERIS_BACKEND must be sweph or swetest, got ${requested}`);
+  }
+
+  if (requested !== 'swetest') {
+    try {
+      return new SwephBackend(createRequire(import.meta.url)('sweph'), ephePath);
+    } catch (error) {
+      if (requested === 'sweph') {
+        throw new Error(`EPHEMERIS_BACKEND=sweph but the sweph module could not be loaded: ${error.message}`);
+      }
+    }
+  }
+  return new SwetestBackend(ephePath);
+}
+
+// In-memory LRU cache of calculated charts, keyed on the UTC instant, coordinates, chart options
+// and ephemeris files. With a file, every new chart is appended as a JSON line; the file is
+// compacted to the entries that fit the cache when the server starts and whenever it reaches
+// twice that many lines.
+class ChartCache {
+  constructor(maxEntries, file) {
+    this.maxEntries = maxEntries;
+    this.file = file;
+    this.entries = new Map();
+    this.fileLines = 0;
+    this.hits = 0;
+    this.misses = 0;
+    this.evictions = 0;
+    if (file && maxEntries > 0) {
+      this.load();
+    }
+  }
+
+  get(key) {
+    if (!this.entries.has(key)) {
+      this.misses++;
+      return undefined;
+    }
+    // Map keeps insertion order, so re-inserting marks the entry as most recently used
+    const value = this.entries.get(key);
+    this.entries.delete(key);
+    this.entries.set(key, value);
+    this.hits++;
+    return value;
+  }
+
+  set(key, value, persist = true) {
+    if (this.maxEntries === 0) return;
+    this.entries.delete(key);
+    this.entries.set(key, value);
+    if (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+      this.evictions++;
+    }
+    if (persist && this.file) {
+      this.write(() => appendFileSync(this.file, JSON.stringify([key, value]) + '\n'));
+      this.fileLines++;
+      if (this.fileLines >= 2 * this.maxEntries) {
+        this.compact();
+      }
+    }
+  }
+
+  load() {
+    if (!existsSync(this.file)) return;
+    for (const line of readFileSync(this.file, 'utf8').split('\n')) {
+      try {
+        const [key, value] = JSON.parse(line);
+        this.set(key, value, false);
+      } catch {
+        // Truncated or corrupt lines (an interrupted write) are dropped by the compaction below
+      }
+    }
+    this.evictions = 0;
+    this.compact();
+  }
+
+  compact() {
+    // Rewrites the file with the cached entries only, through a temporary file
+    this.write(() => {
+      const temporary = `${this.file}.${process.pid}.tmp`;
+      writeFileSync(temporary, [...this.entries].map(entry => JSON.stringify(entry) + '\n').join(''));
+      renameSync(temporary, this.file);
+    });
+    this.fileLines = this.entries.size;
+  }
+
+  write(operation) {
+    // A cache file that cannot be written disables persistence; the in-memory cache keeps working
+    try {
+      operation();
     } catch (error) {
-      throw new Error(`Swiss Ephemeris calculation failed: ${error.message}`);
+      console.error(`Chart cache file ${this.file} disabled: ${error.message}`);
+      this.file = null;
     }
   }
 
-  calculateSynastryAspects(person1Planets, person2Planets) {
-    const aspects = [];
-    const aspectOrbs = {
-      'conjunction': 8,
-      'opposition': 8,
-      'trine': 8,
-      'square': 8,
-      'sextile': 6,
-      'quincunx': 3,
-      'semisextile': 3
+  stats() {
+    const lookups = this.hits + this.misses;
+    return {
+      entries: this.entries.size,
+      max_entries: this.maxEntries,
+      hits: this.hits,
+      misses: this.misses,
+      hit_rate: lookups === 0 ? null : Math.round(this.hits / lookups * 1000) / 1000,
+      evictions: this.evictions,
+      persistent: this.file !== null
     };
+  }
+}
 
-    const aspectAngles = {
-      'conjunction': 0,
-      'semisextile': 30,
-      'sextile': 60,
-      'square': 90,
-      'trine': 120,
-      'quincunx': 150,
-      'opposition': 180
-    };
+function createChartCache() {
+  // CHART_CACHE_SIZE=0 turns the cache off; CHART_CACHE_FILE keeps charts across restarts
+  const size = process.env.CHART_CACHE_SIZE;
+  if (size !== undefined && size !== '' && !/^\d+$/.test(size)) {
+    throw new Error(`CHART_CACHE_SIZE must be a non-negative integer, got ${size}`);
+  }
+  return new ChartCache(size === undefined || size === '' ? DEFAULT_CHART_CACHE_SIZE : Number(size), process.env.CHART_CACHE_FILE || null);
+}
 
-    // Main planets for synastry analysis
-    const mainPlanets = ['Sun', 'Moon', 'Mercury', 'Venus', 'Mars', 'Jupiter', 'Saturn', 'Uranus', 'Neptune', 'Pluto'];
+// Saved profiles by owner and ID in profiles.json under the data directory. The owner is the
+// client ID of the API key in HTTP mode with keys and null otherwise, so every key has its own
+// profiles. Every change rewrites the file through a temporary file so an interrupted write
+// never leaves it half written.
+class ProfileStore {
+  constructor(directory) {
+    this.directory = directory;
+    this.file = join(directory, 'profiles.json');
+    this.profiles = new Map();
+    if (existsSync(this.file)) {
+      let stored;
+      try {
+        stored = JSON.parse(readFileSync(this.file, 'utf8'));
+      } catch (error) {
+        throw new Error(`Profile store ${this.file} could not be read: ${error.message}`);
+      }
+      for (const { owner = null, ...profile } of stored.profiles || []) {
+        this.owned(owner).set(profile.id, profile);
+      }
+    }
+  }
 
-    for (const planet1 of mainPlanets) {
-      if (!person1Planets[planet1]) continue;
-      
-      for (const planet2 of mainPlanets) {
-        if (!person2Planets[planet2]) continue;
+  owned(owner) {
+    if (!this.profiles.has(owner)) {
+      this.profiles.set(owner, new Map());
+    }
+    return this.profiles.get(owner);
+  }
 
-        const lon1 = person1Planets[planet1].longitude;
-        const lon2 = person2Planets[planet2].longitude;
-        
-        // Calculate the angular distance
-        let distance = Math.abs(lon1 - lon2);
-        if (distance > 180) {
-          distance = 360 - distance;
-        }
+  list(owner) {
+    return [...this.owned(owner).values()];
+  }
 
-        // Check for each aspect type
-        for (const [aspectName, aspectAngle] of Object.entries(aspectAngles)) {
-          const orb = aspectOrbs[aspectName];
-          const angleDiff = Math.abs(distance - aspectAngle);
-          
-          if (angleDiff <= orb) {
-            aspects.push({
-              person1_planet: planet1,
-              person2_planet: planet2,
-              aspect: aspectName,
-              orb: angleDiff.toFixed(2),
-              exact_angle: distance.toFixed(2),
-              person1_position: {
-                longitude: lon1,
-                sign: person1Planets[planet1].sign,
-                degree: person1Planets[planet1].degree
-              },
-              person2_position: {
-                longitude: lon2,
-                sign: person2Planets[planet2].sign,
-                degree: person2Planets[planet2].degree
-              }
-            });
-          }
+  get(owner, id) {
+    return this.owned(owner).get(id);
+  }
+
+  newId(owner, name) {
+    // Slug of the name, with a numeric suffix when the owner already uses it
+    const slug = name.toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 56) || 'profile';
+    let id = slug;
+    for (let suffix = 2; this.owned(owner).has(id); suffix++) {
+      id = `${slug}-${suffix}`;
+    }
+    return id;
+  }
+
+  put(owner, profile) {
+    this.owned(owner).set(profile.id, profile);
+    this.save();
+  }
+
+  delete(owner, id) {
+    this.owned(owner).delete(id);
+    this.save();
+  }
+
+  save() {
+    mkdirSync(this.directory, { recursive: true });
+    const profiles = [...this.profiles].flatMap(([owner, owned]) => [...owned.values()].map(profile => (owner === null ? profile : { owner, ...profile })));
+    const temporary = `${this.file}.${process.pid}.tmp`;
+    writeFileSync(temporary, JSON.stringify({ version: 1, profiles }, null, 2) + '\n');
+    renameSync(temporary, this.file);
+  }
+}
+
+class SwissEphemerisServer {
+  constructor() {
+    this.backend = createEphemerisBackend();
+    this.chartCache = createChartCache();
+    this.profileStore = new ProfileStore(process.env.PROFILE_DATA_DIR || join(homedir(), '.swiss-ephemeris-mcp'));
+    this.servers = new Map();
+    this.server = this.createServer();
+  }
+
+  createServer(profileOwner = null) {
+    // One MCP server per connection: stdio uses a single one, HTTP mode one per session. Each
+    // server sees the saved profiles of one owner (see ProfileStore).
+    const server = new Server(
+      {
+        name: 'swiss-ephemeris-mcp-server',
+        version: '1.0.0',
+      },
+      {
+        capabilities: {
+          tools: {},
+          resources: { listChanged: true },
+        },
+      }
+    );
+    this.setupToolHandlers(server, profileOwner);
+    this.setupResourceHandlers(server, profileOwner);
+    this.servers.set(server, profileOwner);
+    server.onclose = () => this.servers.delete(server);
+    return server;
+  }
+
+  toolDefinitions() {
+    // Tool names, descriptions, input and output schemas, listed over MCP and turned into the OpenAPI document
+    const outputSchemas = this.toolOutputSchemas();
+    return [
+      {
+        name: 'calculate_planetary_positions',
+        description: 'Calculate planetary positions, houses, chart points, asteroids and the natal aspect grid for a given datetime and coordinates',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            datetime: {
+              type: 'string',
+              description: 'ISO8601 datetime, e.g., 1985-04-12T23:20:50Z',
+            },
+            latitude: {
+              type: 'number',
+              description: 'Latitude in decimal degrees',
+            },
+            longitude: {
+              type: 'number',
+              description: 'Longitude in decimal degrees, positive east',
+            },
+            ...this.aspectOptionProperties(),
+            ...this.fixedStarOptionProperties(),
+            ...this.renderOptionProperties(),
+            ...this.timeZoneProperties('datetime'),
+            ...this.chartOptionProperties(),
+          },
+          required: ['datetime', 'latitude', 'longitude'],
+        },
+      },
+      {
+        name: 'calculate_fixed_stars',
+        description: 'Calculate precessed fixed star positions with magnitude and constellation, natal planets and angles conjunct those stars, and parans (stars rising, culminating or setting together with planets) at the given latitude. Parans are approximate: every event uses the positions at the chart moment.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            datetime: {
+              type: 'string',
+              description: 'ISO8601 datetime, e.g., 1985-04-12T23:20:50Z',
+            },
+            latitude: {
+              type: 'number',
+              description: 'Latitude in decimal degrees',
+            },
+            longitude: {
+              type: 'number',
+              description: 'Longitude in decimal degrees, positive east',
+            },
+            fixed_stars: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Fixed star names from sefstars.txt (optional, defaults to the Behenian and royal stars)',
+            },
+            fixed_star_orb: {
+              type: 'number',
+              description: 'Conjunction orb in degrees of longitude (optional, defaults to 1)',
+            },
+            paran_orb_minutes: {
+              type: 'number',
+              description: 'Paran orb in minutes of sidereal time (optional, defaults to 4)',
+            },
+            ...this.timeZoneProperties('datetime'),
+            ...this.chartOptionProperties(),
+          },
+          required: ['datetime', 'latitude', 'longitude'],
+        },
+      },
+      {
+        name: 'calculate_natal_aspects',
+        description: 'Calculate the aspect grid within a single chart (planets, nodes, Chiron, asteroids and angles) with configurable orbs, minor/harmonic aspects, applying/separating status and chart patterns (grand trine, T-square, grand cross, yod, kite, mystic rectangle, stellium).',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            datetime: {
+              type: 'string',
+              description: 'ISO8601 datetime, e.g., 1985-04-12T23:20:50Z',
+            },
+            latitude: {
+              type: 'number',
+              description: 'Latitude in decimal degrees',
+            },
+            longitude: {
+              type: 'number',
+              description: 'Longitude in decimal degrees, positive east',
+            },
+            ...this.aspectOptionProperties(),
+            ...this.timeZoneProperties('datetime'),
+            ...this.chartOptionProperties(),
+          },
+          required: ['datetime', 'latitude', 'longitude'],
+        },
+      },
+      {
+        name: 'calculate_transits',
+        description: 'Calculate birth chart positions and current transits for comparison. Returns both natal chart and current planetary positions.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            birth_datetime: {
+              type: 'string',
+              description: 'Birth datetime in ISO8601 format, e.g., 1985-04-12T23:20:50Z',
+            },
+            latitude: {
+              type: 'number',
+              description: 'Birth latitude in decimal degrees',
+            },
+            longitude: {
+              type: 'number',
+              description: 'Birth longitude in decimal degrees, positive east',
+            },
+            transit_datetime: {
+              type: 'string',
+              description: 'Transit moment in ISO8601 format (optional, defaults to now)',
+            },
+            transit_latitude: {
+              type: 'number',
+              description: 'Latitude for the transit chart (optional, defaults to birth location)',
+            },
+            transit_longitude: {
+              type: 'number',
+              description: 'Longitude for the transit chart (optional, defaults to birth location)',
+            },
+            ...this.renderOptionProperties(),
+            ...this.timeZoneProperties('birth_datetime', 'transit_datetime'),
+            ...this.chartOptionProperties(),
+          },
+          required: ['birth_datetime', 'latitude', 'longitude'],
+        },
+      },
+      {
+        name: 'calculate_transit_timeline',
+        description: 'List every transit-to-natal aspect between two dates with entry, exact and exit dates (multiple exact passes for retrograde loops), the bodies involved and the natal house being transited.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            birth_datetime: {
+              type: 'string',
+              description: 'Birth datetime in ISO8601 format, e.g., 1985-04-12T23:20:50Z',
+            },
+            latitude: {
+              type: 'number',
+              description: 'Birth latitude in decimal degrees',
+            },
+            longitude: {
+              type: 'number',
+              description: 'Birth longitude in decimal degrees, positive east',
+            },
+            start_date: {
+              type: 'string',
+              description: 'Start of the range in ISO8601 format, e.g., 2025-01-01T00:00:00Z',
+            },
+            end_date: {
+              type: 'string',
+              description: 'End of the range in ISO8601 format (at most 10 years after start_date)',
+            },
+            transiting_bodies: {
+              type: 'array',
+              items: { type: 'string', enum: Object.keys(RETURN_BODIES) },
+              description: 'Transiting bodies to follow (optional, defaults to Sun through Pluto without the Moon)',
+            },
+            ...this.aspectOptionProperties(),
+            ...this.timeZoneProperties('birth_datetime', 'start_date', 'end_date'),
+            ...this.chartOptionProperties(),
+          },
+          required: ['birth_datetime', 'latitude', 'longitude', 'start_date', 'end_date'],
+        },
+      },
+      {
+        name: 'find_eclipses',
+        description: 'List solar and lunar eclipses between two dates with type (total, annular, hybrid, partial, penumbral), time of maximum, magnitude, saros series and zodiac position. Optionally adds local visibility and contact times for a location, and the natal points each eclipse falls on.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            start_date: {
+              type: 'string',
+              description: 'Start of the range in ISO8601 format, e.g., 2025-01-01T00:00:00Z',
+            },
+            end_date: {
+              type: 'string',
+              description: 'End of the range in ISO8601 format (at most 10 years after start_date)',
+            },
+            eclipse_types: {
+              type: 'string',
+              enum: ['solar', 'lunar', 'both'],
+              description: 'Which eclipses to search for (optional, defaults to both)',
+            },
+            latitude: {
+              type: 'number',
+              description: 'Observer latitude for local circumstances (optional, requires longitude)',
+            },
+            longitude: {
+              type: 'number',
+              description: 'Observer longitude in decimal degrees, positive east (optional, requires latitude)',
+            },
+            birth_datetime: {
+              type: 'string',
+              description: 'Birth datetime in ISO8601 format to report natal points hit by each eclipse (optional, requires birth_latitude and birth_longitude)',
+            },
+            birth_latitude: {
+              type: 'number',
+              description: 'Birth latitude in decimal degrees',
+            },
+            birth_longitude: {
+              type: 'number',
+              description: 'Birth longitude in decimal degrees, positive east',
+            },
+            eclipse_orb: {
+              type: 'number',
+              description: 'Orb in degrees for natal points conjunct or opposite the eclipse degree (optional, defaults to 3)',
+            },
+            ...this.timeZoneProperties('start_date', 'end_date', 'birth_datetime'),
+            ...this.chartOptionProperties(),
+          },
+          required: ['start_date', 'end_date'],
+        },
+      },
+      {
+        name: 'generate_ephemeris',
+        description: 'Generate an ephemeris table: positions of several bodies over a date range at an hourly, daily, weekly or monthly step, in a single call.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            start_date: {
+              type: 'string',
+              description: 'First row in ISO8601 format, e.g., 2025-01-01T00:00:00Z',
+            },
+            end_date: {
+              type: 'string',
+              description: `Last row at or before this ISO8601 datetime (at most ${MAX_EPHEMERIS_ROWS} rows)`,
+            },
+            step: {
+              type: 'string',
+              enum: Object.keys(EPHEMERIS_STEPS),
+              description: 'Interval between rows (optional, defaults to daily)',
+            },
+            bodies: {
+              type: 'array',
+              items: { type: 'string', enum: Object.keys(RETURN_BODIES) },
+              description: 'Bodies to include (optional, defaults to Sun through Pluto)',
+            },
+            ...this.timeZoneProperties('start_date', 'end_date'),
+            ...this.chartOptionProperties(),
+          },
+          required: ['start_date', 'end_date'],
+        },
+      },
+      {
+        name: 'find_sky_events',
+        description: 'Calendar of sky events between two dates: sign ingresses, retrograde and direct stations, lunations (new moon, quarters, full moon), void-of-course Moon periods and exact aspects between transiting planets.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            start_date: {
+              type: 'string',
+              description: 'Start of the range in ISO8601 format, e.g., 2025-01-01T00:00:00Z',
+            },
+            end_date: {
+              type: 'string',
+              description: 'End of the range in ISO8601 format (at most 10 years after start_date)',
+            },
+            event_types: {
+              type: 'array',
+              items: { type: 'string', enum: SKY_EVENT_TYPES },
+              description: 'Kinds of events to report (optional, defaults to all)',
+            },
+            bodies: {
+              type: 'array',
+              items: { type: 'string', enum: Object.keys(RETURN_BODIES) },
+              description: 'Bodies for ingresses, stations and mutual aspects (optional, defaults to Sun through Pluto without the Moon)',
+            },
+            aspects: this.aspectOptionProperties().aspects,
+            ...this.timeZoneProperties('start_date', 'end_date'),
+            ...this.chartOptionProperties(),
+          },
+          required: ['start_date', 'end_date'],
+        },
+      },
+      {
+        name: 'calculate_progressions',
+        description: 'Calculate secondary progressions (day-for-a-year) and solar arc directions for a target date, with progressed angles and aspects from progressed/directed points to the natal chart.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            birth_datetime: {
+              type: 'string',
+              description: 'Birth datetime in ISO8601 format, e.g., 1985-04-12T23:20:50Z',
+            },
+            latitude: {
+              type: 'number',
+              description: 'Birth latitude in decimal degrees',
+            },
+            longitude: {
+              type: 'number',
+              description: 'Birth longitude in decimal degrees, positive east',
+            },
+            target_date: {
+              type: 'string',
+              description: 'Date to progress the chart to, in ISO8601 format',
+            },
+            mc_method: {
+              type: 'string',
+              enum: ['naibod', 'solar_arc', 'true'],
+              description: 'How the progressed MC is derived: naibod (mean Sun rate in right ascension), solar_arc (MC moves by the solar arc) or true (houses of the progressed moment). Defaults to naibod.',
+            },
+            ...this.aspectOptionProperties(),
+            ...this.renderOptionProperties(),
+            ...this.timeZoneProperties('birth_datetime', 'target_date'),
+            ...this.chartOptionProperties(),
+          },
+          required: ['birth_datetime', 'latitude', 'longitude', 'target_date'],
+        },
+      },
+      {
+        name: 'calculate_solar_revolution',
+        description: 'Calculate solar return chart for a specific year. The solar return occurs when the Sun returns to the exact same position as at birth; the exact UTC moment is searched and returned with its residual error.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            birth_datetime: {
+              type: 'string',
+              description: 'Birth datetime in ISO8601 format, e.g., 1985-04-12T23:20:50Z',
+            },
+            birth_latitude: {
+              type: 'number',
+              description: 'Birth latitude in decimal degrees',
+            },
+            birth_longitude: {
+              type: 'number',
+              description: 'Birth longitude in decimal degrees, positive east',
+            },
+            return_year: {
+              type: 'number',
+              description: 'Year for the solar return calculation, e.g., 2024',
+            },
+            return_latitude: {
+              type: 'number',
+              description: 'Latitude for solar return location (optional, defaults to birth location)',
+            },
+            return_longitude: {
+              type: 'number',
+              description: 'Longitude for solar return location (optional, defaults to birth location)',
+            },
+            ...this.renderOptionProperties(),
+            ...this.timeZoneProperties('birth_datetime'),
+            ...this.chartOptionProperties(),
+          },
+          required: ['birth_datetime', 'birth_latitude', 'birth_longitude', 'return_year'],
+        },
+      },
+      {
+        name: 'calculate_planetary_return',
+        description: 'Find the exact moment a planet returns to its natal longitude (lunar return, Saturn return, etc.) after a start date, and cast the return chart. Lists every pass when retrograde motion causes multiple hits.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            birth_datetime: {
+              type: 'string',
+              description: 'Birth datetime in ISO8601 format, e.g., 1985-04-12T23:20:50Z',
+            },
+            birth_latitude: {
+              type: 'number',
+              description: 'Birth latitude in decimal degrees',
+            },
+            birth_longitude: {
+              type: 'number',
+              description: 'Birth longitude in decimal degrees, positive east',
+            },
+            planet: {
+              type: 'string',
+              enum: Object.keys(RETURN_BODIES),
+              description: 'Body whose return is searched, e.g., Moon for a lunar return',
+            },
+            start_datetime: {
+              type: 'string',
+              description: 'Search for the first return after this ISO8601 datetime (optional, defaults to now)',
+            },
+            return_latitude: {
+              type: 'number',
+              description: 'Latitude for return chart location (optional, defaults to birth location)',
+            },
+            return_longitude: {
+              type: 'number',
+              description: 'Longitude for return chart location (optional, defaults to birth location)',
+            },
+            ...this.renderOptionProperties(),
+            ...this.timeZoneProperties('birth_datetime', 'start_datetime'),
+            ...this.chartOptionProperties(),
+          },
+          required: ['birth_datetime', 'birth_latitude', 'birth_longitude', 'planet'],
+        },
+      },
+      {
+        name: 'calculate_composite',
+        description: 'Calculate relationship charts for two people: a midpoint composite (near midpoints of every planet, angle and house cusp) and/or a Davison chart cast for the midpoint in time and space of both births, with aspects and house placements.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            person1_datetime: {
+              type: 'string',
+              description: 'Person 1 birth datetime in ISO8601 format, e.g., 1985-04-12T23:20:50Z',
+            },
+            person1_latitude: {
+              type: 'number',
+              description: 'Person 1 birth latitude in decimal degrees',
+            },
+            person1_longitude: {
+              type: 'number',
+              description: 'Person 1 birth longitude in decimal degrees, positive east',
+            },
+            person2_datetime: {
+              type: 'string',
+              description: 'Person 2 birth datetime in ISO8601 format, e.g., 1990-08-25T14:30:00Z',
+            },
+            person2_latitude: {
+              type: 'number',
+              description: 'Person 2 birth latitude in decimal degrees',
+            },
+            person2_longitude: {
+              type: 'number',
+              description: 'Person 2 birth longitude in decimal degrees, positive east',
+            },
+            method: {
+              type: 'string',
+              enum: ['midpoint', 'davison', 'both'],
+              description: 'Which relationship chart to calculate (optional, defaults to both)',
+            },
+            davison_location: {
+              type: 'string',
+              enum: ['arithmetic', 'great_circle'],
+              description: 'Davison location: mean of both latitudes and longitudes (Davison\'s original) or the great circle midpoint (optional, defaults to arithmetic)',
+            },
+            ...this.aspectOptionProperties(),
+            ...this.renderOptionProperties(),
+            ...this.timeZoneProperties('person1_datetime', 'person2_datetime'),
+            ...this.chartOptionProperties(),
+          },
+          required: ['person1_datetime', 'person1_latitude', 'person1_longitude', 'person2_datetime', 'person2_latitude', 'person2_longitude'],
+        },
+      },
+      {
+        name: 'calculate_synastry',
+        description: 'Calculate synastry chart between two people for relationship compatibility analysis. Compares planetary positions, angles, nodes and asteroids, calculates aspects and house overlays between the charts, and optionally a weighted compatibility score.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            person1_datetime: {
+              type: 'string',
+              description: 'Person 1 birth datetime in ISO8601 format, e.g., 1985-04-12T23:20:50Z',
+            },
+            person1_latitude: {
+              type: 'number',
+              description: 'Person 1 birth latitude in decimal degrees',
+            },
+            person1_longitude: {
+              type: 'number',
+              description: 'Person 1 birth longitude in decimal degrees, positive east',
+            },
+            person2_datetime: {
+              type: 'string',
+              description: 'Person 2 birth datetime in ISO8601 format, e.g., 1990-08-25T14:30:00Z',
+            },
+            person2_latitude: {
+              type: 'number',
+              description: 'Person 2 birth latitude in decimal degrees',
+            },
+            person2_longitude: {
+              type: 'number',
+              description: 'Person 2 birth longitude in decimal degrees, positive east',
+            },
+            include_score: {
+              type: 'boolean',
+              description: 'Add a weighted compatibility score with category subtotals (optional, defaults to false)',
+            },
+            scoring_weights: {
+              type: 'object',
+              description: 'Overrides for the scoring model, implies include_score: aspect_weights, point_weights and pair_weights map names to numbers (e.g., {"pair_weights": {"Venus-Mars": 2}}); default_point_weight, orb_exponent; categories maps names to point lists; orbs maps aspect names to the orb in degrees within which contacts are found',
+              properties: {
+                aspect_weights: { type: 'object', additionalProperties: { type: 'number' } },
+                point_weights: { type: 'object', additionalProperties: { type: 'number' } },
+                default_point_weight: { type: 'number' },
+                pair_weights: { type: 'object', additionalProperties: { type: 'number' } },
+                orb_exponent: { type: 'number' },
+                categories: { type: 'object', additionalProperties: { type: 'array', items: { type: 'string' } } },
+                orbs: { type: 'object', additionalProperties: { type: 'number' } },
+              },
+            },
+            ...this.fixedStarOptionProperties(),
+            ...this.renderOptionProperties(),
+            ...this.timeZoneProperties('person1_datetime', 'person2_datetime'),
+            ...this.chartOptionProperties(),
+          },
+          required: ['person1_datetime', 'person1_latitude', 'person1_longitude', 'person2_datetime', 'person2_latitude', 'person2_longitude'],
+        },
+      },
+      {
+        name: 'rectify_birth_time',
+        description: 'Scan candidate birth times within a window on the birth date and rank them by how closely transits, secondary progressions and solar arc directions hit the candidate Ascendant and Midheaven at the dates of known life events. Also reports where the Ascendant, Midheaven and Moon signs, house cusp signs and planet houses change across the window.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            birth_date: {
+              type: 'string',
+              description: 'Birth date, e.g., 1962-05-03 (read in birth_timezone, defaults to UTC)',
+            },
+            latitude: {
+              type: 'number',
+              description: 'Birth latitude in decimal degrees',
+            },
+            longitude: {
+              type: 'number',
+              description: 'Birth longitude in decimal degrees, positive east',
+            },
+            window_start: {
+              type: 'string',
+              description: 'Earliest possible birth time as HH:MM local time (optional, defaults to 00:00)',
+            },
+            window_end: {
+              type: 'string',
+              description: 'Latest possible birth time as HH:MM local time (optional, defaults to 23:59)',
+            },
+            step_minutes: {
+              type: 'number',
+              description: `Minutes between candidate times, 1 to 60 (optional, defaults to 4; at most ${MAX_RECTIFICATION_CANDIDATES} candidates)`,
+            },
+            events: {
+              type: 'array',
+              description: `Dated life events (at most ${MAX_RECTIFICATION_EVENTS}). Without events only the window sensitivity is reported.`,
+              items: {
+                type: 'object',
+                properties: {
+                  date: { type: 'string', description: 'ISO8601 date or datetime of the event (UTC unless it carries an offset)' },
+                  description: { type: 'string', description: 'What happened, e.g., marriage' },
+                  weight: { type: 'number', description: 'Importance of the event, 0 to 10 (optional, defaults to 1)' },
+                },
+                required: ['date'],
+              },
+            },
+            techniques: {
+              type: 'array',
+              items: { type: 'string', enum: Object.keys(RECTIFICATION_TECHNIQUES) },
+              description: 'Timing techniques to score (optional, defaults to all: transit, progression, solar_arc)',
+            },
+            max_results: {
+              type: 'number',
+              description: 'Number of ranked candidate times to return, 1 to 20 (optional, defaults to 5)',
+            },
+            ...this.aspectOptionProperties(),
+            ...this.timeZoneProperties('birth_datetime'),
+            ...this.chartOptionProperties(),
+          },
+          required: ['birth_date', 'latitude', 'longitude'],
+        },
+      },
+      {
+        name: 'render_chart_wheel',
+        description: 'Draw a chart wheel (zodiac ring, house cusps, planet glyphs, aspect lines) for a datetime and place, or a bi-wheel with a second chart on the outer ring (transits, progressions, a partner chart). Returns PNG image content and the SVG source.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            datetime: {
+              type: 'string',
+              description: 'ISO8601 datetime of the inner chart, e.g., 1985-04-12T23:20:50Z',
+            },
+            latitude: {
+              type: 'number',
+              description: 'Latitude of the inner chart in decimal degrees',
+            },
+            longitude: {
+              type: 'number',
+              description: 'Longitude of the inner chart in decimal degrees, positive east',
+            },
+            label: {
+              type: 'string',
+              description: 'Name of the inner chart in the legend (optional, defaults to Natal)',
+            },
+            outer_datetime: {
+              type: 'string',
+              description: 'ISO8601 datetime of the outer chart; makes a bi-wheel (optional)',
+            },
+            outer_latitude: {
+              type: 'number',
+              description: 'Latitude of the outer chart (optional, defaults to latitude)',
+            },
+            outer_longitude: {
+              type: 'number',
+              description: 'Longitude of the outer chart (optional, defaults to longitude)',
+            },
+            outer_label: {
+              type: 'string',
+              description: 'Name of the outer chart in the legend (optional, defaults to Outer)',
+            },
+            format: {
+              type: 'string',
+              enum: ['png', 'svg', 'both'],
+              description: 'Output format (optional, defaults to both)',
+            },
+            size: {
+              type: 'number',
+              description: 'Width and height in pixels, 200 to 2400 (optional, defaults to 800)',
+            },
+            show_aspects: {
+              type: 'boolean',
+              description: 'Draw aspect lines: natal aspects on a single wheel, outer-to-inner aspects on a bi-wheel (optional, defaults to true)',
+            },
+            ...this.aspectOptionProperties(),
+            ...this.timeZoneProperties('datetime', 'outer_datetime'),
+            ...this.chartOptionProperties(),
+          },
+          required: ['datetime', 'latitude', 'longitude'],
+        },
+      },
+      {
+        name: 'calculate_astrocartography',
+        description: 'Astrocartography map for a birth moment: where on Earth each body was rising (ASC), setting (DSC), culminating (MC) or anti-culminating (IC), as GeoJSON lines, plus local space azimuths at the birthplace. Given a city, lists the lines within a distance and the local space lines pointing at it.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            birth_datetime: {
+              type: 'string',
+              description: 'Birth datetime in ISO8601 format, e.g., 1985-04-12T23:20:50Z',
+            },
+            latitude: {
+              type: 'number',
+              description: 'Birth latitude in decimal degrees',
+            },
+            longitude: {
+              type: 'number',
+              description: 'Birth longitude in decimal degrees, positive east',
+            },
+            bodies: {
+              type: 'array',
+              items: { type: 'string' },
+              description: `Bodies to map (optional, defaults to ${ACG_BODIES.join(', ')})`,
+            },
+            angles: {
+              type: 'array',
+              items: { type: 'string', enum: ACG_ANGLES },
+              description: 'Angle lines to draw (optional, defaults to ASC, DSC, MC, IC)',
+            },
+            latitude_step: {
+              type: 'number',
+              description: `Latitude spacing of the line vertices in degrees, 0.25 to 5, between ±${ACG_MAX_LATITUDE}° (optional, defaults to 1)`,
+            },
+            city_latitude: {
+              type: 'number',
+              description: 'Latitude of a place to check for nearby lines (optional, requires city_longitude)',
+            },
+            city_longitude: {
+              type: 'number',
+              description: 'Longitude of the place, positive east',
+            },
+            city_name: {
+              type: 'string',
+              description: 'Name of the place, echoed in the result (optional)',
+            },
+            max_distance_km: {
+              type: 'number',
+              description: 'Lines within this distance of the place are listed, 1 to 5000 km (optional, defaults to 500)',
+            },
+            local_space_orb: {
+              type: 'number',
+              description: 'Degrees between the bearing to the place and a local space line, 0 to 15 (optional, defaults to 3)',
+            },
+            ...this.timeZoneProperties('birth_datetime'),
+            ...this.chartOptionProperties(),
+          },
+          required: ['birth_datetime', 'latitude', 'longitude'],
+        },
+      },
+      {
+        name: 'calculate_relocated_chart',
+        description: 'Recast the houses and angles of a birth chart for another location, keeping the natal planets. Shows which planets change house, which become angular and the local space azimuths at the new place.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            birth_datetime: {
+              type: 'string',
+              description: 'Birth datetime in ISO8601 format, e.g., 1985-04-12T23:20:50Z',
+            },
+            latitude: {
+              type: 'number',
+              description: 'Birth latitude in decimal degrees',
+            },
+            longitude: {
+              type: 'number',
+              description: 'Birth longitude in decimal degrees, positive east',
+            },
+            relocation_latitude: {
+              type: 'number',
+              description: 'Latitude of the new location in decimal degrees',
+            },
+            relocation_longitude: {
+              type: 'number',
+              description: 'Longitude of the new location in decimal degrees, positive east',
+            },
+            relocation_name: {
+              type: 'string',
+              description: 'Name of the new location, echoed in the result (optional)',
+            },
+            angular_orb: {
+              type: 'number',
+              description: 'Orb in degrees for planets conjunct the relocated angles, 0 to 15 (optional, defaults to 5)',
+            },
+            ...this.timeZoneProperties('birth_datetime'),
+            ...this.chartOptionProperties(),
+          },
+          required: ['birth_datetime', 'latitude', 'longitude', 'relocation_latitude', 'relocation_longitude'],
+        },
+      },
+      {
+        name: 'calculate_dignities',
+        description: 'Traditional chart analysis: sect, essential dignities of the seven planets (domicile, exaltation, triplicity, terms, face, detriment, fall, peregrine) with scores and lords, mutual receptions, and Hellenistic lots with day/night formulas.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            datetime: {
+              type: 'string',
+              description: 'ISO8601 datetime, e.g., 1985-04-12T23:20:50Z',
+            },
+            latitude: {
+              type: 'number',
+              description: 'Latitude in decimal degrees',
+            },
+            longitude: {
+              type: 'number',
+              description: 'Longitude in decimal degrees, positive east',
+            },
+            ...this.lotOptionProperties(),
+            dignity_scores: {
+              type: 'object',
+              additionalProperties: { type: 'number' },
+              description: `Point values overriding ${Object.entries(DEFAULT_DIGNITY_SCORES).map(([name, score]) => `${name} ${score}`).join(', ')}`,
+            },
+            ...this.timeZoneProperties('datetime'),
+            ...this.chartOptionProperties(),
+          },
+          required: ['datetime', 'latitude', 'longitude'],
+        },
+      },
+      {
+        name: 'calculate_time_lords',
+        description: 'Hellenistic and medieval time-lord periods in force at a date: annual and monthly profections, zodiacal releasing from the Lots of Fortune and Spirit (levels 1 to 3 with peaks and loosing of the bond) and firdaria.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            birth_datetime: {
+              type: 'string',
+              description: 'Birth datetime in ISO8601 format, e.g., 1985-04-12T23:20:50Z',
+            },
+            latitude: {
+              type: 'number',
+              description: 'Birth latitude in decimal degrees',
+            },
+            longitude: {
+              type: 'number',
+              description: 'Birth longitude in decimal degrees, positive east',
+            },
+            target_date: {
+              type: 'string',
+              description: 'Date to find the time lords for, ISO8601 (optional, defaults to now)',
+            },
+            techniques: {
+              type: 'array',
+              items: { type: 'string', enum: ['profections', 'zodiacal_releasing', 'firdaria'] },
+              description: 'Techniques to include (optional, defaults to all)',
+            },
+            releasing_lots: {
+              type: 'array',
+              items: { type: 'string', enum: Object.keys(LOTS) },
+              description: 'Lots to release from (optional, defaults to Fortune and Spirit)',
+            },
+            ...this.timeZoneProperties('birth_datetime', 'target_date'),
+            ...this.chartOptionProperties(),
+          },
+          required: ['birth_datetime', 'latitude', 'longitude'],
+        },
+      },
+      {
+        name: 'calculate_vedic_chart',
+        description: 'Vedic (Jyotish) chart in the sidereal zodiac: lagna and the nine grahas including Rahu and Ketu with rashi, nakshatra and pada, the Rasi chart, divisional charts (D2 to D60, e.g. D9 Navamsa, D10 Dasamsa) and Vimshottari maha, antar and pratyantar dashas from the Moon\'s nakshatra.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            datetime: {
+              type: 'string',
+              description: 'Birth datetime in ISO8601 format, e.g., 1985-04-12T23:20:50Z',
+            },
+            latitude: {
+              type: 'number',
+              description: 'Latitude in decimal degrees',
+            },
+            longitude: {
+              type: 'number',
+              description: 'Longitude in decimal degrees, positive east',
+            },
+            divisional_charts: {
+              type: 'array',
+              items: { type: 'string', enum: Object.keys(VARGAS).filter(varga => varga !== 'D1') },
+              description: `Divisional charts besides the Rasi chart (optional, defaults to ${DEFAULT_VARGAS.join(', ')})`,
+            },
+            target_date: {
+              type: 'string',
+              description: 'Date for the dasha periods in force, ISO8601 (optional, defaults to now)',
+            },
+            ...this.timeZoneProperties('datetime', 'target_date'),
+            ...this.chartOptionProperties(),
+            zodiac: {
+              type: 'string',
+              enum: ['sidereal'],
+              description: 'Zodiac (always sidereal)',
+            },
+            house_system: {
+              type: 'string',
+              enum: Object.keys(HOUSE_SYSTEMS),
+              description: 'House system of the bhava cusps (optional, defaults to whole_sign). Rasi and divisional chart houses are always whole sign houses.',
+            },
+            node_type: {
+              type: 'string',
+              enum: ['true', 'mean'],
+              description: 'Rahu and Ketu calculation (optional, defaults to mean)',
+            },
+          },
+          required: ['datetime', 'latitude', 'longitude'],
+        },
+      },
+      {
+        name: 'calculate_midpoints_and_harmonics',
+        description: 'Cosmobiology and harmonic analysis: the midpoints of every pair of points including the angles, midpoint trees (midpoint pictures within orb on the 90° and 45° dials), harmonic charts (H5, H7, H9 or any harmonic) with aspects recomputed in the harmonic, and optionally transits, secondary progressions and solar arcs activating the natal midpoints.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            datetime: {
+              type: 'string',
+              description: 'Birth datetime in ISO8601 format, e.g., 1985-04-12T23:20:50Z',
+            },
+            latitude: {
+              type: 'number',
+              description: 'Latitude in decimal degrees',
+            },
+            longitude: {
+              type: 'number',
+              description: 'Longitude in decimal degrees, positive east',
+            },
+            dials: {
+              type: 'array',
+              items: { type: 'integer', enum: MIDPOINT_DIALS },
+              description: 'Dials to read midpoint pictures on, in degrees (optional, defaults to 90 and 45)',
+            },
+            dial_orb: {
+              type: 'number',
+              description: 'Orb in degrees of arc for midpoint pictures and activations, 0 to 5 (optional, defaults to 1.5)',
+            },
+            harmonics: {
+              type: 'array',
+              items: { type: 'integer', minimum: 1, maximum: MAX_HARMONIC },
+              description: `Harmonic charts to calculate (optional, defaults to ${DEFAULT_HARMONICS.join(', ')}; an empty array skips them)`,
+            },
+            transit_datetime: {
+              type: 'string',
+              description: 'Transit datetime, ISO8601; transiting planets activating natal midpoints are listed (optional)',
+            },
+            progression_date: {
+              type: 'string',
+              description: 'Date for secondary progressions and solar arc directions activating natal midpoints, ISO8601 (optional)',
+            },
+            ...this.aspectOptionProperties(),
+            ...this.timeZoneProperties('datetime', 'transit_datetime', 'progression_date'),
+            ...this.chartOptionProperties(),
+          },
+          required: ['datetime', 'latitude', 'longitude'],
+        },
+      },
+      {
+        name: 'calculate_charts_batch',
+        description: `Calculate up to ${MAX_BATCH_CHARTS} birth charts in one request, with the same chart options for all, and optionally the synastry aspects and house overlays of every pair. Charts already calculated recently are served from the chart cache.`,
+        inputSchema: {
+          type: 'object',
+          properties: {
+            charts: {
+              type: 'array',
+              minItems: 1,
+              maxItems: MAX_BATCH_CHARTS,
+              description: 'Birth records to chart, each with datetime, latitude and longitude, or profile_id',
+              items: {
+                type: 'object',
+                properties: {
+                  label: { type: 'string', description: 'Unique name of the record in the results (optional, defaults to Chart 1, Chart 2, ...)' },
+                  datetime: { type: 'string', description: 'Birth datetime in ISO8601 format, e.g., 1985-04-12T23:20:50Z' },
+                  latitude: { type: 'number', description: 'Birth latitude in decimal degrees' },
+                  longitude: { type: 'number', description: 'Birth longitude in decimal degrees, positive east' },
+                  timezone: { type: 'string', description: 'Time zone of datetime: IANA name, UTC offset or LMT; datetime is then local time without offset (optional, defaults to UTC)' },
+                  profile_id: { type: 'string', description: 'ID of a saved profile whose birth data replaces datetime, latitude, longitude and timezone; the label defaults to the profile name (optional)' },
+                },
+              },
+            },
+            include_synastry: {
+              type: 'boolean',
+              description: 'Add synastry aspects and house overlays for every pair of charts (optional, defaults to false)',
+            },
+            calendar: {
+              type: 'string',
+              enum: ['auto', 'gregorian', 'julian'],
+              description: 'Calendar of the birth dates: auto reads dates before 1582-10-15 as Julian like swetest (optional, defaults to auto)',
+            },
+            disambiguation: {
+              type: 'string',
+              enum: ['earlier', 'later', 'reject'],
+              description: 'Local time that occurs twice when clocks go back: take the earlier or later instant, or reject it (optional, defaults to earlier)',
+            },
+            ...this.chartOptionProperties(),
+          },
+          required: ['charts'],
+        },
+      },
+      {
+        name: 'save_profile',
+        description: 'Save a named person\'s birth data as a profile. Other tools then take the profile ID (profile_id, person1_profile_id, ...) in place of the birth datetime and coordinates, and the natal chart is available as the resource chart://profiles/{id}/natal.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            name: {
+              type: 'string',
+              description: 'Name of the person or chart, up to 100 characters',
+            },
+            id: {
+              type: 'string',
+              description: 'Profile ID: lowercase letters, digits and hyphens (optional, defaults to one made from the name)',
+            },
+            datetime: {
+              type: 'string',
+              description: 'Birth datetime in ISO8601 format, e.g., 1985-04-12T23:20:50Z, or local time with timezone',
+            },
+            latitude: {
+              type: 'number',
+              description: 'Birth latitude in decimal degrees',
+            },
+            longitude: {
+              type: 'number',
+              description: 'Birth longitude in decimal degrees, positive east',
+            },
+            notes: {
+              type: 'string',
+              description: 'Free text such as the birth place or the source of the birth time, up to 2000 characters (optional)',
+            },
+            ...this.timeZoneProperties('datetime'),
+          },
+          required: ['name', 'datetime', 'latitude', 'longitude'],
+        },
+      },
+      {
+        name: 'list_profiles',
+        description: 'List saved profiles with their birth data and resource URIs.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            query: {
+              type: 'string',
+              description: 'Only profiles whose name or notes contain this text, ignoring case (optional)',
+            },
+          },
+          required: [],
+        },
+      },
+      {
+        name: 'update_profile',
+        description: 'Change a saved profile. Only the fields given are changed; the birth datetime is resolved to UTC again with the profile\'s time zone and calendar.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            profile_id: {
+              type: 'string',
+              description: 'ID of the profile to change',
+            },
+            name: {
+              type: 'string',
+              description: 'New name',
+            },
+            datetime: {
+              type: 'string',
+              description: 'New birth datetime in ISO8601 format',
+            },
+            latitude: {
+              type: 'number',
+              description: 'New birth latitude in decimal degrees',
+            },
+            longitude: {
+              type: 'number',
+              description: 'New birth longitude in decimal degrees, positive east',
+            },
+            notes: {
+              type: ['string', 'null'],
+              description: 'New notes, or null to remove them',
+            },
+            ...this.timeZoneProperties('datetime'),
+            timezone: {
+              type: ['string', 'null'],
+              description: 'New time zone of datetime (IANA name, UTC offset or LMT), or null to read datetime as UTC or by its own offset',
+            },
+          },
+          required: ['profile_id'],
+        },
+      },
+      {
+        name: 'delete_profile',
+        description: 'Delete a saved profile.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            profile_id: {
+              type: 'string',
+              description: 'ID of the profile to delete',
+            },
+          },
+          required: ['profile_id'],
+        },
+      },
+    ].map(tool => {
+      // Birth data a profile argument stands in for is no longer required; the tools check it
+      const profileArguments = PROFILE_ARGUMENTS[tool.name] || {};
+      const replaced = Object.values(profileArguments).flat();
+      return {
+        ...tool,
+        inputSchema: {
+          ...tool.inputSchema,
+          properties: { ...tool.inputSchema.properties, ...this.profileOptionProperties(profileArguments), ...this.outputOptionProperties() },
+          required: tool.inputSchema.required.filter(argument => !replaced.includes(argument)),
+        },
+        outputSchema: outputSchemas[tool.name],
+      };
+    });
+  }
+
+  profileOptionProperties(profileArguments) {
+    // Input schema properties for the profile arguments of a tool (see PROFILE_ARGUMENTS)
+    return Object.fromEntries(Object.entries(profileArguments).map(([argument, replaced]) => [argument, {
+      type: 'string',
+      description: `ID of a saved profile whose birth data replaces ${replaced.join(', ')} (optional)`,
+    }]));
+  }
+
+  outputOptionProperties() {
+    // Input schema property shared by every tool for the size of the result
+    return {
+      compact: {
+        type: 'boolean',
+        description: 'Leave out the nested input charts repeated in the result (natal_chart, person1_chart, person2_chart) and return unindented JSON text (optional, defaults to false)',
+      },
+    };
+  }
+
+  positionOutputSchema(properties = {}) {
+    // A zodiac position as formatToolResult returns it
+    return {
+      type: 'object',
+      properties: {
+        longitude: { type: 'number', description: 'Ecliptic longitude in degrees, 0 to 360' },
+        sign: { type: 'string', enum: SIGNS },
+        degree: { type: 'number', description: 'Degree within the sign, 2 decimals' },
+        dms: { type: 'string', description: 'Degrees, minutes and seconds within the sign, e.g. 22°59\'05" Aries' },
+        ...properties,
+      },
+      required: ['longitude', 'sign', 'degree', 'dms'],
+    };
+  }
+
+  chartOutputSchema(required = ['planets', 'houses', 'chart_points', 'settings']) {
+    // A chart from calculateEphemeris; relationship and directed charts carry fewer fields
+    const positions = schema => ({ type: 'object', additionalProperties: schema });
+    return {
+      type: 'object',
+      properties: {
+        planets: positions(this.positionOutputSchema({
+          speed: { type: 'number', description: 'Degrees per day' },
+          retrograde: { type: 'boolean' },
+          latitude: { type: 'number' },
+          declination: { type: 'number' },
+          right_ascension: { type: 'number' },
+          distance_au: { type: 'number' },
+          out_of_bounds: { type: 'boolean' },
+        })),
+        houses: positions(this.positionOutputSchema()),
+        chart_points: positions(this.positionOutputSchema()),
+        additional_points: positions(this.positionOutputSchema()),
+        datetime: { type: 'string' },
+        coordinates: this.coordinatesOutputSchema(),
+        settings: { type: 'object' },
+        missing_bodies: { type: 'array' },
+        warnings: { type: 'array', items: { type: 'string' } },
+      },
+      required,
+    };
+  }
+
+  coordinatesOutputSchema() {
+    return {
+      type: 'object',
+      properties: { latitude: { type: 'number' }, longitude: { type: 'number' } },
+      required: ['latitude', 'longitude'],
+    };
+  }
+
+  aspectOutputSchema() {
+    return {
+      type: 'object',
+      properties: {
+        point1: { type: 'string' },
+        point2: { type: 'string' },
+        aspect: { type: 'string' },
+        aspect_type: { type: 'string' },
+        aspect_angle: { type: 'number' },
+        orb: { type: 'number' },
+        exact_angle: { type: 'number' },
+        applying: { type: ['boolean', 'null'] },
+        status: { type: ['string', 'null'], enum: ['applying', 'separating', null] },
+      },
+      required: ['point1', 'point2', 'aspect', 'orb', 'exact_angle'],
+    };
+  }
+
+  resultOutputSchema(properties, required = []) {
+    // Fields every result may carry: the contract version, the time zone resolution of datetime
+    // arguments, the saved profiles used for birth data and the chart wheel description when render is set
+    return {
+      type: 'object',
+      properties: {
+        schema_version: { type: 'string', const: RESPONSE_SCHEMA_VERSION },
+        ...properties,
+        calculation_time: { type: 'string' },
+        time_resolution: { type: 'object', additionalProperties: { type: 'object' } },
+        used_profiles: { type: 'object', additionalProperties: { type: 'object', properties: { id: { type: 'string' }, name: { type: 'string' } } } },
+        chart_wheel: { type: 'object' },
+      },
+      required: ['schema_version', ...required],
+    };
+  }
+
+  toolOutputSchemas() {
+    // Output schema of every tool's structuredContent. Nested objects list their main fields;
+    // objects may gain fields within a schema version.
+    const string = { type: 'string' };
+    const number = { type: 'number' };
+    const integer = { type: 'integer' };
+    const object = { type: 'object' };
+    const objects = { type: 'array', items: object };
+    const strings = { type: 'array', items: string };
+    const nullableString = { type: ['string', 'null'] };
+    const chart = this.chartOutputSchema();
+    const position = this.positionOutputSchema();
+    const aspects = { type: 'array', items: this.aspectOutputSchema() };
+    const patterns = { type: 'array', items: { type: 'object', properties: { pattern: string, points: strings }, required: ['pattern', 'points'] } };
+    const coordinates = this.coordinatesOutputSchema();
+    const common = { datetime: string, coordinates, settings: object, warnings: strings };
+    const relationshipChart = {
+      type: 'object',
+      properties: {
+        method: object,
+        datetime: string,
+        coordinates,
+        chart: this.chartOutputSchema(['planets', 'houses', 'chart_points']),
+        aspects,
+        aspect_patterns: patterns,
+        house_placements: { type: 'object', additionalProperties: { type: ['integer', 'null'] } },
+      },
+      required: ['method', 'chart', 'aspects'],
+    };
+    const period = { type: 'object', properties: { lord: string, start: string, end: string }, required: ['lord', 'start', 'end'] };
+    const profile = {
+      type: 'object',
+      properties: {
+        id: string,
+        name: string,
+        datetime: string,
+        timezone: nullableString,
+        calendar: string,
+        disambiguation: string,
+        latitude: number,
+        longitude: number,
+        notes: nullableString,
+        utc: string,
+        created_at: string,
+        updated_at: string,
+      },
+      required: ['id', 'name', 'datetime', 'latitude', 'longitude', 'utc'],
+    };
+
+    return {
+      calculate_planetary_positions: this.resultOutputSchema({
+        ...chart.properties,
+        aspects,
+        aspect_patterns: patterns,
+        fixed_star_conjunctions: objects,
+        missing_fixed_stars: strings,
+      }, ['planets', 'houses', 'chart_points', 'datetime', 'settings', 'aspects', 'aspect_patterns']),
+      calculate_fixed_stars: this.resultOutputSchema({
+        stars: { type: 'object', additionalProperties: this.positionOutputSchema({ magnitude: number, constellation: string }) },
+        missing_fixed_stars: strings,
+        conjunctions: objects,
+        parans: objects,
+        ...common,
+      }, ['stars', 'conjunctions', 'parans', 'datetime']),
+      calculate_natal_aspects: this.resultOutputSchema({
+        aspects,
+        aspect_patterns: patterns,
+        points: { type: 'object', additionalProperties: position },
+        ...common,
+      }, ['aspects', 'aspect_patterns', 'points', 'datetime']),
+      calculate_transits: this.resultOutputSchema({
+        natal_chart: chart,
+        current_transits: chart,
+        transit_datetime: string,
+      }, ['current_transits', 'transit_datetime']),
+      calculate_transit_timeline: this.resultOutputSchema({
+        natal_chart: chart,
+        start_date: string,
+        end_date: string,
+        events: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: { transiting: string, natal: string, aspect: string, entry: nullableString, exact: objects, exit: nullableString, closest_approach: object },
+            required: ['transiting', 'natal', 'aspect', 'exact'],
+          },
+        },
+      }, ['start_date', 'end_date', 'events']),
+      find_eclipses: this.resultOutputSchema({
+        start_date: string,
+        end_date: string,
+        eclipses: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: { kind: { type: 'string', enum: ['solar', 'lunar'] }, type: string, maximum: string, magnitude: number, position, local: object },
+            required: ['kind', 'type', 'maximum'],
+          },
+        },
+      }, ['start_date', 'end_date', 'eclipses']),
+      generate_ephemeris: this.resultOutputSchema({
+        start_date: string,
+        end_date: string,
+        step: string,
+        bodies: strings,
+        settings: object,
+        rows: {
+          type: 'array',
+          items: { type: 'object', properties: { datetime: string, positions: { type: 'object', additionalProperties: position } }, required: ['datetime', 'positions'] },
+        },
+      }, ['start_date', 'end_date', 'rows']),
+      find_sky_events: this.resultOutputSchema({
+        start_date: string,
+        end_date: string,
+        events: { type: 'array', items: { type: 'object', properties: { type: string, datetime: string }, required: ['type'] } },
+      }, ['start_date', 'end_date', 'events']),
+      calculate_progressions: this.resultOutputSchema({
+        natal_chart: chart,
+        target_date: string,
+        age_years: number,
+        progressed_datetime: string,
+        mc_method: string,
+        solar_arc: number,
+        progressed_chart: chart,
+        solar_arc_chart: this.chartOutputSchema(['planets', 'chart_points']),
+        progressed_aspects: aspects,
+        solar_arc_aspects: aspects,
+      }, ['progressed_chart', 'solar_arc_chart', 'progressed_aspects', 'solar_arc_aspects']),
+      calculate_solar_revolution: this.resultOutputSchema({
+        natal_chart: chart,
+        solar_return_chart: chart,
+        natal_sun_longitude: number,
+        return_sun_longitude: number,
+        return_datetime: string,
+        residual_arcseconds: number,
+      }, ['solar_return_chart', 'return_datetime']),
+      calculate_planetary_return: this.resultOutputSchema({
+        natal_chart: chart,
+        return_chart: chart,
+        planet: string,
+        natal_longitude: number,
+        return_longitude: number,
+        return_datetime: string,
+        residual_arcseconds: number,
+        passes: objects,
+      }, ['return_chart', 'planet', 'return_datetime']),
+      calculate_composite: this.resultOutputSchema({
+        person1_chart: chart,
+        person2_chart: chart,
+        composite: relationshipChart,
+        davison: relationshipChart,
+      }),
+      calculate_synastry: this.resultOutputSchema({
+        person1_chart: chart,
+        person2_chart: chart,
+        synastry_aspects: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: { person1_planet: string, person2_planet: string, aspect: string, orb: number, exact_angle: number, person1_position: position, person2_position: position },
+            required: ['person1_planet', 'person2_planet', 'aspect', 'orb', 'exact_angle'],
+          },
+        },
+        house_overlays: object,
+      }, ['synastry_aspects', 'house_overlays']),
+      rectify_birth_time: this.resultOutputSchema({
+        birth_date: string,
+        coordinates,
+        window: object,
+        techniques: strings,
+        candidates: {
+          type: 'array',
+          items: { type: 'object', properties: { datetime: string, local_time: string, score: number, events_matched: integer, hits: objects }, required: ['datetime', 'score'] },
+        },
+        window_sensitivity: object,
+      }, ['window', 'candidates', 'window_sensitivity']),
+      render_chart_wheel: this.resultOutputSchema({
+        charts: { type: 'array', items: { type: 'object', properties: { label: string, datetime: string, coordinates, settings: object, warnings: strings }, required: ['label', 'datetime'] } },
+      }, ['charts', 'chart_wheel']),
+      calculate_astrocartography: this.resultOutputSchema({
+        ...common,
+        greenwich_sidereal_time: number,
+        lines: { type: 'object', properties: { type: { type: 'string', const: 'FeatureCollection' }, features: objects }, required: ['type', 'features'] },
+        local_space: objects,
+      }, ['lines']),
+      calculate_relocated_chart: this.resultOutputSchema({
+        natal_chart: chart,
+        relocated_chart: chart,
+        relocation: object,
+        angle_shifts: object,
+        house_changes: objects,
+        angular_planets: objects,
+        local_space: objects,
+      }, ['relocated_chart', 'relocation']),
+      calculate_dignities: this.resultOutputSchema({
+        ...common,
+        sect: object,
+        dignities: { type: 'object', additionalProperties: { type: 'object', properties: { score: number }, required: ['score'] } },
+        totals: object,
+        mutual_receptions: objects,
+        lots: { type: 'array', items: this.positionOutputSchema({ name: string, formula: string }) },
+      }, ['sect', 'dignities', 'lots']),
+      calculate_time_lords: this.resultOutputSchema({
+        birth_datetime: string,
+        target_date: string,
+        sect: { type: 'string', enum: ['day', 'night'] },
+        profections: object,
+        zodiacal_releasing: objects,
+        firdaria: object,
+        settings: object,
+        warnings: strings,
+      }, ['birth_datetime', 'target_date', 'sect']),
+      calculate_vedic_chart: this.resultOutputSchema({
+        ...common,
+        ayanamsa: { type: 'object', properties: { name: string, degrees: number }, required: ['name', 'degrees'] },
+        lagna: this.positionOutputSchema({ rashi: string, nakshatra: string, pada: integer }),
+        grahas: { type: 'object', additionalProperties: this.positionOutputSchema({ rashi: string, nakshatra: string, pada: integer, house: integer }) },
+        rasi: object,
+        divisional_charts: { type: 'object', additionalProperties: object },
+        bhava_cusps: { type: 'object', additionalProperties: position },
+        vimshottari_dasha: {
+          type: 'object',
+          properties: {
+            current: {
+              type: 'object',
+              properties: { maha_dasha: { oneOf: [period, { type: 'null' }] }, antar_dasha: { oneOf: [period, { type: 'null' }] }, pratyantar_dasha: { oneOf: [period, { type: 'null' }] } },
+            },
+            maha_dashas: { type: 'array', items: period },
+          },
+          required: ['current', 'maha_dashas'],
+        },
+      }, ['ayanamsa', 'lagna', 'grahas', 'rasi', 'vimshottari_dasha']),
+      calculate_midpoints_and_harmonics: this.resultOutputSchema({
+        ...common,
+        dial_orb: number,
+        midpoints: { type: 'array', items: this.positionOutputSchema({ midpoint: string, points: strings, dial_90: number, dial_45: number }) },
+        midpoint_trees: { type: 'object', additionalProperties: { type: 'object', additionalProperties: objects } },
+        harmonic_charts: {
+          type: 'object',
+          additionalProperties: {
+            type: 'object',
+            properties: { harmonic: integer, positions: { type: 'object', additionalProperties: position }, aspects, aspect_patterns: patterns },
+            required: ['harmonic', 'positions', 'aspects'],
+          },
+        },
+        activations: object,
+      }, ['midpoints', 'midpoint_trees', 'harmonic_charts']),
+      calculate_charts_batch: this.resultOutputSchema({
+        charts: {
+          type: 'array',
+          items: { type: 'object', properties: { label: string, chart, time_resolution: object }, required: ['label', 'chart'] },
+        },
+        chart_cache: { type: 'object', properties: { hits: integer, misses: integer }, required: ['hits', 'misses'] },
+        synastry: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: { person1: string, person2: string, synastry_aspects: objects, house_overlays: object },
+            required: ['person1', 'person2', 'synastry_aspects', 'house_overlays'],
+          },
+        },
+      }, ['charts', 'chart_cache']),
+      save_profile: this.resultOutputSchema({ profile, time_resolution: object, resources: strings }, ['profile', 'resources']),
+      list_profiles: this.resultOutputSchema({
+        profiles: { type: 'array', items: { ...profile, properties: { ...profile.properties, resources: strings } } },
+        count: integer,
+      }, ['profiles', 'count']),
+      update_profile: this.resultOutputSchema({ profile, time_resolution: object, resources: strings }, ['profile', 'resources']),
+      delete_profile: this.resultOutputSchema({ deleted: profile }, ['deleted']),
+    };
+  }
+
+  setupToolHandlers(server, profileOwner) {
+    server.setRequestHandler(ListToolsRequestSchema, async () => {
+      return {
+        tools: this.toolDefinitions(),
+      };
+    });
+
+    server.setRequestHandler(CallToolRequestSchema, async (request) => {
+      const { name, arguments: args } = request.params;
+
+      try {
+        const result = await this.handleToolCall(name, args, profileOwner);
+        const content = [
+          {
+            type: 'text',
+            text: args?.compact ? JSON.stringify(result) : JSON.stringify(result, null, 2),
+          },
+        ];
+
+        const wheel = result[CHART_WHEEL];
+        if (wheel?.png) {
+          content.push({ type: 'image', data: wheel.png, mimeType: 'image/png' });
+        }
+        if (wheel?.svg) {
+          content.push({ type: 'text', text: wheel.svg });
+        }
+        return { content, structuredContent: result };
+      } catch (error) {
+        if (error instanceof McpError) {
+          throw error;
+        }
+        throw new McpError(
+          ErrorCode.InternalError,
+          `Tool execution failed: ${error.message}`
+        );
+      }
+    });
+  }
+
+  setupResourceHandlers(server, profileOwner) {
+    // Saved profiles as resources: chart://profiles/{id} is the stored birth data and
+    // chart://profiles/{id}/natal the natal chart as calculate_planetary_positions returns it
+    server.setRequestHandler(ListResourcesRequestSchema, async () => ({
+      resources: this.profileStore.list(profileOwner).map(profile => ({
+        uri: `chart://profiles/${profile.id}/natal`,
+        name: `${profile.name} natal chart`,
+        description: `Natal chart of ${profile.name}, born ${profile.datetime}${profile.timezone ? ` (${profile.timezone})` : ''} at ${profile.latitude}, ${profile.longitude}`,
+        mimeType: 'application/json',
+      })),
+    }));
+
+    server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({
+      resourceTemplates: [
+        {
+          uriTemplate: 'chart://profiles/{id}/natal',
+          name: 'Profile natal chart',
+          description: 'Natal chart of a saved profile with aspects, in the default chart settings',
+          mimeType: 'application/json',
+        },
+        {
+          uriTemplate: 'chart://profiles/{id}',
+          name: 'Profile',
+          description: 'Birth data of a saved profile',
+          mimeType: 'application/json',
+        },
+      ],
+    }));
+
+    server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+      const { uri } = request.params;
+      const match = uri.match(/^chart:\/\/profiles\/([^/]+)(\/natal)?$/);
+      const profile = match && this.profileStore.get(profileOwner, match[1]);
+      if (!profile) {
+        throw new McpError(
+          ErrorCode.InvalidParams,
+          `Unknown resource: ${uri}`
+        );
+      }
+
+      const content = match[2]
+        ? await this.handleToolCall('calculate_planetary_positions', { profile_id: profile.id }, profileOwner)
+        : this.formatToolResult('list_profiles', { profile });
+      return {
+        contents: [{ uri, mimeType: 'application/json', text: JSON.stringify(content, null, 2) }],
+      };
+    });
+  }
+
+  notifyResourceListChanged(profileOwner) {
+    // Only the owner's sessions see the change. Sessions that are not connected yet, or no
+    // longer, have nobody to notify.
+    for (const [server, owner] of this.servers) {
+      if (owner === profileOwner) server.sendResourceListChanged().catch(() => {});
+    }
+  }
+
+  formatDateToSwiss(date) {
+    // Format date as DD.MM.YYYY using UTC components. swetest reads dates before the Gregorian
+    // reform as Julian calendar dates, so those are converted to the Julian calendar.
+    let day = date.getUTCDate();
+    let month = date.getUTCMonth() + 1;
+    let year = date.getUTCFullYear();
+    if (date.getTime() < GREGORIAN_REFORM) {
+      ({ year, month, day } = this.julianDayToCalendar(date.getTime() / 86400000 + 2440587.5, 'julian'));
+    }
+    return `${String(day).padStart(2, '0')}.${String(month).padStart(2, '0')}.${year}`;
+  }
+
+  formatTimeToSwiss(date) {
+    // Format time as HH:MM:SS using UTC components
+    const hours = String(date.getUTCHours()).padStart(2, '0');
+    const minutes = String(date.getUTCMinutes()).padStart(2, '0');
+    const seconds = String(date.getUTCSeconds()).padStart(2, '0');
+    return `${hours}:${minutes}:${seconds}`;
+  }
+
+  parsePlanetLine(line) {
+    // Parse planet position line from swetest output (-fPZbsRad)
+    // Format: "Sun            ,22 le 53'51.2332,  0.0001234,  0.9571234,  1.0123456, 9.6543210, 15.2345678"
+    // i.e. name, zodiacal position, ecliptic latitude, daily speed in longitude, distance (AU),
+    // right ascension (decimal hours) and declination, all decimal
+    const parts = line.trim().split(',');
+    if (parts.length < 2) return null;
+
+    const name = parts[0].trim();
+    const positionStr = parts[1].trim();
+    
+    // Parse position like "22 le 53'51.2332" or "2 cp 21' 3.2731" (note space after apostrophe)
+    const posMatch = positionStr.match(/^(\d+)\s+([a-z]{2})\s+(\d+)'\s*([\d.]+)$/i);
+    if (!posMatch) return null;
+
+    const degrees = parseInt(posMatch[1]);
+    const signAbbr = posMatch[2].toLowerCase();
+    const minutes = parseInt(posMatch[3]);
+    const seconds = parseFloat(posMatch[4]);
+
+    // Map sign abbreviations to full names and calculate longitude
+    const signMap = {
+      'ar': { name: 'Aries', offset: 0 },
+      'ta': { name: 'Taurus', offset: 30 },
+      'ge': { name: 'Gemini', offset: 60 },
+      'cn': { name: 'Cancer', offset: 90 },
+      'le': { name: 'Leo', offset: 120 },
+      'vi': { name: 'Virgo', offset: 150 },
+      'li': { name: 'Libra', offset: 180 },
+      'sc': { name: 'Scorpio', offset: 210 },
+      'sa': { name: 'Sagittarius', offset: 240 },
+      'cp': { name: 'Capricorn', offset: 270 },
+      'aq': { name: 'Aquarius', offset: 300 },
+      'pi': { name: 'Pisces', offset: 330 }
+    };
+
+    const signInfo = signMap[signAbbr];
+    if (!signInfo) return null;
+
+    // Calculate total longitude in degrees
+    const longitude = signInfo.offset + degrees + (minutes / 60) + (seconds / 3600);
+    const [latitude, speed, distance, rightAscensionHours, declination] = parts.slice(2, 7).map(value => parseFloat(value));
+
+    return {
+      name,
+      longitude,
+      sign: signInfo.name,
+      degree: Math.round((degrees + (minutes / 60) + (seconds / 3600)) * 100) / 100,
+      latitude,
+      speed,
+      distance,
+      rightAscension: rightAscensionHours * 15,
+      declination
+    };
+  }
+
+  parseHouseLine(line) {
+    // Parse house cusp line from swetest output
+    // Format: "house  1       ,13 cn 39'52.5152"
+    const parts = line.trim().split(',');
+    if (parts.length < 2) return null;
+
+    const houseMatch = parts[0].trim().match(/^house\s+(\d+)/);
+    if (!houseMatch) return null;
+
+    const house = parseInt(houseMatch[1]);
+    const positionStr = parts[1].trim();
+    
+    // Parse position like "13 cn 39'52.5152" (allow optional spaces after apostrophe)
+    const posMatch = positionStr.match(/^(\d+)\s+([a-z]{2})\s+(\d+)'\s*([\d.]+)$/i);
+    if (!posMatch) return null;
+
+    const degrees = parseInt(posMatch[1]);
+    const signAbbr = posMatch[2].toLowerCase();
+    const minutes = parseInt(posMatch[3]);
+    const seconds = parseFloat(posMatch[4]);
+
+    // Map sign abbreviations to full names and calculate longitude
+    const signMap = {
+      'ar': { name: 'Aries', offset: 0 },
+      'ta': { name: 'Taurus', offset: 30 },
+      'ge': { name: 'Gemini', offset: 60 },
+      'cn': { name: 'Cancer', offset: 90 },
+      'le': { name: 'Leo', offset: 120 },
+      'vi': { name: 'Virgo', offset: 150 },
+      'li': { name: 'Libra', offset: 180 },
+      'sc': { name: 'Scorpio', offset: 210 },
+      'sa': { name: 'Sagittarius', offset: 240 },
+      'cp': { name: 'Capricorn', offset: 270 },
+      'aq': { name: 'Aquarius', offset: 300 },
+      'pi': { name: 'Pisces', offset: 330 }
+    };
+
+    const signInfo = signMap[signAbbr];
+    if (!signInfo) return null;
+
+    // Calculate total longitude in degrees
+    const longitude = signInfo.offset + degrees + (minutes / 60) + (seconds / 3600);
+
+    return {
+      house,
+      longitude,
+      sign: signInfo.name,
+      degree: Math.round((degrees + (minutes / 60) + (seconds / 3600)) * 100) / 100
+    };
+  }
+
+  parseChartPointLine(line) {
+    // Parse chart point line from swetest output
+    // Format: "Ascendant      ,13 cn 39'52.5152"
+    const parts = line.trim().split(',');
+    if (parts.length < 2) return null;
+
+    const name = parts[0].trim();
+    const positionStr = parts[1].trim();
+    
+    // Parse position like "13 cn 39'52.5152" (allow optional spaces after apostrophe)
+    const posMatch = positionStr.match(/^(\d+)\s+([a-z]{2})\s+(\d+)'\s*([\d.]+)$/i);
+    if (!posMatch) return null;
+
+    const degrees = parseInt(posMatch[1]);
+    const signAbbr = posMatch[2].toLowerCase();
+    const minutes = parseInt(posMatch[3]);
+    const seconds = parseFloat(posMatch[4]);
+
+    // Map sign abbreviations to full names and calculate longitude
+    const signMap = {
+      'ar': { name: 'Aries', offset: 0 },
+      'ta': { name: 'Taurus', offset: 30 },
+      'ge': { name: 'Gemini', offset: 60 },
+      'cn': { name: 'Cancer', offset: 90 },
+      'le': { name: 'Leo', offset: 120 },
+      'vi': { name: 'Virgo', offset: 150 },
+      'li': { name: 'Libra', offset: 180 },
+      'sc': { name: 'Scorpio', offset: 210 },
+      'sa': { name: 'Sagittarius', offset: 240 },
+      'cp': { name: 'Capricorn', offset: 270 },
+      'aq': { name: 'Aquarius', offset: 300 },
+      'pi': { name: 'Pisces', offset: 330 }
+    };
+
+    const signInfo = signMap[signAbbr];
+    if (!signInfo) return null;
+
+    // Calculate total longitude in degrees
+    const longitude = signInfo.offset + degrees + (minutes / 60) + (seconds / 3600);
+
+    return {
+      name,
+      longitude,
+      sign: signInfo.name,
+      degree: Math.round((degrees + (minutes / 60) + (seconds / 3600)) * 100) / 100
+    };
+  }
+
+  chartOptionProperties() {
+    // Input schema properties shared by every chart-producing tool
+    return {
+      house_system: {
+        type: 'string',
+        enum: Object.keys(HOUSE_SYSTEMS),
+        description: 'House system (optional, defaults to placidus). Placidus and Koch fall back to Porphyry inside the polar circles.',
+      },
+      zodiac: {
+        type: 'string',
+        enum: ['tropical', 'sidereal'],
+        description: 'Zodiac (optional, defaults to tropical)',
+      },
+      ayanamsa: {
+        type: 'string',
+        enum: [...Object.keys(AYANAMSAS), 'custom'],
+        description: 'Ayanamsa for the sidereal zodiac (optional, defaults to lahiri). Use custom together with ayanamsa_offset.',
+      },
+      ayanamsa_offset: {
+        type: 'number',
+        description: 'Fixed offset in degrees subtracted from tropical longitudes when ayanamsa is custom',
+      },
+      node_type: {
+        type: 'string',
+        enum: ['true', 'mean'],
+        description: 'Lunar node calculation (optional, defaults to true)',
+      },
+      extra_bodies: {
+        type: 'array',
+        items: {
+          anyOf: [
+            { type: 'integer', description: 'Minor planet number, e.g., 433 for Eros' },
+            { type: 'string', enum: Object.keys(EXTRA_BODIES) },
+          ],
+        },
+        description: 'Additional bodies: minor planet numbers, Uranian/hypothetical bodies or Black Moon variants (optional)',
+      },
+    };
+  }
+
+  validateChartOptions(args) {
+    const { house_system = 'placidus', zodiac = 'tropical', ayanamsa, ayanamsa_offset, node_type = 'true', extra_bodies = [] } = args;
+
+    if (node_type !== 'true' && node_type !== 'mean') {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        'node_type must be either true or mean'
+      );
+    }
+
+    if (!Array.isArray(extra_bodies) || extra_bodies.length > 20 || extra_bodies.some(body =>
+      !(Number.isInteger(body) && body > 0 && body < 1000000) && !(typeof body === 'string' && EXTRA_BODIES[body]))) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `extra_bodies must be an array of up to 20 minor planet numbers or names from: ${Object.keys(EXTRA_BODIES).join(', ')}`
+      );
+    }
+    const bodyOptions = { nodeType: node_type, extraBodies: [...new Set(extra_bodies)] };
+
+    if (!HOUSE_SYSTEMS[house_system]) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `house_system must be one of: ${Object.keys(HOUSE_SYSTEMS).join(', ')}`
+      );
+    }
+
+    if (zodiac !== 'tropical' && zodiac !== 'sidereal') {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        'zodiac must be either tropical or sidereal'
+      );
+    }
+
+    if (zodiac === 'tropical') {
+      if (ayanamsa !== undefined || ayanamsa_offset !== undefined) {
+        throw new McpError(
+          ErrorCode.InvalidParams,
+          'ayanamsa and ayanamsa_offset require zodiac to be sidereal'
+        );
+      }
+      return { houseSystem: house_system, zodiac, ayanamsa: null, ayanamsaOffset: null, ...bodyOptions };
+    }
+
+    const siderealMode = ayanamsa || 'lahiri';
+    if (siderealMode !== 'custom' && AYANAMSAS[siderealMode] === undefined) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `ayanamsa must be one of: ${[...Object.keys(AYANAMSAS), 'custom'].join(', ')}`
+      );
+    }
+
+    if (siderealMode === 'custom' && (typeof ayanamsa_offset !== 'number' || ayanamsa_offset < 0 || ayanamsa_offset >= 360)) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        'ayanamsa_offset must be a number between 0 and 360 when ayanamsa is custom'
+      );
+    }
+
+    return {
+      houseSystem: house_system,
+      zodiac,
+      ayanamsa: siderealMode,
+      ayanamsaOffset: siderealMode === 'custom' ? ayanamsa_offset : null,
+      ...bodyOptions
+    };
+  }
+
+  swetestBodyCode(body, options) {
+    // The North Node follows the node_type chart option
+    return body === 'North Node' && options.nodeType === 'mean' ? 'm' : RETURN_BODIES[body].code;
+  }
+
+  siderealArgs(options) {
+    // Custom offsets are applied after parsing, so swetest itself runs tropical for them
+    return options.zodiac === 'sidereal' && options.ayanamsa !== 'custom' ? ` -sid${AYANAMSAS[options.ayanamsa]}` : '';
+  }
+
+  applyAyanamsaOffset(position, options) {
+    if (options.ayanamsaOffset === null || options.ayanamsaOffset === undefined) return position;
+    return { ...position, ...this.positionFromLongitude(position.longitude - options.ayanamsaOffset) };
+  }
+
+  positionFromLongitude(longitude) {
+    const normalized = this.normalizeDegrees(longitude);
+    const signs = [
+      'Aries', 'Taurus', 'Gemini', 'Cancer', 'Leo', 'Virgo',
+      'Libra', 'Scorpio', 'Sagittarius', 'Capricorn', 'Aquarius', 'Pisces'
+    ];
+    return {
+      longitude: normalized,
+      sign: signs[Math.floor(normalized / 30)],
+      degree: Math.round((normalized % 30) * 100) / 100
+    };
+  }
+
+  calculateAyanamsa(time, options) {
+    // Distance between the tropical and sidereal zodiacs in force at an instant: the tropical
+    // minus the sidereal Sun, so built-in modes and custom offsets are covered alike
+    if (options.zodiac !== 'sidereal') return 0;
+    const tropicalSun = this.calculateBodyLongitude('0', time, this.validateChartOptions({}));
+    return this.normalizeDegrees(tropicalSun - this.calculateBodyLongitude('0', time, options));
+  }
+
+  calculateMeanObliquity(date) {
+    // Mean obliquity of the ecliptic (IAU 1980), in degrees
+    const centuries = (date.getTime() / 86400000 + 2440587.5 - 2451545.0) / 36525;
+    return 23.43929111 - (46.815 * centuries + 0.00059 * centuries ** 2 - 0.001813 * centuries ** 3) / 3600;
+  }
+
+  calculateEphemeris(datetime, latitude, longitude, options = this.validateChartOptions({})) {
+    // Cached charts are copied in and out so callers can extend the charts they get
+    const time = new Date(datetime);
+    if (isNaN(time.getTime())) {
+      return this.computeEphemeris(datetime, latitude, longitude, options);
+    }
+    const key = JSON.stringify([
+      CHART_CACHE_VERSION, this.backend.name, this.ephemerisFilesVersion(), time.toISOString(), latitude, longitude,
+      options.houseSystem, options.zodiac, options.ayanamsa, options.ayanamsaOffset, options.nodeType, options.extraBodies
+    ]);
+    const cached = this.chartCache.get(key);
+    if (cached) {
+      return { ...structuredClone(cached), datetime };
+    }
+    const chart = this.computeEphemeris(datetime, latitude, longitude, options);
+    this.chartCache.set(key, structuredClone(chart));
+    return chart;
+  }
+
+  ephemerisFilesVersion() {
+    // Names, sizes and modification times of the files in SE_EPHE_PATH, hashed. Adding an
+    // asteroid file changes it, so charts that missed the body are not served from the cache.
+    // The listing is only read again when the directory itself changes.
+    const { ephePath } = this.backend;
+    try {
+      const modified = statSync(ephePath).mtimeMs;
+      if (this.ephemerisFiles?.modified !== modified) {
+        const listing = readdirSync(ephePath).sort().map(file => {
+          const { size, mtimeMs } = statSync(join(ephePath, file));
+          return `${file}:${size}:${mtimeMs}`;
+        });
+        this.ephemerisFiles = { modified, version: `${ephePath}:${createHash('sha256').update(listing.join('\n')).digest('hex').slice(0, 16)}` };
+      }
+      return this.ephemerisFiles.version;
+    } catch {
+      // Without a readable directory the library has no files to read either
+      return `${ephePath}:unreadable`;
+    }
+  }
+
+  computeEphemeris(datetime, latitude, longitude, options) {
+    try {
+      const date = new Date(datetime);
+      if (isNaN(date.getTime())) {
+        throw new Error('Invalid datetime format. Use ISO8601 format like 1985-04-12T23:20:50Z');
+      }
+
+      // 0123456789 = Sun through Pluto, t/m = true/mean Node, A = mean Apogee (Lilith), D = Chiron, F = Ceres, G = Pallas, H = Juno, I = Vesta
+      const bodyCodes = {
+        Sun: '0', Moon: '1', Mercury: '2', Venus: '3', Mars: '4', Jupiter: '5', Saturn: '6', Uranus: '7', Neptune: '8', Pluto: '9',
+        'North Node': options.nodeType === 'mean' ? 'm' : 't', Lilith: 'A', Chiron: 'D', Ceres: 'F', Pallas: 'G', Juno: 'H', Vesta: 'I'
+      };
+      const warnings = [];
+
+      // Systems that are undefined inside the polar circles fall back to Porphyry
+      let houseSystem = options.houseSystem;
+      if (POLAR_UNSAFE_HOUSE_SYSTEMS.includes(houseSystem) && Math.abs(latitude) >= 90 - this.calculateMeanObliquity(date)) {
+        warnings.push(`${houseSystem} houses are undefined at latitude ${latitude}; fell back to porphyry`);
+        houseSystem = 'porphyry';
+      }
+
+      const request = {
+        date,
+        bodies: Object.entries(bodyCodes).map(([key, code]) => ({ key, code })),
+        extraBodies: options.extraBodies.map(body => ({ key: body, code: typeof body === 'number' ? body : EXTRA_BODIES[body] })),
+        houses: { latitude, longitude, system: HOUSE_SYSTEMS[houseSystem] },
+        sidereal: options.zodiac === 'sidereal' && options.ayanamsa !== 'custom' ? AYANAMSAS[options.ayanamsa] : null
+      };
+      const raw = this.calculateRawChart(request);
+
+      // The library reports an error instead of cusps when the system fails at this latitude
+      if (!raw.houses && houseSystem !== 'porphyry') {
+        warnings.push(`${houseSystem} houses could not be calculated at latitude ${latitude}; fell back to porphyry`);
+        houseSystem = 'porphyry';
+        raw.houses = this.calculateRawChart({
+          ...request, bodies: [], extraBodies: [], houses: { ...request.houses, system: HOUSE_SYSTEMS.porphyry }
+        }).houses;
+      }
+
+      // Missing ephemeris files make the library fall back to Moshier or skip a body;
+      // pass those messages on instead of dropping them
+      warnings.push(...raw.warnings.map(message => `${this.backend.name}: ${message}`));
+
+      const planets = {};
+      const missingBodies = [];
+      const obliquity = this.calculateMeanObliquity(date);
+      const addPlanet = (name, planet, extra = {}) => {
+        const position = this.applyAyanamsaOffset(this.positionFromLongitude(planet.longitude), options);
+        planets[name] = {
+          longitude: position.longitude,
+          sign: position.sign,
+          degree: position.degree,
+          speed: planet.speed,
+          retrograde: planet.speed < 0,
+          latitude: planet.latitude,
+          declination: planet.declination,
+          right_ascension: planet.rightAscension,
+          distance_au: planet.distance,
+          // A body is out of bounds when its declination exceeds the Sun's maximum (the obliquity)
+          out_of_bounds: Math.abs(planet.declination) > obliquity,
+          ...extra
+        };
+      };
+
+      for (const { key } of request.bodies) {
+        if (raw.bodies[key]) addPlanet(key, raw.bodies[key]);
+        else if (raw.errors[key]) warnings.push(`${this.backend.name}: error: ${raw.errors[key]}`);
+      }
+
+      // A missing ephemeris file is attributed to the extra body that needs it
+      for (const { key } of request.extraBodies) {
+        const planet = raw.bodies[key];
+        if (!planet) {
+          missingBodies.push({ body: key, reason: raw.errors[key] || 'no position returned (ephemeris file missing?)' });
+        } else if (typeof key === 'number') {
+          // Numbered asteroids are named after the se1 file header, falling back to the number
+          const name = /^\d+$/.test(planet.name) || !planet.name ? `Asteroid ${key}` : planet.name;
+          addPlanet(name, planet, { minor_planet_number: key });
+        } else {
+          addPlanet(key, planet);
+        }
+      }
+
+      const houses = {};
+      const chartPoints = {};
+      if (raw.houses) {
+        raw.houses.cusps.forEach((cusp, index) => {
+          const { longitude: cuspLongitude, sign, degree } = this.applyAyanamsaOffset(this.positionFromLongitude(cusp), options);
+          houses[index + 1] = { longitude: cuspLongitude, sign, degree };
+        });
+        for (const [name, pointLongitude] of Object.entries(raw.houses.points)) {
+          // ARMC is sidereal time expressed in degrees, not a zodiacal position
+          const position = this.positionFromLongitude(pointLongitude);
+          const { longitude: shifted, sign, degree } = name === 'ARMC' ? position : this.applyAyanamsaOffset(position, options);
+          chartPoints[name] = { longitude: shifted, sign, degree };
+        }
+      }
+
+      // A custom offset shifts tropical cusps after the fact, which would leave whole-sign cusps
+      // off 0° of the sidereal signs. Sign-based and equal systems are laid out again from the
+      // shifted angles instead.
+      if (options.ayanamsaOffset !== null && options.ayanamsaOffset !== undefined && chartPoints.Ascendant && chartPoints.Midheaven) {
+        const ascendant = chartPoints.Ascendant.longitude;
+        const firstCusp = {
+          whole_sign: Math.floor(ascendant / 30) * 30,
+          equal: ascendant,
+          equal_mc: chartPoints.Midheaven.longitude + 90,
+          vehlow: ascendant - 15
+        }[houseSystem];
+        if (firstCusp !== undefined) {
+          for (let house = 1; house <= 12; house++) {
+            houses[house] = this.positionFromLongitude(firstCusp + (house - 1) * 30);
+          }
+        }
+      }
+
+      // Calculate additional points
+      const additionalPoints = {};
+
+      // Add South Node (opposite of North Node)
+      if (planets['North Node']) {
+        const northNodeLon = planets['North Node'].longitude;
+        const southNodeLon = (northNodeLon + 180) % 360;
+        const signIndex = Math.floor(southNodeLon / 30);
+        const degree = southNodeLon % 30;
+        const signs = [
+          'Aries', 'Taurus', 'Gemini', 'Cancer', 'Leo', 'Virgo',
+          'Libra', 'Scorpio', 'Sagittarius', 'Capricorn', 'Aquarius', 'Pisces'
+        ];
+        
+        // The South Node moves with the North Node and mirrors its declination
+        const northNode = planets['North Node'];
+        additionalPoints['South Node'] = {
+          longitude: southNodeLon,
+          sign: signs[signIndex],
+          degree: Math.round(degree * 100) / 100,
+          speed: northNode.speed,
+          retrograde: northNode.retrograde,
+          latitude: -northNode.latitude,
+          declination: -northNode.declination,
+          out_of_bounds: northNode.out_of_bounds
+        };
+      }
+
+      // Calculate Part of Fortune: ASC + Moon - Sun by day, ASC + Sun - Moon by night (Sun below the horizon)
+      if (chartPoints.Ascendant && planets.Sun && planets.Moon) {
+        const ascLon = chartPoints.Ascendant.longitude;
+        const sunLon = planets.Sun.longitude;
+        const moonLon = planets.Moon.longitude;
+        const sect = this.normalizeDegrees(sunLon - ascLon) >= 180 ? 'day' : 'night';
+        let fortuneLon = (sect === 'day' ? ascLon + moonLon - sunLon : ascLon + sunLon - moonLon) % 360;
+        if (fortuneLon < 0) fortuneLon += 360;
+        
+        const signIndex = Math.floor(fortuneLon / 30);
+        const degree = fortuneLon % 30;
+        const signs = [
+          'Aries', 'Taurus', 'Gemini', 'Cancer', 'Leo', 'Virgo',
+          'Libra', 'Scorpio', 'Sagittarius', 'Capricorn', 'Aquarius', 'Pisces'
+        ];
+        
+        additionalPoints['Part of Fortune'] = {
+          longitude: fortuneLon,
+          sign: signs[signIndex],
+          degree: Math.round(degree * 100) / 100,
+          sect
+        };
+      }
+
+      // Add IC and Descendant based on Ascendant and Midheaven
+      if (chartPoints.Ascendant) {
+        const ascLon = chartPoints.Ascendant.longitude;
+        const descLon = (ascLon + 180) % 360;
+        const signIndex = Math.floor(descLon / 30);
+        const degree = descLon % 30;
+        const signs = [
+          'Aries', 'Taurus', 'Gemini', 'Cancer', 'Leo', 'Virgo',
+          'Libra', 'Scorpio', 'Sagittarius', 'Capricorn', 'Aquarius', 'Pisces'
+        ];
+        
+        chartPoints.Descendant = {
+          longitude: descLon,
+          sign: signs[signIndex],
+          degree: Math.round(degree * 100) / 100
+        };
+      }
+
+      if (chartPoints.Midheaven) {
+        const mcLon = chartPoints.Midheaven.longitude;
+        const icLon = (mcLon + 180) % 360;
+        const signIndex = Math.floor(icLon / 30);
+        const degree = icLon % 30;
+        const signs = [
+          'Aries', 'Taurus', 'Gemini', 'Cancer', 'Leo', 'Virgo',
+          'Libra', 'Scorpio', 'Sagittarius', 'Capricorn', 'Aquarius', 'Pisces'
+        ];
+        
+        chartPoints.IC = {
+          longitude: icLon,
+          sign: signs[signIndex],
+          degree: Math.round(degree * 100) / 100
+        };
+      }
+
+      return {
+        planets,
+        houses,
+        chart_points: chartPoints,
+        additional_points: additionalPoints,
+        datetime: datetime,
+        coordinates: {
+          latitude,
+          longitude
+        },
+        settings: {
+          house_system: houseSystem,
+          zodiac: options.zodiac,
+          ayanamsa: options.ayanamsa,
+          ayanamsa_offset: options.ayanamsaOffset,
+          node_type: options.nodeType
+        },
+        missing_bodies: missingBodies,
+        // Every body that needs a missing file repeats the library's message; list each one once
+        warnings: [...new Set(warnings)]
+      };
+
+    } catch (error) {
+      throw new Error(`Swiss Ephemeris calculation failed: ${error.message}`);
+    }
+  }
+
+  calculateRawChart(request) {
+    // Unrounded body positions, cusps and angles keyed by the request's body keys. The sweph
+    // backend answers in one library call; swetest output is parsed into the same shape.
+    try {
+      return this.backend.chart ? this.backend.chart(request) : this.calculateSwetestChart(request);
+    } catch (error) {
+      throw new Error(`Failed to calculate chart with ${this.backend.name}: ${error.message}`);
+    }
+  }
+
+  calculateSwetestChart({ date, bodies, extraBodies, houses, sidereal }) {
+    // The main bodies run in one swetest process and the houses in another; every extra body
+    // runs in its own so that a missing ephemeris file can be attributed to the body that needs it
+    const dateArgs = `-b${this.formatDateToSwiss(date)} -ut${this.formatTimeToSwiss(date)}`;
+    const siderealArgs = sidereal === null ? '' : ` -sid${sidereal}`;
+    const chart = { bodies: {}, errors: {}, warnings: [], houses: null };
+    const isMessage = line => line.includes('error:') || line.includes('warning:');
+    const parseBodies = (output) => ({
+      messages: output.split('\n').filter(isMessage).map(line => line.trim()),
+      positions: output.split('\n').filter(line => line.trim() && !isMessage(line)).map(line => this.parsePlanetLine(line)).filter(Boolean)
+    });
+
+    if (bodies.length > 0) {
+      const { messages, positions } = parseBodies(this.runSwetest(
+        `${dateArgs} -p${bodies.map(({ code }) => code).join('')} -fPZbsRad -g, -head${siderealArgs}`,
+        'planets'
+      ));
+      chart.warnings.push(...messages);
+      // swetest prints its own body names; the nodes and Lilith are renamed to the request keys
+      const keys = { 'mean Node': 'North Node', 'true Node': 'North Node', 'mean Apogee': 'Lilith' };
+      positions.forEach(position => {
+        chart.bodies[keys[position.name] || position.name] = position;
+      });
+    }
+
+    for (const { key, code } of extraBodies) {
+      const bodyArgs = typeof code === 'number' ? `-ps -xs${code}` : `-p${code}`;
+      let output;
+      try {
+        output = this.runSwetest(`${dateArgs} ${bodyArgs} -fPZbsRad -g, -head${siderealArgs}`, `body ${key}`);
+      } catch (error) {
+        chart.errors[key] = error.message;
+        continue;
+      }
+      const { messages, positions: [position] } = parseBodies(output);
+      const errorLine = messages.find(message => message.includes('error:'));
+      if (position) chart.bodies[key] = position;
+      else chart.errors[key] = errorLine ? errorLine.replace(/^.*error:\s*/, '') : 'swetest returned no position (ephemeris file missing?)';
+    }
+
+    if (houses) {
+      const output = this.runSwetest(
+        `${dateArgs} -house${houses.longitude},${houses.latitude},${houses.system} -fPZ -g, -head${siderealArgs}`,
+        'houses'
+      );
+      const cusps = [];
+      const points = {};
+      const pointNames = { Ascendant: 'Ascendant', MC: 'Midheaven', ARMC: 'ARMC', Vertex: 'Vertex' };
+      output.split('\n').filter(line => line.trim() && !isMessage(line)).forEach(line => {
+        const house = this.parseHouseLine(line);
+        const point = house ? null : this.parseChartPointLine(line);
+        if (house && house.house >= 1 && house.house <= 12) cusps[house.house - 1] = house.longitude;
+        else if (point && pointNames[point.name]) points[pointNames[point.name]] = point.longitude;
+      });
+      // swetest reports an error instead of cusps when the system fails at this latitude
+      if (cusps.length > 0) chart.houses = { cusps, points };
+    }
+    return chart;
+  }
+
+  runSwetest(args, purpose) {
+    try {
+      return this.backend.run(args);
+    } catch (error) {
+      throw new Error(`Failed to execute swetest for ${purpose}: ${error.message}`);
+    }
+  }
+
+  normalizeDegrees(degrees) {
+    const normalized = degrees % 360;
+    return normalized < 0 ? normalized + 360 : normalized;
+  }
+
+  signedAngularDifference(from, to) {
+    // Shortest signed arc from `from` to `to`, in the range (-180, 180]
+    const difference = this.normalizeDegrees(to - from);
+    return difference > 180 ? difference - 360 : difference;
+  }
+
+  calculateLongitudeSeries(bodyCode, startDate, stepDays, count, options) {
+    // One swetest process returns "julian day,longitude" for every step
+    const output = this.runSwetest(
+      `-b${this.formatDateToSwiss(startDate)} -ut${this.formatTimeToSwiss(startDate)} -p${bodyCode} -fJl -n${count} -s${stepDays} -g, -head${this.siderealArgs(options)}`,
+      'longitude series'
+    );
+    const lines = output.split('\n').filter(line => line.trim() && !line.includes('error:') && !line.includes('warning:'));
+
+    return lines.map(line => {
+      const [julianDay, longitude] = line.split(',').map(value => parseFloat(value));
+      return {
+        time: Math.round((julianDay - 2440587.5) * 86400000),
+        longitude: this.applyAyanamsaOffset({ longitude }, options).longitude
+      };
+    }).filter(sample => !isNaN(sample.time) && !isNaN(sample.longitude));
+  }
+
+  calculateBodyLongitude(bodyCode, time, options) {
+    const [sample] = this.calculateLongitudeSeries(bodyCode, new Date(time), 1, 1, options);
+    if (!sample) {
+      throw new Error(`No position returned for body ${bodyCode} at ${new Date(time).toISOString()}`);
+    }
+    return sample.longitude;
+  }
+
+  refineLongitudeCrossing(bodyCode, targetLongitude, start, end, options) {
+    // Regula falsi (Illinois variant) between two samples bracketing the target longitude.
+    // swetest takes whole seconds, so evaluation times are rounded to the second.
+    let [t0, d0] = [start.time, this.signedAngularDifference(targetLongitude, start.longitude)];
+    let [t1, d1] = [end.time, this.signedAngularDifference(targetLongitude, end.longitude)];
+    let best = Math.abs(d0) < Math.abs(d1) ? { time: t0, difference: d0 } : { time: t1, difference: d1 };
+    let side = 0;
+
+    for (let iteration = 0; iteration < 40 && t1 - t0 > 1000 && Math.abs(best.difference) * 3600 >= 0.01; iteration++) {
+      let t = Math.round((t0 - d0 * (t1 - t0) / (d1 - d0)) / 1000) * 1000;
+      if (t <= t0 || t >= t1) {
+        t = Math.round((t0 + t1) / 2000) * 1000;
+      }
+
+      const d = this.signedAngularDifference(targetLongitude, this.calculateBodyLongitude(bodyCode, t, options));
+      if (Math.abs(d) < Math.abs(best.difference)) {
+        best = { time: t, difference: d };
+      }
+      if (Math.abs(d) * 3600 < 0.01) break;
+
+      if (Math.sign(d) === Math.sign(d0)) {
+        [t0, d0] = [t, d];
+        if (side === -1) d1 /= 2;
+        side = -1;
+      } else {
+        [t1, d1] = [t, d];
+        if (side === 1) d0 /= 2;
+        side = 1;
+      }
+    }
+
+    return {
+      datetime: new Date(best.time).toISOString(),
+      longitude: this.normalizeDegrees(targetLongitude + best.difference),
+      residual_arcseconds: Math.round(Math.abs(best.difference) * 3600 * 1000) / 1000
+    };
+  }
+
+  findLongitudeReturn(bodyCode, targetLongitude, startDate, windowDays, stepDays, options) {
+    // Scan for the first time the body reaches the target longitude after startDate, then
+    // keep collecting passes (retrograde loops) until it moves more than 30° away again
+    const count = Math.ceil(windowDays / stepDays) + 1;
+    const samples = this.calculateLongitudeSeries(bodyCode, startDate, stepDays, count, options);
+    const passes = [];
+
+    for (let i = 1; i < samples.length; i++) {
+      const previous = this.signedAngularDifference(targetLongitude, samples[i - 1].longitude);
+      const current = this.signedAngularDifference(targetLongitude, samples[i].longitude);
+
+      if (passes.length > 0 && Math.abs(current) > 30) break;
+      if (Math.abs(previous) > 90 || Math.abs(current) > 90) continue;
+
+      if ((previous < 0 && current >= 0) || (previous > 0 && current <= 0)) {
+        const pass = this.refineLongitudeCrossing(bodyCode, targetLongitude, samples[i - 1], samples[i], options);
+        pass.direction = current > previous ? 'direct' : 'retrograde';
+        passes.push(pass);
+      }
+    }
+
+    return passes;
+  }
+
+  timeZoneProperties(...datetimeArguments) {
+    // Input schema properties for reading the given datetime arguments as local civil time
+    const properties = {};
+    for (const argument of datetimeArguments) {
+      const { timezone } = DATETIME_ARGUMENTS[argument];
+      const covered = datetimeArguments.filter(other => DATETIME_ARGUMENTS[other].timezone === timezone);
+      properties[timezone] = {
+        type: 'string',
+        description: `Time zone of ${covered.join(', ')}: IANA name (e.g., Europe/Paris, historical offsets and DST included), UTC offset (e.g., +05:30) or LMT for local mean time at the longitude. The datetime is then local time without offset, e.g., 1962-05-03T14:30:00 (optional, defaults to UTC)`,
+      };
+    }
+    properties.calendar = {
+      type: 'string',
+      enum: ['auto', 'gregorian', 'julian'],
+      description: 'Calendar of the input dates: auto reads dates before 1582-10-15 as Julian like swetest (optional, defaults to auto)',
+    };
+    properties.disambiguation = {
+      type: 'string',
+      enum: ['earlier', 'later', 'reject'],
+      description: 'Local time that occurs twice when clocks go back: take the earlier or later instant, or reject it. Times skipped when clocks go forward are moved forward by the gap unless reject is given (optional, defaults to earlier)',
+    };
+    return properties;
+  }
+
+  calendarToJulianDay(year, month, day, calendar) {
+    // Julian day number at 0h UT of a Julian or Gregorian calendar date (Meeus, chapter 7)
+    if (month <= 2) {
+      year -= 1;
+      month += 12;
+    }
+    const century = Math.floor(year / 100);
+    const correction = calendar === 'gregorian' ? 2 - century + Math.floor(century / 4) : 0;
+    return Math.floor(365.25 * (year + 4716)) + Math.floor(30.6001 * (month + 1)) + day + correction - 1524.5;
+  }
+
+  julianDayToCalendar(julianDay, calendar) {
+    const z = Math.floor(julianDay + 0.5);
+    let a = z;
+    if (calendar === 'gregorian') {
+      const alpha = Math.floor((z - 1867216.25) / 36524.25);
+      a = z + 1 + alpha - Math.floor(alpha / 4);
+    }
+    const b = a + 1524;
+    const c = Math.floor((b - 122.1) / 365.25);
+    const d = Math.floor(365.25 * c);
+    const e = Math.floor((b - d) / 30.6001);
+    const month = e < 14 ? e - 1 : e - 13;
+    return {
+      year: month > 2 ? c - 4716 : c - 4715,
+      month,
+      day: b - d - Math.floor(30.6001 * e)
+    };
+  }
+
+  timeZoneOffset(timeZone, time) {
+    // UTC offset in seconds of an IANA zone at an instant, from the tz data bundled with Node's
+    // ICU. Before standard time the zones report their local mean time (Paris: +00:09:21).
+    if (!this.timeZoneFormats) this.timeZoneFormats = new Map();
+    if (!this.timeZoneFormats.has(timeZone)) {
+      this.timeZoneFormats.set(timeZone, new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'longOffset' }));
+    }
+    const name = this.timeZoneFormats.get(timeZone).formatToParts(new Date(time)).find(part => part.type === 'timeZoneName').value;
+    const match = name.match(/^GMT([+-])(\d{2}):(\d{2})(?::(\d{2}))?$/);
+    if (!match) return 0;
+    return (match[1] === '-' ? -1 : 1) * (parseInt(match[2]) * 3600 + parseInt(match[3]) * 60 + parseInt(match[4] || '0'));
+  }
+
+  formatOffset(seconds) {
+    const sign = seconds < 0 ? '-' : '+';
+    const absolute = Math.abs(seconds);
+    const [hours, minutes, rest] = [Math.floor(absolute / 3600), Math.floor(absolute % 3600 / 60), absolute % 60];
+    const pad = value => String(value).padStart(2, '0');
+    return `${sign}${pad(hours)}:${pad(minutes)}${rest ? `:${pad(Math.round(rest))}` : ''}`;
+  }
+
+  fixedTimeZoneOffset(argument, timeZone, args) {
+    // Offset in seconds of the time zones that never change: UTC, fixed offsets and LMT.
+    // Returns undefined for IANA zone names.
+    const fixed = typeof timeZone === 'string' && timeZone.match(/^(?:UTC|GMT)?([+-])(\d{1,2})(?::?(\d{2}))?$/i);
+    if (typeof timeZone !== 'string') {
+      throw new McpError(ErrorCode.InvalidParams, `${DATETIME_ARGUMENTS[argument].timezone} must be a string`);
+    } else if (/^(UTC|GMT|Z)$/i.test(timeZone)) {
+      return 0;
+    } else if (fixed) {
+      return (fixed[1] === '-' ? -1 : 1) * (parseInt(fixed[2]) * 3600 + parseInt(fixed[3] || '0') * 60);
+    } else if (timeZone.toUpperCase() === 'LMT') {
+      const longitudeArgument = DATETIME_ARGUMENTS[argument].longitude.find(name => typeof args[name] === 'number');
+      if (!longitudeArgument) {
+        throw new McpError(ErrorCode.InvalidParams, `LMT for ${argument} needs ${DATETIME_ARGUMENTS[argument].longitude.join(' or ')}`);
+      }
+      // Local mean time runs 4 minutes ahead of UTC per degree of east longitude
+      return Math.round(args[longitudeArgument] * 240);
+    }
+    return undefined;
+  }
+
+  timeZoneOffsetAt(argument, args, time) {
+    // Offset in seconds of the argument's time zone at an instant, for turning UTC instants back
+    // into local time. IANA zones follow their daylight saving changes.
+    const timeZone = args[DATETIME_ARGUMENTS[argument].timezone];
+    if (timeZone === undefined) return 0;
+    return this.fixedTimeZoneOffset(argument, timeZone, args) ?? this.timeZoneOffset(timeZone, time);
+  }
+
+  resolveDatetime(argument, value, args, label = argument) {
+    // Returns null for strings that are not ISO8601-like so the tool's own validation reports them.
+    // Impossible dates and times are rejected instead of rolling over; label names the argument in errors.
+    const match = value.match(/^([+-]?\d{4,6})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(\.\d+)?)?)?(Z|[+-]\d{2}:?\d{2})?$/i);
+    if (!match) return null;
+
+    const { calendar = 'auto', disambiguation = 'earlier' } = args;
+    const timeZone = args[DATETIME_ARGUMENTS[argument].timezone];
+    const [year, month, day, hours = 0, minutes = 0, seconds = 0] = match.slice(1, 7).map(part => part === undefined ? undefined : parseInt(part, 10));
+    const explicitOffset = match[8];
+
+    if (year < MIN_DATETIME_YEAR || year > MAX_DATETIME_YEAR) {
+      throw new McpError(ErrorCode.InvalidParams, `${label} ${value} is outside the supported years ${MIN_DATETIME_YEAR} to ${MAX_DATETIME_YEAR}`);
+    }
+    if (month < 1 || month > 12) {
+      throw new McpError(ErrorCode.InvalidParams, `${label} ${value} has month ${month}; months run from 01 to 12`);
+    }
+    const dateCalendar = calendar === 'auto' ? (year * 10000 + month * 100 + day < 15821015 ? 'julian' : 'gregorian') : calendar;
+    const leapYear = dateCalendar === 'julian' ? year % 4 === 0 : (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+    const monthDays = [31, leapYear ? 29 : 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31][month - 1];
+    if (day < 1 || day > monthDays) {
+      throw new McpError(ErrorCode.InvalidParams, `${label} ${value} has day ${day}; month ${month} of ${year} has ${monthDays} days in the ${dateCalendar} calendar`);
+    }
+    if (hours > 23 || minutes > 59 || seconds > 59) {
+      throw new McpError(ErrorCode.InvalidParams, `${label} ${value} is not a valid time; hours run from 00 to 23, minutes and seconds from 00 to 59`);
+    }
+
+    if (explicitOffset && timeZone !== undefined) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `${argument} already carries a UTC offset; remove it or ${DATETIME_ARGUMENTS[argument].timezone}`
+      );
+    }
+
+    const midnight = Math.round((this.calendarToJulianDay(year, month, day, dateCalendar) - 2440587.5) * 86400000);
+    const local = midnight + ((hours * 60 + minutes) * 60 + seconds) * 1000 + Math.round(parseFloat(match[7] || '0') * 1000);
+
+    let offset = 0;
+    let ambiguity = null;
+    let alternatives;
+    if (explicitOffset && explicitOffset.toUpperCase() !== 'Z') {
+      const [, sign, offsetHours, offsetMinutes] = explicitOffset.match(/^([+-])(\d{2}):?(\d{2})$/);
+      if (parseInt(offsetHours) > 23 || parseInt(offsetMinutes) > 59) {
+        throw new McpError(ErrorCode.InvalidParams, `${label} ${value} has an invalid UTC offset ${explicitOffset}`);
+      }
+      offset = (sign === '-' ? -1 : 1) * (parseInt(offsetHours) * 3600 + parseInt(offsetMinutes) * 60);
+    } else if (timeZone !== undefined) {
+      const fixedOffset = this.fixedTimeZoneOffset(argument, timeZone, args);
+      if (fixedOffset !== undefined) {
+        offset = fixedOffset;
+      } else {
+        try {
+          this.timeZoneOffset(timeZone, local);
+        } catch (error) {
+          throw new McpError(ErrorCode.InvalidParams, `Unknown time zone ${timeZone}; use an IANA name such as Europe/Paris, an offset such as +05:30 or LMT`);
+        }
+
+        // A local time maps to the instants whose offset turns it back into that local time:
+        // one normally, two when clocks go back (overlap), none when they go forward (gap)
+        const offsets = [...new Set([this.timeZoneOffset(timeZone, local - 86400000), this.timeZoneOffset(timeZone, local + 86400000)])];
+        const candidates = offsets
+          .map(candidate => local - candidate * 1000)
+          .filter(instant => this.timeZoneOffset(timeZone, instant) * 1000 === local - instant)
+          .sort((a, b) => a - b);
+
+        if (candidates.length > 1) {
+          if (disambiguation === 'reject') {
+            throw new McpError(ErrorCode.InvalidParams, `${value} occurs twice in ${timeZone} (clocks go back); pick disambiguation earlier or later`);
+          }
+          ambiguity = 'overlap';
+          alternatives = candidates.map(instant => new Date(instant).toISOString());
+          offset = (local - candidates[disambiguation === 'later' ? candidates.length - 1 : 0]) / 1000;
+        } else if (candidates.length === 1) {
+          offset = (local - candidates[0]) / 1000;
+        } else {
+          if (disambiguation === 'reject') {
+            throw new McpError(ErrorCode.InvalidParams, `${value} does not exist in ${timeZone} (clocks go forward)`);
+          }
+          // Reading the time with the offset in force before the transition moves it forward by the gap
+          ambiguity = 'gap';
+          offset = this.timeZoneOffset(timeZone, local - 86400000);
+        }
+      }
+    }
+
+    const utc = local - offset * 1000;
+    return {
+      utc,
+      resolution: {
+        input: value,
+        timezone: timeZone === undefined ? (explicitOffset ? null : 'UTC') : timeZone,
+        calendar: dateCalendar,
+        utc: new Date(utc).toISOString(),
+        offset: this.formatOffset(offset),
+        offset_seconds: offset,
+        julian_day: utc / 86400000 + 2440587.5,
+        ambiguity,
+        ...(alternatives && { alternatives })
+      }
+    };
+  }
+
+  resolveDatetimeArguments(args) {
+    // Rewrites every datetime argument as a UTC ISO8601 string and rejects the ones that do not
+    // parse. The resolution details are returned whenever a time zone, an explicit calendar or a
+    // Julian calendar date was involved.
+    const { calendar = 'auto', disambiguation = 'earlier' } = args;
+    if (!['auto', 'gregorian', 'julian'].includes(calendar)) {
+      throw new McpError(ErrorCode.InvalidParams, 'calendar must be one of: auto, gregorian, julian');
+    }
+    if (!['earlier', 'later', 'reject'].includes(disambiguation)) {
+      throw new McpError(ErrorCode.InvalidParams, 'disambiguation must be one of: earlier, later, reject');
+    }
+
+    const resolved = { ...args };
+    const timeResolution = {};
+    for (const argument of Object.keys(DATETIME_ARGUMENTS)) {
+      if (typeof args[argument] !== 'string') continue;
+      const result = this.resolveDatetime(argument, args[argument], args);
+      if (!result) {
+        // Other formats Date understands, such as RFC 2822, are passed through as before
+        const parsed = new Date(args[argument]);
+        if (isNaN(parsed.getTime()) || parsed.getUTCFullYear() < MIN_DATETIME_YEAR || parsed.getUTCFullYear() > MAX_DATETIME_YEAR) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            `${argument} must be an ISO8601 datetime like 1985-04-12T23:20:50Z between the years ${MIN_DATETIME_YEAR} and ${MAX_DATETIME_YEAR}, got ${JSON.stringify(args[argument])}`
+          );
+        }
+        continue;
+      }
+
+      resolved[argument] = new Date(result.utc).toISOString();
+      if (args[DATETIME_ARGUMENTS[argument].timezone] !== undefined || args.calendar !== undefined || result.resolution.calendar === 'julian') {
+        timeResolution[argument] = result.resolution;
+      }
+    }
+    return { args: resolved, timeResolution };
+  }
+
+  aspectOptionProperties() {
+    // Input schema properties shared by every tool that computes aspects
+    return {
+      aspects: {
+        type: 'array',
+        items: { type: 'string', enum: Object.keys(ASPECTS) },
+        description: `Aspects to look for (optional, defaults to ${DEFAULT_ASPECTS.join(', ')})`,
+      },
+      orbs: {
+        type: 'object',
+        additionalProperties: { type: 'number' },
+        description: 'Orb overrides in degrees keyed by aspect name, e.g., {"conjunction": 10, "sextile": 4}',
+      },
+      luminary_orb_bonus: {
+        type: 'number',
+        description: 'Extra orb in degrees when the Sun or Moon is involved (optional, defaults to 2)',
+      },
+      points: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'Chart points to include, e.g., ["Sun", "Moon", "Ascendant"] (optional, defaults to every planet, node, asteroid, Ascendant and Midheaven)',
+      },
+    };
+  }
+
+  validateAspectOptions(args, defaults = {}) {
+    // defaults.orb replaces every default orb from ASPECTS (transits use much tighter orbs than natal charts)
+    const { aspects = DEFAULT_ASPECTS, orbs = {}, luminary_orb_bonus = defaults.luminaryOrbBonus ?? 2, points } = args;
+
+    if (!Array.isArray(aspects) || aspects.length === 0 || aspects.some(aspect => !ASPECTS[aspect])) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `aspects must be a non-empty array of: ${Object.keys(ASPECTS).join(', ')}`
+      );
+    }
+
+    if (typeof orbs !== 'object' || orbs === null || Array.isArray(orbs) ||
+        Object.entries(orbs).some(([aspect, orb]) => !ASPECTS[aspect] || typeof orb !== 'number' || orb < 0 || orb > 30)) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        'orbs must map aspect names to numbers between 0 and 30'
+      );
+    }
+
+    if (typeof luminary_orb_bonus !== 'number' || luminary_orb_bonus < 0 || luminary_orb_bonus > 10) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        'luminary_orb_bonus must be a number between 0 and 10'
+      );
+    }
+
+    if (points !== undefined && (!Array.isArray(points) || points.some(point => typeof point !== 'string'))) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        'points must be an array of chart point names'
+      );
+    }
+
+    return {
+      aspects: aspects.map(aspect => ({
+        name: aspect,
+        angle: ASPECTS[aspect].angle,
+        type: ASPECTS[aspect].type,
+        orb: orbs[aspect] !== undefined ? orbs[aspect] : (defaults.orb ?? ASPECTS[aspect].orb)
+      })),
+      luminaryOrbBonus: luminary_orb_bonus,
+      points: points || null
+    };
+  }
+
+  collectAspectPoints(chart, pointFilter) {
+    // Planets, nodes, Chiron and asteroids plus the two main angles. The South Node and the
+    // Descendant/IC are left out since they only ever mirror the North Node and ASC/MC.
+    const points = { ...chart.planets };
+    for (const angle of ['Ascendant', 'Midheaven']) {
+      if (chart.chart_points[angle]) points[angle] = chart.chart_points[angle];
+    }
+
+    if (!pointFilter) return points;
+    return Object.fromEntries(Object.entries(points).filter(([name]) => pointFilter.includes(name)));
+  }
+
+  findAspect(point1, point2, name1, name2, aspectOptions) {
+    const distance = Math.abs(this.signedAngularDifference(point1.longitude, point2.longitude));
+    const luminary = ['Sun', 'Moon'].includes(name1) || ['Sun', 'Moon'].includes(name2);
+
+    let match = null;
+    for (const aspect of aspectOptions.aspects) {
+      const orb = Math.abs(distance - aspect.angle);
+      const allowed = aspect.orb + (luminary ? aspectOptions.luminaryOrbBonus : 0);
+      if (orb <= allowed && (!match || orb < match.orb)) {
+        match = { ...aspect, orb, distance };
+      }
+    }
+    if (!match) return null;
+
+    // Project both bodies forward by a short step using their daily speeds: if the distance to
+    // exactness shrinks the aspect is applying. Angles and bodies without a speed count as fixed.
+    const step = 0.01;
+    const speed1 = typeof point1.speed === 'number' ? point1.speed : 0;
+    const speed2 = typeof point2.speed === 'number' ? point2.speed : 0;
+    let status = null;
+    if (speed1 !== 0 || speed2 !== 0) {
+      const futureDistance = Math.abs(this.signedAngularDifference(point1.longitude + speed1 * step, point2.longitude + speed2 * step));
+      status = Math.abs(futureDistance - match.angle) < match.orb ? 'applying' : 'separating';
+    }
+
+    return {
+      aspect: match.name,
+      aspect_type: match.type,
+      aspect_angle: Math.round(match.angle * 100) / 100,
+      orb: Math.round(match.orb * 100) / 100,
+      exact_angle: Math.round(match.distance * 100) / 100,
+      applying: status === null ? null : status === 'applying',
+      status
+    };
+  }
+
+  calculateNatalAspects(chart, aspectOptions) {
+    const points = this.collectAspectPoints(chart, aspectOptions.points);
+    const names = Object.keys(points);
+    const aspects = [];
+
+    for (let i = 0; i < names.length; i++) {
+      for (let j = i + 1; j < names.length; j++) {
+        const aspect = this.findAspect(points[names[i]], points[names[j]], names[i], names[j], aspectOptions);
+        if (aspect) {
+          aspects.push({ point1: names[i], point2: names[j], ...aspect });
+        }
+      }
+    }
+
+    return {
+      aspects: aspects.sort((a, b) => a.orb - b.orb),
+      aspect_patterns: this.detectAspectPatterns(aspects, names, chart)
+    };
+  }
+
+  detectAspectPatterns(aspects, names, chart) {
+    const aspectBetween = {};
+    for (const { point1, point2, aspect } of aspects) {
+      aspectBetween[`${point1}|${point2}`] = aspect;
+      aspectBetween[`${point2}|${point1}`] = aspect;
+    }
+    const is = (a, b, aspect) => aspectBetween[`${a}|${b}`] === aspect;
+    const patterns = [];
+
+    // Triangles: grand trine, T-square (apex squares both ends of an opposition), yod (apex quincunx both ends of a sextile)
+    for (let i = 0; i < names.length; i++) {
+      for (let j = i + 1; j < names.length; j++) {
+        for (let k = j + 1; k < names.length; k++) {
+          const [a, b, c] = [names[i], names[j], names[k]];
+          if (is(a, b, 'trine') && is(b, c, 'trine') && is(a, c, 'trine')) {
+            patterns.push({ pattern: 'grand_trine', points: [a, b, c] });
+          }
+          for (const [apex, x, y] of [[a, b, c], [b, a, c], [c, a, b]]) {
+            if (is(x, y, 'opposition') && is(apex, x, 'square') && is(apex, y, 'square')) {
+              patterns.push({ pattern: 't_square', points: [x, y, apex], apex });
+            }
+            if (is(x, y, 'sextile') && is(apex, x, 'quincunx') && is(apex, y, 'quincunx')) {
+              patterns.push({ pattern: 'yod', points: [x, y, apex], apex });
+            }
+          }
+        }
+      }
+    }
+
+    // Quadrilaterals: grand cross, kite, mystic rectangle
+    for (let i = 0; i < names.length; i++) {
+      for (let j = i + 1; j < names.length; j++) {
+        for (let k = j + 1; k < names.length; k++) {
+          for (let l = k + 1; l < names.length; l++) {
+            const quad = [names[i], names[j], names[k], names[l]];
+            const pairs = [[0, 1], [0, 2], [0, 3], [1, 2], [1, 3], [2, 3]];
+            const count = (aspect) => pairs.filter(([x, y]) => is(quad[x], quad[y], aspect)).length;
+
+            if (count('opposition') === 2 && count('square') === 4) {
+              patterns.push({ pattern: 'grand_cross', points: quad });
+            }
+            if (count('opposition') === 2 && count('trine') === 2 && count('sextile') === 2) {
+              patterns.push({ pattern: 'mystic_rectangle', points: quad });
+            }
+            if (count('trine') === 3 && count('opposition') === 1 && count('sextile') === 2) {
+              // The kite's focal point is the member of the opposition that sextiles the other two
+              const [x, y] = pairs.find(([x, y]) => is(quad[x], quad[y], 'opposition')).map(index => quad[index]);
+              const apex = quad.filter(point => point !== x && point !== y).every(point => is(x, point, 'sextile')) ? x : y;
+              patterns.push({ pattern: 'kite', points: quad, apex });
+            }
+          }
+        }
+      }
+    }
+
+    // Stelliums: three or more planets sharing a sign or a house
+    const bySign = {};
+    const byHouse = {};
+    for (const planet of STELLIUM_PLANETS) {
+      const position = chart.planets[planet];
+      if (!position || !names.includes(planet)) continue;
+      (bySign[position.sign] = bySign[position.sign] || []).push(planet);
+      const house = this.findHouse(position.longitude, chart.houses);
+      if (house) (byHouse[house] = byHouse[house] || []).push(planet);
+    }
+    for (const [sign, planets] of Object.entries(bySign)) {
+      if (planets.length >= 3) patterns.push({ pattern: 'stellium', sign, points: planets });
+    }
+    for (const [house, planets] of Object.entries(byHouse)) {
+      if (planets.length >= 3) patterns.push({ pattern: 'stellium', house: parseInt(house), points: planets });
+    }
+
+    return patterns;
+  }
+
+  findHouse(longitude, houses) {
+    // House whose cusp-to-next-cusp arc contains the longitude
+    for (let house = 1; house <= 12; house++) {
+      const cusp = houses[house];
+      const nextCusp = houses[house === 12 ? 1 : house + 1];
+      if (!cusp || !nextCusp) return null;
+      const span = this.normalizeDegrees(nextCusp.longitude - cusp.longitude);
+      if (this.normalizeDegrees(longitude - cusp.longitude) < span) return house;
+    }
+    return null;
+  }
+
+  calculateTransitTimeline(natalChart, startDate, endDate, transitingBodies, aspectOptions, options) {
+    // Sample each transiting body once per day in a single swetest process, then walk the
+    // samples against every natal target longitude (natal point ± aspect angle). Between two
+    // samples the motion is treated as linear, which puts entry, exact and exit times within
+    // minutes for everything but the Moon.
+    const natalPoints = this.collectAspectPoints(natalChart, aspectOptions.points);
+    const dayCount = Math.ceil((endDate.getTime() - startDate.getTime()) / 86400000);
+    const events = [];
+
+    for (const body of transitingBodies) {
+      const samples = this.calculateLongitudeSeries(this.swetestBodyCode(body, options), startDate, 1, dayCount + 1, options)
+        .filter(sample => sample.time <= endDate.getTime() + 1000);
+
+      for (const [natalName, natalPoint] of Object.entries(natalPoints)) {
+        for (const aspect of aspectOptions.aspects) {
+          const luminary = ['Sun', 'Moon'].includes(body) || ['Sun', 'Moon'].includes(natalName);
+          const orb = aspect.orb + (luminary ? aspectOptions.luminaryOrbBonus : 0);
+          const angles = aspect.angle === 0 || aspect.angle === 180 ? [aspect.angle] : [aspect.angle, -aspect.angle];
+
+          for (const angle of angles) {
+            const target = this.normalizeDegrees(natalPoint.longitude + angle);
+            for (const event of this.findOrbIntervals(samples, target, orb)) {
+              const peak = event.exact.length > 0 ? event.exact[0] : event.closest;
+              const transitLongitude = this.normalizeDegrees(target + peak.difference);
+              events.push({
+                transiting: body,
+                natal: natalName,
+                aspect: aspect.name,
+                aspect_angle: Math.round(aspect.angle * 100) / 100,
+                target_longitude: target,
+                entry: event.entry,
+                exact: event.exact.map(({ datetime, direction }) => ({ datetime, direction })),
+                exit: event.exit,
+                closest_approach: {
+                  datetime: event.closest.datetime,
+                  orb: Math.round(Math.abs(event.closest.difference) * 100) / 100
+                },
+                transiting_sign: this.positionFromLongitude(transitLongitude).sign,
+                natal_house: this.findHouse(transitLongitude, natalChart.houses)
+              });
+            }
+          }
+        }
+      }
+    }
+
+    const sortKey = event => event.entry || (event.exact[0] && event.exact[0].datetime) || event.closest_approach.datetime;
+    return events.sort((a, b) => sortKey(a).localeCompare(sortKey(b)));
+  }
+
+  findOrbIntervals(samples, target, orb) {
+    // Returns every stretch of time the body stays within orb of the target longitude, with
+    // entry/exit (null when already in orb at the start or still in orb at the end of the
+    // samples) and every exact hit, so retrograde loops show up as multiple exact passes.
+    const intervals = [];
+    const differences = samples.map(sample => this.signedAngularDifference(target, sample.longitude));
+    const at = (time) => new Date(Math.round(time / 1000) * 1000).toISOString();
+    let current = null;
+
+    const open = (entry, time, difference) => {
+      current = { entry, exit: null, exact: [], closest: { datetime: at(time), difference } };
+    };
+
+    if (differences.length > 0 && Math.abs(differences[0]) <= orb) {
+      open(null, samples[0].time, differences[0]);
+    }
+
+    for (let i = 1; i < samples.length; i++) {
+      const [t0, t1] = [samples[i - 1].time, samples[i].time];
+      const [d0, d1] = [differences[i - 1], differences[i]];
+      if (Math.abs(d0) > 90 || Math.abs(d1) > 90) continue;
+
+      // Crossings of -orb, 0 and +orb inside this segment, in time order
+      const crossings = [-orb, 0, orb]
+        .filter(level => (d0 - level) * (d1 - level) < 0 || (d1 === level && d0 !== level))
+        .map(level => ({ level, time: t0 + (level - d0) / (d1 - d0) * (t1 - t0) }))
+        .sort((a, b) => a.time - b.time);
+
+      for (const { level, time } of crossings) {
+        if (level === 0) {
+          if (!current) open(at(time), time, 0);
+          current.exact.push({ datetime: at(time), direction: d1 > d0 ? 'direct' : 'retrograde', difference: 0 });
+          current.closest = { datetime: at(time), difference: 0 };
+        } else if (!current) {
+          open(at(time), time, level);
+        } else {
+          current.exit = at(time);
+          intervals.push(current);
+          current = null;
+        }
+      }
+
+      if (current && Math.abs(d1) < Math.abs(current.closest.difference)) {
+        current.closest = { datetime: at(t1), difference: d1 };
+      }
+    }
+
+    if (current) intervals.push(current);
+    return intervals;
+  }
+
+  calculateCrossAspects(movingPoints, fixedPoints, aspectOptions) {
+    // Aspects from one set of points (transiting, progressed, directed) to a fixed reference set
+    // (usually natal). Only the moving side's speed decides applying/separating.
+    const aspects = [];
+    for (const [movingName, movingPoint] of Object.entries(movingPoints)) {
+      for (const [fixedName, fixedPoint] of Object.entries(fixedPoints)) {
+        const aspect = this.findAspect(movingPoint, { ...fixedPoint, speed: 0 }, movingName, fixedName, aspectOptions);
+        if (aspect) {
+          aspects.push({ point1: movingName, point2: fixedName, ...aspect });
+        }
+      }
+    }
+    return aspects.sort((a, b) => a.orb - b.orb);
+  }
+
+  calculateProgressions(natalChart, targetDate, mcMethod, aspectOptions, options) {
+    // Secondary progressions: one day after birth for every tropical year of life
+    const birthDate = new Date(natalChart.datetime);
+    const ageYears = (targetDate.getTime() - birthDate.getTime()) / (365.24219 * 86400000);
+    const progressedDate = new Date(birthDate.getTime() + ageYears * 86400000);
+    const { latitude, longitude } = natalChart.coordinates;
+
+    // Probe the progressed moment at the birth place: planets do not depend on the location,
+    // and its ARMC is the "true" progressed ARMC
+    let progressedChart = this.calculateEphemeris(progressedDate.toISOString(), latitude, longitude, options);
+    const solarArc = this.normalizeDegrees(progressedChart.planets.Sun.longitude - natalChart.planets.Sun.longitude);
+
+    // Naibod and solar arc progress the MC at a fixed rate instead. Houses only depend on the
+    // ARMC, latitude and obliquity, so the wanted ARMC is obtained by shifting the geographic
+    // longitude of the progressed cast by the difference.
+    if (mcMethod !== 'true') {
+      let targetArmc;
+      if (mcMethod === 'naibod') {
+        targetArmc = natalChart.chart_points.ARMC.longitude + ageYears * 0.98564733;
+      } else {
+        // Solar arc moves the MC in longitude; convert the directed MC back to a tropical
+        // longitude and then to right ascension
+        const directedMc = (natalChart.chart_points.Midheaven.longitude + solarArc + this.calculateAyanamsa(progressedDate.getTime(), options)) * Math.PI / 180;
+        const obliquity = this.calculateMeanObliquity(progressedDate) * Math.PI / 180;
+        targetArmc = Math.atan2(Math.sin(directedMc) * Math.cos(obliquity), Math.cos(directedMc)) * 180 / Math.PI;
+      }
+      const shift = this.signedAngularDifference(progressedChart.chart_points.ARMC.longitude, targetArmc);
+      const castLongitude = this.signedAngularDifference(0, longitude + shift);
+      progressedChart = {
+        ...this.calculateEphemeris(progressedDate.toISOString(), latitude, castLongitude, options),
+        coordinates: { latitude, longitude }
+      };
+    }
+
+    // Solar arc directions: every natal point moves by the progressed Sun's arc
+    const directPoints = (points) => Object.fromEntries(Object.entries(points).map(([name, point]) => [
+      name,
+      this.positionFromLongitude(point.longitude + solarArc)
+    ]));
+    const solarArcChart = {
+      planets: directPoints(natalChart.planets),
+      chart_points: directPoints(Object.fromEntries(Object.entries(natalChart.chart_points).filter(([name]) => name !== 'ARMC'))),
+      additional_points: directPoints(natalChart.additional_points)
+    };
+
+    const natalPoints = this.collectAspectPoints(natalChart, aspectOptions.points);
+    return {
+      age_years: Math.round(ageYears * 10000) / 10000,
+      progressed_datetime: progressedDate.toISOString(),
+      mc_method: mcMethod,
+      solar_arc: solarArc,
+      progressed_chart: progressedChart,
+      solar_arc_chart: solarArcChart,
+      progressed_aspects: this.calculateCrossAspects(this.collectAspectPoints(progressedChart, aspectOptions.points), natalPoints, aspectOptions),
+      solar_arc_aspects: this.calculateCrossAspects(this.collectAspectPoints(solarArcChart, aspectOptions.points), natalPoints, aspectOptions)
+    };
+  }
+
+  fixedStarOptionProperties() {
+    // Input schema properties for fixed star conjunctions on the natal and synastry tools
+    return {
+      include_fixed_stars: {
+        type: 'boolean',
+        description: 'Report natal planets and angles conjunct fixed stars (optional, defaults to false)',
+      },
+      fixed_stars: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'Fixed star names from sefstars.txt (optional, defaults to the Behenian and royal stars)',
+      },
+      fixed_star_orb: {
+        type: 'number',
+        description: 'Conjunction orb in degrees of longitude (optional, defaults to 1)',
+      },
+    };
+  }
+
+  validateFixedStarOptions(args) {
+    const { include_fixed_stars = false, fixed_stars = DEFAULT_FIXED_STARS, fixed_star_orb = 1 } = args;
+
+    if (typeof include_fixed_stars !== 'boolean') {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        'include_fixed_stars must be a boolean'
+      );
+    }
+
+    if (!Array.isArray(fixed_stars) || fixed_stars.length === 0 || fixed_stars.length > 50 ||
+        fixed_stars.some(star => typeof star !== 'string' || !/^[\w .'-]+$/.test(star))) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        'fixed_stars must be an array of 1 to 50 star names'
+      );
+    }
+
+    if (typeof fixed_star_orb !== 'number' || fixed_star_orb < 0 || fixed_star_orb > 10) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        'fixed_star_orb must be a number between 0 and 10'
+      );
+    }
+
+    return { include: include_fixed_stars, stars: fixed_stars, orb: fixed_star_orb };
+  }
+
+  loadFixedStarCatalog() {
+    // Magnitude and constellation come straight from the vendored sefstars.txt:
+    // name, nomenclature (e.g. alTau), equinox, RA h/m/s, Dec d/m/s, proper motions, radial velocity, parallax, magnitude, ...
+    if (this.fixedStarCatalog) return this.fixedStarCatalog;
+
+    const ephePath = process.env.SE_EPHE_PATH || '/app/vendor/swisseph';
+    const catalog = {};
+    try {
+      readFileSync(`${ephePath}/sefstars.txt`, 'utf8').split('\n').forEach(line => {
+        if (!line.trim() || line.startsWith('#')) return;
+        const fields = line.split(',').map(field => field.trim());
+        if (fields.length < 14 || catalog[fields[0].toLowerCase()]) return;
+
+        const constellation = fields[1].replace(/^[a-z]+\d*-?\d*/, '');
+        catalog[fields[0].toLowerCase()] = {
+          name: fields[0],
+          nomenclature: fields[1],
+          magnitude: parseFloat(fields[13]),
+          constellation: CONSTELLATIONS[constellation] || constellation || null
+        };
+      });
+    } catch (error) {
+      throw new Error(`Failed to read fixed star catalog: ${error.message}`);
+    }
+
+    this.fixedStarCatalog = catalog;
+    return catalog;
+  }
+
+  calculateFixedStars(datetime, starNames, options) {
+    // swetest takes a single -xf star per run
+    const date = new Date(datetime);
+    const catalog = this.loadFixedStarCatalog();
+    const stars = {};
+    const missing = [];
+
+    for (const starName of starNames) {
+      const entry = catalog[starName.toLowerCase()];
+      if (!entry) {
+        missing.push(starName);
+        continue;
+      }
+
+      // The name column of fixed stars contains a comma ("Aldebaran,alTau"), so request
+      // the same columns as for planets minus the name and prepend the catalog name ourselves
+      const output = this.runSwetest(
+        `-b${this.formatDateToSwiss(date)} -ut${this.formatTimeToSwiss(date)} -pf -xf"${entry.name}" -fZbsRad -g, -head${this.siderealArgs(options)}`,
+        `fixed star ${entry.name}`
+      );
+      const line = output.split('\n').find(line => line.trim() && !line.includes('error:') && !line.includes('warning:'));
+      const star = line && this.parsePlanetLine(`${entry.name},${line.trim()}`);
+      if (!star) {
+        missing.push(starName);
+        continue;
+      }
+
+      const position = this.applyAyanamsaOffset(star, options);
+      stars[entry.name] = {
+        longitude: position.longitude,
+        sign: position.sign,
+        degree: position.degree,
+        latitude: star.latitude,
+        right_ascension: star.rightAscension,
+        declination: star.declination,
+        magnitude: entry.magnitude,
+        constellation: entry.constellation,
+        nomenclature: entry.nomenclature
+      };
+    }
+
+    return { stars, missing };
+  }
+
+  findFixedStarConjunctions(chart, stars, orb) {
+    const points = { ...chart.planets };
+    for (const angle of ['Ascendant', 'Midheaven', 'Descendant', 'IC']) {
+      if (chart.chart_points[angle]) points[angle] = chart.chart_points[angle];
+    }
+
+    const conjunctions = [];
+    for (const [pointName, point] of Object.entries(points)) {
+      for (const [starName, star] of Object.entries(stars)) {
+        const distance = Math.abs(this.signedAngularDifference(point.longitude, star.longitude));
+        if (distance <= orb) {
+          conjunctions.push({
+            point: pointName,
+            star: starName,
+            orb: Math.round(distance * 100) / 100,
+            magnitude: star.magnitude
+          });
+        }
+      }
+    }
+    return conjunctions.sort((a, b) => a.orb - b.orb);
+  }
+
+  calculateAngularityEvents(rightAscension, declination, latitude) {
+    // Local sidereal time (in degrees) at which a body rises, culminates, sets and
+    // anti-culminates. Circumpolar and never-rising bodies only culminate and anti-culminate.
+    const events = { culminating: rightAscension, anti_culminating: this.normalizeDegrees(rightAscension + 180) };
+    const cosHourAngle = -Math.tan(latitude * Math.PI / 180) * Math.tan(declination * Math.PI / 180);
+    if (Math.abs(cosHourAngle) <= 1) {
+      const semiArc = Math.acos(cosHourAngle) * 180 / Math.PI;
+      events.rising = this.normalizeDegrees(rightAscension - semiArc);
+      events.setting = this.normalizeDegrees(rightAscension + semiArc);
+    }
+    return events;
+  }
+
+  calculateParans(chart, stars, latitude, orbMinutes) {
+    // A paran pairs a star and a planet that are on angles at the same moment of the day at this
+    // latitude. Positions are taken at the chart moment; sidereal time runs at ~4 minutes per degree.
+    // Meridian events are 180° apart, so a pair on the meridian always has a mirrored twin (both
+    // anti-culminating for both culminating); only the one with the star culminating is kept.
+    const meridian = ['culminating', 'anti_culminating'];
+    const parans = [];
+    for (const bodyName of PARAN_BODIES) {
+      const body = chart.planets[bodyName];
+      if (!body) continue;
+      const bodyEvents = this.calculateAngularityEvents(body.right_ascension, body.declination, latitude);
+
+      for (const [starName, star] of Object.entries(stars)) {
+        const starEvents = this.calculateAngularityEvents(star.right_ascension, star.declination, latitude);
+        for (const [starEvent, starTime] of Object.entries(starEvents)) {
+          for (const [bodyEvent, bodyTime] of Object.entries(bodyEvents)) {
+            if (starEvent === 'anti_culminating' && meridian.includes(bodyEvent)) continue;
+            const minutes = Math.abs(this.signedAngularDifference(starTime, bodyTime)) * 4;
+            if (minutes <= orbMinutes) {
+              parans.push({
+                star: starName,
+                star_event: starEvent,
+                body: bodyName,
+                body_event: bodyEvent,
+                orb_minutes: Math.round(minutes * 10) / 10
+              });
+            }
+          }
+        }
+      }
+    }
+    return parans.sort((a, b) => a.orb_minutes - b.orb_minutes);
+  }
+
+  calculatePositions(time, bodyCodes, extraArgs = '') {
+    // Raw swetest positions (see parsePlanetLine) of several bodies at one instant, keyed by swetest name
+    const date = new Date(time);
+    const output = this.runSwetest(
+      `-b${this.formatDateToSwiss(date)} -ut${this.formatTimeToSwiss(date)} -p${bodyCodes} -fPZbsRad -g, -head${extraArgs}`,
+      'positions'
+    );
+    const positions = {};
+    output.split('\n').filter(line => line.trim() && !line.includes('error:') && !line.includes('warning:')).forEach(line => {
+      const position = this.parsePlanetLine(line);
+      if (position) positions[position.name] = position;
+    });
+    return positions;
+  }
+
+  findElongationCrossings(first, second, angles, bodyCodes, options) {
+    // Times the elongation (first minus second body) reaches each angle, located within a sample
+    // step from the two longitude series and refined with Newton steps on the elongation speed
+    const crossings = [];
+
+    for (let i = 1; i < Math.min(first.length, second.length); i++) {
+      const previous = this.normalizeDegrees(first[i - 1].longitude - second[i - 1].longitude);
+      const current = this.normalizeDegrees(first[i].longitude - second[i].longitude);
+
+      for (const angle of angles) {
+        const before = this.signedAngularDifference(angle, previous);
+        const after = this.signedAngularDifference(angle, current);
+        if (!((before < 0 && after >= 0) || (before > 0 && after <= 0)) || Math.abs(before) > 90 || Math.abs(after) > 90) continue;
+
+        const guess = first[i - 1].time + (-before / (after - before)) * (first[i].time - first[i - 1].time);
+        crossings.push({ angle, ...this.refineElongation(bodyCodes, angle, Math.round(guess / 1000) * 1000, options) });
+      }
+    }
+
+    return crossings.sort((a, b) => a.time - b.time);
+  }
+
+  refineElongation(bodyCodes, angle, time, options) {
+    let positions;
+    for (let iteration = 0; iteration < 6; iteration++) {
+      positions = Object.values(this.calculatePositions(time, bodyCodes, this.siderealArgs(options)));
+      const difference = this.signedAngularDifference(angle, this.normalizeDegrees(positions[0].longitude - positions[1].longitude));
+      const rate = positions[0].speed - positions[1].speed;
+      const step = difference / rate * 86400000;
+      if (Math.abs(step) < 1000 || !isFinite(step) || Math.abs(step) > 2 * 86400000) break;
+      time = Math.round((time - step) / 1000) * 1000;
+    }
+    return { time, datetime: new Date(time).toISOString(), positions };
+  }
+
+  findLunarPhases(startDate, endDate, phaseAngles, options) {
+    const phaseNames = { 0: 'new_moon', 90: 'first_quarter', 180: 'full_moon', 270: 'last_quarter' };
+    const count = Math.ceil((endDate.getTime() - startDate.getTime()) / 86400000) + 2;
+    const sun = this.calculateLongitudeSeries('0', startDate, 1, count, options);
+    const moon = this.calculateLongitudeSeries('1', startDate, 1, count, options);
+
+    return this.findElongationCrossings(moon, sun, phaseAngles, '10', options)
+      .filter(crossing => crossing.time >= startDate.getTime() && crossing.time <= endDate.getTime())
+      .map(({ angle, time, datetime, positions: [moonPosition, sunPosition] }) => ({
+        phase: phaseNames[angle],
+        time,
+        datetime,
+        sun: sunPosition,
+        moon: moonPosition
+      }));
+  }
+
+  calculateSiderealTime(time) {
+    // Greenwich mean sidereal time in degrees (Meeus 12.4)
+    const julianDay = time / 86400000 + 2440587.5;
+    const centuries = (julianDay - 2451545.0) / 36525;
+    return this.normalizeDegrees(280.46061837 + 360.98564736629 * (julianDay - 2451545.0) + 0.000387933 * centuries ** 2 - centuries ** 3 / 38710000);
+  }
+
+  calculateAltitude(time, rightAscension, declination, latitude, longitude) {
+    const rad = Math.PI / 180;
+    const hourAngle = this.calculateSiderealTime(time) + longitude - rightAscension;
+    const sinAltitude = Math.sin(latitude * rad) * Math.sin(declination * rad) +
+      Math.cos(latitude * rad) * Math.cos(declination * rad) * Math.cos(hourAngle * rad);
+    return Math.asin(sinAltitude) / rad;
+  }
+
+  calculateDiskGeometry(sun, moon) {
+    // Apparent semidiameters and horizontal parallaxes in degrees from swetest distances (AU)
+    const moonKm = moon.distance * 149597870.7;
+    return {
+      sunRadius: 0.266563 / sun.distance,
+      sunParallax: 0.002442 / sun.distance,
+      moonRadius: Math.asin(1737.4 / moonKm) * 180 / Math.PI,
+      moonParallax: Math.asin(6378.14 / moonKm) * 180 / Math.PI,
+      moonKm
+    };
+  }
+
+  calculateClosestApproach(time, extraArgs, target) {
+    // Linear relative motion of the Moon against a target point (the Sun or the anti-Sun)
+    // over one hour gives the time and distance of closest approach in degrees
+    const hour = 3600000;
+    const now = this.calculatePositions(time, '01', extraArgs);
+    const later = this.calculatePositions(time + hour, '01', extraArgs);
+    const offset = (positions) => {
+      const point = target(positions.Sun);
+      const x = this.signedAngularDifference(point.longitude, positions.Moon.longitude) * Math.cos(positions.Moon.latitude * Math.PI / 180);
+      return [x, positions.Moon.latitude - point.latitude];
+    };
+
+    const [x0, y0] = offset(now);
+    const [x1, y1] = offset(later);
+    const [vx, vy] = [x1 - x0, y1 - y0];
+    const hours = -(x0 * vx + y0 * vy) / (vx ** 2 + vy ** 2);
+    return {
+      time: Math.round((time + hours * hour) / 1000) * 1000,
+      distance: Math.hypot(x0 + vx * hours, y0 + vy * hours),
+      speed: Math.hypot(vx, vy) / hour,
+      positions: now
+    };
+  }
+
+  calculateSarosSeries(time, referenceTime, referenceSaros) {
+    // Consecutive lunations differ by 38 saros series (mod 223); the representative closest to
+    // the reference eclipse is the right one for several thousand years around it
+    const lunations = Math.round((time - referenceTime) / (29.530588853 * 86400000));
+    let saros = (referenceSaros + 38 * lunations) % 223;
+    if (saros < 0) saros += 223;
+    while (saros - referenceSaros > 111) saros -= 223;
+    while (referenceSaros - saros > 111) saros += 223;
+    return saros;
+  }
+
+  calculateContacts(maximum, distance, speed, radii) {
+    // Contact times where the centre distance equals each radius, symmetric around maximum
+    const contacts = {};
+    for (const [[first, last], radius] of radii) {
+      if (radius > distance) {
+        const halfDuration = Math.sqrt(radius ** 2 - distance ** 2) / speed;
+        contacts[first] = new Date(Math.round((maximum - halfDuration) / 1000) * 1000).toISOString();
+        contacts[last] = new Date(Math.round((maximum + halfDuration) / 1000) * 1000).toISOString();
+      }
+    }
+    return contacts;
+  }
+
+  calculateLunarEclipse(fullMoon, location, options) {
+    const approach = this.calculateClosestApproach(fullMoon.time, '', sun => ({
+      longitude: this.normalizeDegrees(sun.longitude + 180),
+      latitude: -sun.latitude
+    }));
+    const geometry = this.calculateDiskGeometry(approach.positions.Sun, approach.positions.Moon);
+
+    // Earth's shadow radii at the Moon's distance, enlarged by 2% for the atmosphere (Danjon)
+    const umbra = 1.02 * (geometry.moonParallax + geometry.sunParallax - geometry.sunRadius);
+    const penumbra = 1.02 * (geometry.moonParallax + geometry.sunParallax + geometry.sunRadius);
+    const umbralMagnitude = (umbra + geometry.moonRadius - approach.distance) / (2 * geometry.moonRadius);
+    const penumbralMagnitude = (penumbra + geometry.moonRadius - approach.distance) / (2 * geometry.moonRadius);
+    if (penumbralMagnitude <= 0) return null;
+
+    const type = umbralMagnitude >= 1 ? 'total' : umbralMagnitude > 0 ? 'partial' : 'penumbral';
+    const contacts = this.calculateContacts(approach.time, approach.distance, approach.speed, [
+      [['penumbral_begin', 'penumbral_end'], penumbra + geometry.moonRadius],
+      [['partial_begin', 'partial_end'], umbra + geometry.moonRadius],
+      [['total_begin', 'total_end'], umbra - geometry.moonRadius]
+    ]);
+
+    const eclipse = {
+      kind: 'lunar',
+      type,
+      maximum: new Date(approach.time).toISOString(),
+      // The umbral magnitude is negative when only the penumbra touches the Moon
+      magnitude: Math.round(Math.max(0, umbralMagnitude) * 10000) / 10000,
+      penumbral_magnitude: Math.round(penumbralMagnitude * 10000) / 10000,
+      saros: this.calculateSarosSeries(approach.time, Date.UTC(2025, 2, 14, 6, 58), 123),
+      position: this.applyAyanamsaOffset(this.positionFromLongitude(fullMoon.moon.longitude), options),
+      contacts
+    };
+
+    if (location) {
+      // Contacts are the same for every observer; visibility only depends on the Moon's altitude
+      const altitudeAt = (iso) => {
+        const time = new Date(iso).getTime();
+        const moon = this.calculatePositions(time, '1').Moon;
+        return Math.round(this.calculateAltitude(time, moon.rightAscension, moon.declination, location.latitude, location.longitude) * 100) / 100;
+      };
+      const altitudes = Object.fromEntries([['maximum', eclipse.maximum], ...Object.entries(contacts)].map(([name, iso]) => [name, altitudeAt(iso)]));
+      eclipse.local = {
+        visible: Object.values(altitudes).some(altitude => altitude > 0),
+        visible_at_maximum: altitudes.maximum > 0,
+        moon_altitudes: altitudes
+      };
+    }
+
+    return eclipse;
+  }
+
+  calculateSolarEclipse(newMoon, location, options) {
+    const approach = this.calculateClosestApproach(newMoon.time, '', sun => sun);
+    const geometry = this.calculateDiskGeometry(approach.positions.Sun, approach.positions.Moon);
+
+    // Seen from somewhere on Earth the Moon can be displaced by up to its parallax, so the eclipse
+    // is visible somewhere when the geocentric discs come within that distance of touching
+    const parallax = geometry.moonParallax - geometry.sunParallax;
+    if (approach.distance >= parallax + geometry.sunRadius + geometry.moonRadius) return null;
+
+    const gamma = approach.distance / parallax;
+    let type;
+    let magnitude;
+    if (gamma < 1) {
+      // Central eclipse: compare the discs from the point of greatest eclipse (Moon closer by
+      // up to one Earth radius) and from the path ends (Moon near the horizon)
+      const moonRadiusAtMaximum = Math.asin(1737.4 / (geometry.moonKm - 6378.14 * Math.sqrt(1 - gamma ** 2))) * 180 / Math.PI;
+      type = moonRadiusAtMaximum <= geometry.sunRadius ? 'annular' : geometry.moonRadius < geometry.sunRadius ? 'hybrid' : 'total';
+      magnitude = moonRadiusAtMaximum / geometry.sunRadius;
+    } else {
+      type = 'partial';
+      magnitude = (parallax + geometry.sunRadius + geometry.moonRadius - approach.distance) / (2 * geometry.sunRadius);
+    }
+
+    const eclipse = {
+      kind: 'solar',
+      type,
+      maximum: new Date(approach.time).toISOString(),
+      magnitude: Math.round(magnitude * 10000) / 10000,
+      gamma: Math.round(gamma * 10000) / 10000,
+      saros: this.calculateSarosSeries(approach.time, Date.UTC(2024, 3, 8, 18, 17), 139),
+      position: this.applyAyanamsaOffset(this.positionFromLongitude(newMoon.sun.longitude), options)
+    };
+
+    if (location) {
+      eclipse.local = this.calculateLocalSolarEclipse(approach.time, location);
+    }
+
+    return eclipse;
+  }
+
+  calculateLocalSolarEclipse(globalMaximum, location) {
+    // Topocentric Sun and Moon; the closest approach is refined once from the local maximum
+    const topo = ` -topo${location.longitude},${location.latitude},0`;
+    let approach = this.calculateClosestApproach(globalMaximum, topo, sun => sun);
+    approach = this.calculateClosestApproach(approach.time, topo, sun => sun);
+    const geometry = this.calculateDiskGeometry(approach.positions.Sun, approach.positions.Moon);
+
+    if (approach.distance >= geometry.sunRadius + geometry.moonRadius) {
+      return { visible: false, type: 'none', magnitude: 0 };
+    }
+
+    const sunAltitude = (time) => {
+      const sun = this.calculatePositions(time, '0', topo).Sun;
+      return Math.round(this.calculateAltitude(time, sun.rightAscension, sun.declination, location.latitude, location.longitude) * 100) / 100;
+    };
+    const centralType = geometry.moonRadius > geometry.sunRadius ? 'total' : 'annular';
+    const contacts = this.calculateContacts(approach.time, approach.distance, approach.speed, [
+      [['first_contact', 'fourth_contact'], geometry.sunRadius + geometry.moonRadius],
+      [[`${centralType}_begin`, `${centralType}_end`], Math.abs(geometry.moonRadius - geometry.sunRadius)]
+    ]);
+    const altitudes = Object.fromEntries([['maximum', approach.time], ...Object.entries(contacts).map(([name, iso]) => [name, new Date(iso).getTime()])]
+      .map(([name, time]) => [name, sunAltitude(time)]));
+    // With the Sun below the horizon throughout, the observer sees no eclipse at all; the
+    // contacts and altitudes still show when it happens
+    const visible = Object.values(altitudes).some(altitude => altitude > 0);
+
+    return {
+      visible,
+      visible_at_maximum: altitudes.maximum > 0,
+      type: !visible ? 'none' : contacts[`${centralType}_begin`] ? centralType : 'partial',
+      maximum: new Date(approach.time).toISOString(),
+      magnitude: visible ? Math.round((geometry.sunRadius + geometry.moonRadius - approach.distance) / (2 * geometry.sunRadius) * 10000) / 10000 : 0,
+      contacts,
+      sun_altitudes: altitudes
+    };
+  }
+
+  findEclipses(startDate, endDate, kinds, location, options) {
+    // Eclipses need a syzygy close to a lunar node: skip lunations where the Moon is too far
+    // from the ecliptic before doing the detailed geometry
+    const angles = [...(kinds.includes('solar') ? [0] : []), ...(kinds.includes('lunar') ? [180] : [])];
+    const eclipses = [];
+    for (const phase of this.findLunarPhases(startDate, endDate, angles, options)) {
+      if (Math.abs(phase.moon.latitude) > 1.7) continue;
+      const eclipse = phase.phase === 'new_moon'
+        ? this.calculateSolarEclipse(phase, location, options)
+        : this.calculateLunarEclipse(phase, location, options);
+      if (eclipse) eclipses.push(eclipse);
+    }
+    return eclipses;
+  }
+
+  findEclipseNatalContacts(chart, eclipse, orb) {
+    // Natal points conjunct or opposite the eclipse degree
+    const points = { ...chart.planets };
+    for (const angle of ['Ascendant', 'Midheaven', 'Descendant', 'IC']) {
+      if (chart.chart_points[angle]) points[angle] = chart.chart_points[angle];
+    }
+
+    const contacts = [];
+    for (const [pointName, point] of Object.entries(points)) {
+      const distance = Math.abs(this.signedAngularDifference(point.longitude, eclipse.position.longitude));
+      for (const [aspect, angle] of [['conjunction', 0], ['opposition', 180]]) {
+        if (Math.abs(distance - angle) <= orb) {
+          contacts.push({ point: pointName, aspect, orb: Math.round(Math.abs(distance - angle) * 100) / 100 });
+        }
+      }
+    }
+    return contacts.sort((a, b) => a.orb - b.orb);
+  }
+
+  calculatePositionSeries(bodyCodes, startDate, step, count, options) {
+    // One swetest process for several bodies over many steps. Each line is prefixed with its
+    // julian day, so rows are grouped by it and keyed by swetest body name.
+    const output = this.runSwetest(
+      `-b${this.formatDateToSwiss(startDate)} -ut${this.formatTimeToSwiss(startDate)} -p${bodyCodes} -fJPZbsRad -n${count} -s${step} -g, -head${this.siderealArgs(options)}`,
+      'ephemeris'
+    );
+    const rows = new Map();
+
+    output.split('\n').filter(line => line.trim() && !line.includes('error:') && !line.includes('warning:')).forEach(line => {
+      const separator = line.indexOf(',');
+      const julianDay = parseFloat(line.slice(0, separator));
+      const position = this.parsePlanetLine(line.slice(separator + 1));
+      if (isNaN(julianDay) || !position) return;
+      if (!rows.has(julianDay)) rows.set(julianDay, {});
+      rows.get(julianDay)[position.name] = this.applyAyanamsaOffset(position, options);
+    });
+
+    return [...rows].map(([julianDay, positions]) => ({
+      time: Math.round((julianDay - 2440587.5) * 86400000),
+      positions
+    }));
+  }
+
+  findSkyEvents(startDate, endDate, bodies, eventTypes, aspects, options) {
+    const dayCount = Math.ceil((endDate.getTime() - startDate.getTime()) / 86400000) + 1;
+    const series = {};
+    const seriesFor = body => {
+      if (!series[body]) {
+        series[body] = this.calculateLongitudeSeries(this.swetestBodyCode(body, options), startDate, 1, dayCount + 1, options);
+      }
+      return series[body];
+    };
+    const positionOf = longitude => this.applyAyanamsaOffset(this.positionFromLongitude(longitude), options);
+    const inRange = event => {
+      const time = new Date(event.datetime).getTime();
+      return time >= startDate.getTime() && time <= endDate.getTime();
+    };
+    const events = [];
+
+    if (eventTypes.includes('ingresses')) {
+      for (const body of bodies) {
+        events.push(...this.findIngresses(body, seriesFor(body), options));
+      }
+    }
+
+    if (eventTypes.includes('stations')) {
+      // The Sun and Moon never turn retrograde
+      for (const body of bodies.filter(body => body !== 'Sun' && body !== 'Moon')) {
+        events.push(...this.findStations(body, seriesFor(body), options));
+      }
+    }
+
+    if (eventTypes.includes('lunations')) {
+      for (const phase of this.findLunarPhases(startDate, endDate, [0, 90, 180, 270], options)) {
+        events.push({
+          type: 'lunation',
+          datetime: phase.datetime,
+          phase: phase.phase,
+          sun: positionOf(phase.sun.longitude),
+          moon: positionOf(phase.moon.longitude)
+        });
+      }
+    }
+
+    if (eventTypes.includes('void_of_course')) {
+      events.push(...this.findVoidOfCourseMoon(startDate, endDate, options));
+    }
+
+    if (eventTypes.includes('mutual_aspects')) {
+      for (let i = 0; i < bodies.length; i++) {
+        for (let j = i + 1; j < bodies.length; j++) {
+          const [first, second] = [bodies[i], bodies[j]];
+          const angles = new Map();
+          for (const aspect of aspects) {
+            angles.set(aspect.angle, aspect.name);
+            angles.set(this.normalizeDegrees(360 - aspect.angle), aspect.name);
+          }
+
+          const crossings = this.findElongationCrossings(
+            seriesFor(first), seriesFor(second), [...angles.keys()],
+            this.swetestBodyCode(first, options) + this.swetestBodyCode(second, options), options
+          );
+          for (const crossing of crossings) {
+            events.push({
+              type: 'mutual_aspect',
+              datetime: crossing.datetime,
+              bodies: [first, second],
+              aspect: angles.get(crossing.angle),
+              positions: {
+                [first]: positionOf(crossing.positions[0].longitude),
+                [second]: positionOf(crossing.positions[1].longitude)
+              }
+            });
+          }
+        }
+      }
+    }
+
+    // Void-of-course periods are already clipped to the range; they are sorted by their start
+    const sortKey = event => event.datetime || event.start;
+    return events.filter(event => event.type === 'void_of_course' || inRange(event))
+      .sort((a, b) => sortKey(a).localeCompare(sortKey(b)));
+  }
+
+  findIngresses(body, samples, options) {
+    const bodyCode = this.swetestBodyCode(body, options);
+    const ingresses = [];
+
+    for (let i = 1; i < samples.length; i++) {
+      const [from, to] = [samples[i - 1], samples[i]];
+      if (Math.floor(from.longitude / 30) === Math.floor(to.longitude / 30)) continue;
+
+      // Retrograde bodies cross back over the cusp of the sign they are leaving
+      const direct = this.signedAngularDifference(from.longitude, to.longitude) > 0;
+      const cusp = Math.floor((direct ? to : from).longitude / 30) * 30;
+      const crossing = this.refineLongitudeCrossing(bodyCode, cusp, from, to, options);
+      ingresses.push({
+        type: 'ingress',
+        datetime: crossing.datetime,
+        body,
+        sign: this.positionFromLongitude(to.longitude).sign,
+        from_sign: this.positionFromLongitude(from.longitude).sign,
+        direction: direct ? 'direct' : 'retrograde'
+      });
+    }
+
+    return ingresses;
+  }
+
+  findStations(body, samples, options) {
+    // A station lies within a day of the sample where daily motion changes sign. Motion at the
+    // outer samples has the sign of the motion on either side, so the speed is bisected between
+    // them to the minute.
+    const bodyCode = this.swetestBodyCode(body, options);
+    const stations = [];
+
+    for (let i = 1; i < samples.length - 1; i++) {
+      const before = this.signedAngularDifference(samples[i - 1].longitude, samples[i].longitude);
+      const after = this.signedAngularDifference(samples[i].longitude, samples[i + 1].longitude);
+      if (!((before > 0 && after <= 0) || (before < 0 && after >= 0))) continue;
+
+      let [t0, t1] = [samples[i - 1].time, samples[i + 1].time];
+      let position;
+      while (t1 - t0 > 60000) {
+        const t = Math.round((t0 + t1) / 2000) * 1000;
+        [position] = Object.values(this.calculatePositions(t, bodyCode, this.siderealArgs(options)));
+        if ((position.speed > 0) === (before > 0)) {
+          t0 = t;
+        } else {
+          t1 = t;
+        }
+      }
+
+      stations.push({
+        type: 'station',
+        datetime: new Date(Math.round((t0 + t1) / 2000) * 1000).toISOString(),
+        body,
+        station: before > 0 ? 'retrograde' : 'direct',
+        position: this.applyAyanamsaOffset(this.positionFromLongitude(position.longitude), options)
+      });
+    }
+
+    return stations;
+  }
+
+  findVoidOfCourseMoon(startDate, endDate, options) {
+    // The Moon is void of course from its last exact Ptolemaic aspect to a planet until it
+    // enters the next sign (the whole sign when it makes none). Hourly Moon samples against
+    // daily planet samples interpolated in between are accurate to well under a minute.
+    // Samples start three days early to reach back to the ingress before the first period.
+    const day = 86400000;
+    const from = new Date(startDate.getTime() - 3 * day);
+    const days = Math.ceil((endDate.getTime() - from.getTime()) / day) + 4;
+    const moon = this.calculateLongitudeSeries('1', from, 1 / 24, days * 24 + 1, options);
+    const planets = TRANSITING_BODIES.map(body => ({
+      body,
+      samples: this.calculateLongitudeSeries(this.swetestBodyCode(body, options), from, 1, days + 2, options)
+    }));
+    const aspects = Object.entries(ASPECTS).filter(([, aspect]) => aspect.type === 'major');
+
+    const planetAt = (samples, time) => {
+      const index = Math.min(Math.floor((time - samples[0].time) / day), samples.length - 2);
+      const [a, b] = [samples[index], samples[index + 1]];
+      return a.longitude + this.signedAngularDifference(a.longitude, b.longitude) * (time - a.time) / (b.time - a.time);
+    };
+
+    const ingresses = [];
+    const hits = [];
+    for (let i = 1; i < moon.length; i++) {
+      const [a, b] = [moon[i - 1], moon[i]];
+      const motion = this.signedAngularDifference(a.longitude, b.longitude);
+
+      if (Math.floor(a.longitude / 30) !== Math.floor(b.longitude / 30)) {
+        const cusp = Math.floor(b.longitude / 30) * 30;
+        ingresses.push({
+          time: a.time + this.signedAngularDifference(a.longitude, cusp) / motion * (b.time - a.time),
+          sign: this.positionFromLongitude(b.longitude).sign
+        });
+      }
+
+      for (const { body, samples } of planets) {
+        const before = this.normalizeDegrees(a.longitude - planetAt(samples, a.time));
+        const after = this.normalizeDegrees(b.longitude - planetAt(samples, b.time));
+        for (const [name, aspect] of aspects) {
+          for (const angle of new Set([aspect.angle, 360 - aspect.angle])) {
+            const d0 = this.signedAngularDifference(angle % 360, before);
+            const d1 = this.signedAngularDifference(angle % 360, after);
+            if (d0 < 0 && d1 >= 0 && d1 - d0 < 90) {
+              hits.push({ time: a.time - d0 / (d1 - d0) * (b.time - a.time), body, aspect: name });
+            }
+          }
+        }
+      }
+    }
+
+    const periods = [];
+    const at = time => new Date(Math.round(time / 1000) * 1000).toISOString();
+    for (let k = 1; k < ingresses.length; k++) {
+      const [entry, exit] = [ingresses[k - 1], ingresses[k]];
+      const last = hits.filter(hit => hit.time > entry.time && hit.time < exit.time).sort((x, y) => x.time - y.time).pop();
+      const start = last ? last.time : entry.time;
+      if (exit.time < startDate.getTime() || start > endDate.getTime()) continue;
+
+      periods.push({
+        type: 'void_of_course',
+        start: at(start),
+        end: at(exit.time),
+        duration_hours: Math.round((exit.time - start) / 36000) / 100,
+        sign: entry.sign,
+        next_sign: exit.sign,
+        last_aspect: last ? { body: last.body, aspect: last.aspect } : null
+      });
+    }
+
+    return periods;
+  }
+
+  nearMidpoint(longitude1, longitude2) {
+    // Midpoint on the shorter arc, so 350° and 10° meet at 0° Aries rather than 0° Libra
+    return this.normalizeDegrees(longitude1 + this.signedAngularDifference(longitude1, longitude2) / 2);
+  }
+
+  calculateCompositeChart(chart1, chart2) {
+    // Midpoint composite: every point present in both charts is placed at the near midpoint of
+    // its two positions. Speeds are averaged, which is the rate the midpoint itself moves at.
+    const midpoints = (points1, points2) => {
+      const result = {};
+      for (const [name, point1] of Object.entries(points1)) {
+        const point2 = points2[name];
+        if (!point2) continue;
+        result[name] = this.positionFromLongitude(this.nearMidpoint(point1.longitude, point2.longitude));
+        if (typeof point1.speed === 'number' && typeof point2.speed === 'number') {
+          result[name].speed = (point1.speed + point2.speed) / 2;
+          result[name].retrograde = result[name].speed < 0;
+        }
+      }
+      return result;
+    };
+
+    const planets = midpoints(chart1.planets, chart2.planets);
+    const additionalPoints = midpoints(chart1.additional_points, chart2.additional_points);
+    const chartPoints = midpoints(chart1.chart_points, chart2.chart_points);
+    if (chartPoints.Ascendant) chartPoints.Descendant = this.positionFromLongitude(chartPoints.Ascendant.longitude + 180);
+    if (chartPoints.Midheaven) chartPoints.IC = this.positionFromLongitude(chartPoints.Midheaven.longitude + 180);
+
+    // Cusp midpoints can land on the far side of the wheel when a cusp pair is nearly opposite;
+    // such a cusp is flipped by 180° so the cusps keep their zodiacal order from the Ascendant
+    const houses = midpoints(chart1.houses, chart2.houses);
+    for (let house = 2; house <= 12; house++) {
+      if (houses[house] && houses[house - 1] && this.signedAngularDifference(houses[house - 1].longitude, houses[house].longitude) < 0) {
+        houses[house] = this.positionFromLongitude(houses[house].longitude + 180);
+      }
+    }
+
+    const warnings = [...chart1.warnings, ...chart2.warnings];
+    if (chart1.settings.house_system !== chart2.settings.house_system) {
+      warnings.push(`Cusps mix ${chart1.settings.house_system} and ${chart2.settings.house_system} houses`);
+    }
+
+    return {
+      planets,
+      houses,
+      chart_points: chartPoints,
+      additional_points: additionalPoints,
+      settings: chart1.settings,
+      warnings
+    };
+  }
+
+  calculateDavisonLocation(latitude1, longitude1, latitude2, longitude2, method) {
+    if (method === 'great_circle') {
+      // Midpoint of the great circle arc between both birthplaces
+      const rad = Math.PI / 180;
+      const toVector = (latitude, longitude) => [
+        Math.cos(latitude * rad) * Math.cos(longitude * rad),
+        Math.cos(latitude * rad) * Math.sin(longitude * rad),
+        Math.sin(latitude * rad)
+      ];
+      const [a, b] = [toVector(latitude1, longitude1), toVector(latitude2, longitude2)];
+      const [x, y, z] = a.map((value, index) => value + b[index]);
+      if (Math.hypot(x, y, z) < 1e-9) {
+        throw new McpError(ErrorCode.InvalidParams, 'Antipodal birthplaces have no great circle midpoint; use davison_location arithmetic');
+      }
+      return {
+        latitude: Math.atan2(z, Math.hypot(x, y)) / rad,
+        longitude: Math.atan2(y, x) / rad
+      };
+    }
+
+    // Davison's original method: mean latitude, and mean longitude on the shorter way round
+    const longitude = longitude1 + this.signedAngularDifference(longitude1, longitude2) / 2;
+    return {
+      latitude: (latitude1 + latitude2) / 2,
+      longitude: longitude > 180 ? longitude - 360 : longitude <= -180 ? longitude + 360 : longitude
+    };
+  }
+
+  describeRelationshipChart(chart, aspectOptions) {
+    // Aspects, patterns and house placements of a composite or Davison chart
+    const { aspects, aspect_patterns } = this.calculateNatalAspects(chart, aspectOptions);
+    const housePlacements = {};
+    for (const [name, planet] of Object.entries({ ...chart.planets, ...chart.additional_points })) {
+      housePlacements[name] = this.findHouse(planet.longitude, chart.houses);
+    }
+    return { aspects, aspect_patterns, house_placements: housePlacements };
+  }
+
+  calculateSynastryAspects(person1Points, person2Points, orbs = SYNASTRY_ORBS) {
+    // Points come from collectAspectPoints: planets, nodes, Chiron, asteroids, Ascendant and Midheaven
+    const aspects = [];
+
+    const aspectAngles = {
+      'conjunction': 0,
+      'semisextile': 30,
+      'sextile': 60,
+      'square': 90,
+      'trine': 120,
+      'quincunx': 150,
+      'opposition': 180
+    };
+
+    for (const planet1 of Object.keys(person1Points)) {
+      for (const planet2 of Object.keys(person2Points)) {
+        const lon1 = person1Points[planet1].longitude;
+        const lon2 = person2Points[planet2].longitude;
+        
+        // Calculate the angular distance
+        let distance = Math.abs(lon1 - lon2);
+        if (distance > 180) {
+          distance = 360 - distance;
+        }
+
+        // Check for each aspect type
+        for (const [aspectName, aspectAngle] of Object.entries(aspectAngles)) {
+          const orb = orbs[aspectName];
+          const angleDiff = Math.abs(distance - aspectAngle);
+          
+          if (angleDiff <= orb) {
+            aspects.push({
+              person1_planet: planet1,
+              person2_planet: planet2,
+              aspect: aspectName,
+              orb: Math.round(angleDiff * 100) / 100,
+              exact_angle: Math.round(distance * 100) / 100,
+              person1_position: {
+                longitude: lon1,
+                sign: person1Points[planet1].sign,
+                degree: person1Points[planet1].degree
+              },
+              person2_position: {
+                longitude: lon2,
+                sign: person2Points[planet2].sign,
+                degree: person2Points[planet2].degree
+              }
+            });
+          }
+        }
+      }
+    }
+
+    return aspects.sort((a, b) => a.orb - b.orb);
+  }
+
+  calculateHouseOverlays(points, houses) {
+    // House of the other chart each point falls into
+    return Object.fromEntries(Object.entries(points).map(([name, point]) => [name, this.findHouse(point.longitude, houses)]));
+  }
+
+  loadSynastryScoring(overrides) {
+    // Built-in model, then the SYNASTRY_SCORING_CONFIG file (read once), then the caller's weights
+    if (this.synastryScoringConfig === undefined) {
+      this.synastryScoringConfig = {};
+      if (process.env.SYNASTRY_SCORING_CONFIG) {
+        try {
+          this.synastryScoringConfig = JSON.parse(readFileSync(process.env.SYNASTRY_SCORING_CONFIG, 'utf8'));
+        } catch (error) {
+          this.synastryScoringConfig = undefined;
+          throw new Error(`Failed to read synastry scoring config ${process.env.SYNASTRY_SCORING_CONFIG}: ${error.message}`);
+        }
+      }
+    }
+
+    const scoring = { ...DEFAULT_SYNASTRY_SCORING };
+    for (const [source, layer] of [['SYNASTRY_SCORING_CONFIG', this.synastryScoringConfig], ['scoring_weights', overrides || {}]]) {
+      if (typeof layer !== 'object' || Array.isArray(layer)) {
+        throw new McpError(ErrorCode.InvalidParams, `${source} must be an object`);
+      }
+
+      for (const [key, value] of Object.entries(layer)) {
+        if (!(key in DEFAULT_SYNASTRY_SCORING)) {
+          throw new McpError(ErrorCode.InvalidParams, `${source} has unknown key ${key}; expected ${Object.keys(DEFAULT_SYNASTRY_SCORING).join(', ')}`);
+        }
+
+        if (key === 'default_point_weight' || key === 'orb_exponent') {
+          if (typeof value !== 'number' || (key === 'orb_exponent' && value < 0)) {
+            throw new McpError(ErrorCode.InvalidParams, `${source}.${key} must be a ${key === 'orb_exponent' ? 'non-negative ' : ''}number`);
+          }
+          scoring[key] = value;
+        } else if (key === 'categories') {
+          if (typeof value !== 'object' || Array.isArray(value) || Object.values(value).some(points => !Array.isArray(points) || points.some(point => typeof point !== 'string'))) {
+            throw new McpError(ErrorCode.InvalidParams, `${source}.categories must map category names to arrays of point names`);
+          }
+          scoring.categories = { ...scoring.categories, ...value };
+        } else if (key === 'orbs') {
+          if (typeof value !== 'object' || Array.isArray(value) || Object.entries(value).some(([aspect, orb]) => !(aspect in SYNASTRY_ORBS) || typeof orb !== 'number' || orb <= 0)) {
+            throw new McpError(ErrorCode.InvalidParams, `${source}.orbs must map aspect names (${Object.keys(SYNASTRY_ORBS).join(', ')}) to positive numbers`);
+          }
+          scoring.orbs = { ...scoring.orbs, ...value };
+        } else {
+          if (typeof value !== 'object' || Array.isArray(value) || Object.values(value).some(weight => typeof weight !== 'number')) {
+            throw new McpError(ErrorCode.InvalidParams, `${source}.${key} must map names to numbers`);
+          }
+          scoring[key] = { ...scoring[key], ...value };
+        }
+      }
+    }
+
+    return scoring;
+  }
+
+  scoreSynastry(aspects, scoring) {
+    // Adds each contact's score to its aspect entry and totals them overall and per category
+    const pointWeight = point => scoring.point_weights[point] ?? scoring.default_point_weight;
+    const pairWeight = (point1, point2) => scoring.pair_weights[`${point1}-${point2}`] ?? scoring.pair_weights[`${point2}-${point1}`] ?? 1;
+    const round = value => Math.round(value * 100) / 100;
+    const result = { total: 0, harmonious: 0, challenging: 0, categories: {} };
+    const categories = Object.fromEntries(Object.keys(scoring.categories).map(category => [category, 0]));
+
+    for (const aspect of aspects) {
+      const tightness = Math.max(0, 1 - aspect.orb / scoring.orbs[aspect.aspect]);
+      const score = (scoring.aspect_weights[aspect.aspect] ?? 0) *
+        pointWeight(aspect.person1_planet) * pointWeight(aspect.person2_planet) *
+        pairWeight(aspect.person1_planet, aspect.person2_planet) *
+        tightness ** scoring.orb_exponent;
+      aspect.score = round(score);
+
+      result.total += score;
+      if (score > 0) result.harmonious += score;
+      if (score < 0) result.challenging += score;
+      for (const [category, points] of Object.entries(scoring.categories)) {
+        if (points.includes(aspect.person1_planet) || points.includes(aspect.person2_planet)) {
+          categories[category] += score;
+        }
+      }
+    }
+
+    return {
+      total: round(result.total),
+      harmonious: round(result.harmonious),
+      challenging: round(result.challenging),
+      categories: Object.fromEntries(Object.entries(categories).map(([category, value]) => [category, round(value)])),
+      model: scoring
+    };
+  }
+
+  rectifyBirthTime(windowStart, windowEnd, stepMinutes, coordinates, events, techniques, aspectOptions, options, offsetAt) {
+    // Every candidate time gets its own natal chart. Event-side positions are cast once per event:
+    // transits do not depend on the birth time, and progressed positions are moved to each
+    // candidate's progressed moment with their daily speeds (at most half a day away).
+    const { latitude, longitude } = coordinates;
+    const stepMs = stepMinutes * 60000;
+    const round = value => Math.round(value * 100) / 100;
+    // The offset is looked up per candidate, as a window can span a daylight saving change
+    const localTime = time => new Date(time + offsetAt(time) * 1000).toISOString().slice(11, 16);
+    const included = name => !aspectOptions.points || aspectOptions.points.includes(name);
+    const middle = (windowStart + windowEnd) / 2;
+    const progressedTime = (birth, event) => birth + (event - birth) / 365.24219;
+
+    // Candidate charts bypass the chart cache: hundreds of one-off charts would evict the natal charts it is for
+    const candidates = [];
+    for (let time = windowStart; time <= windowEnd; time += stepMs) {
+      candidates.push({ time, chart: this.computeEphemeris(new Date(time).toISOString(), latitude, longitude, options) });
+    }
+
+    const eventCharts = events.map(event => ({
+      event,
+      transits: techniques.includes('transit')
+        ? this.calculateEphemeris(new Date(event.time).toISOString(), latitude, longitude, options).planets
+        : null,
+      progressed: techniques.includes('progression') || techniques.includes('solar_arc')
+        ? this.calculateEphemeris(new Date(progressedTime(middle, event.time)).toISOString(), latitude, longitude, options).planets
+        : null
+    }));
+
+    const scoreHit = (technique, moving, movingName, fixed, fixedName, event) => {
+      const aspect = this.findAspect(moving, { ...fixed, speed: 0 }, movingName, fixedName, aspectOptions);
+      if (!aspect) return null;
+      const allowed = aspectOptions.aspects.find(option => option.name === aspect.aspect).orb +
+        (['Sun', 'Moon'].includes(movingName) || ['Sun', 'Moon'].includes(fixedName) ? aspectOptions.luminaryOrbBonus : 0);
+      const tightness = allowed > 0 ? Math.max(0, 1 - aspect.orb / allowed) : 1;
+      return {
+        event: event.description,
+        event_date: event.date,
+        technique,
+        point1: movingName,
+        point2: fixedName,
+        aspect: aspect.aspect,
+        orb: aspect.orb,
+        score: round(RECTIFICATION_TECHNIQUES[technique] * (RECTIFICATION_ASPECT_WEIGHTS[aspect.aspect] ?? 0.5) * event.weight * tightness)
+      };
+    };
+
+    for (const candidate of candidates) {
+      const { chart } = candidate;
+      const angles = Object.fromEntries(['Ascendant', 'Midheaven'].filter(included).map(name => [name, chart.chart_points[name]]));
+      const hits = [];
+
+      for (const { event, transits, progressed } of eventCharts) {
+        const add = hit => hit && hits.push(hit);
+
+        if (transits) {
+          for (const body of RECTIFICATION_TRANSITS.filter(body => transits[body] && included(body))) {
+            for (const [angle, point] of Object.entries(angles)) {
+              add(scoreHit('transit', transits[body], body, point, angle, event));
+            }
+          }
+        }
+
+        if (progressed) {
+          const shiftDays = (progressedTime(candidate.time, event.time) - progressedTime(middle, event.time)) / 86400000;
+          const progressedAt = body => this.positionFromLongitude(progressed[body].longitude + progressed[body].speed * shiftDays);
+
+          if (techniques.includes('progression')) {
+            for (const body of RECTIFICATION_PROGRESSED.filter(body => progressed[body] && included(body))) {
+              for (const [angle, point] of Object.entries(angles)) {
+                add(scoreHit('progression', progressedAt(body), body, point, angle, event));
+              }
+            }
+          }
+
+          if (techniques.includes('solar_arc')) {
+            // Directed planets to the natal angles and directed angles to the natal planets
+            const arc = this.normalizeDegrees(progressedAt('Sun').longitude - chart.planets.Sun.longitude);
+            const natalPlanets = STELLIUM_PLANETS.filter(body => chart.planets[body] && included(body));
+            for (const body of natalPlanets) {
+              for (const [angle, point] of Object.entries(angles)) {
+                add(scoreHit('solar_arc', this.positionFromLongitude(chart.planets[body].longitude + arc), body, point, angle, event));
+                add(scoreHit('solar_arc', this.positionFromLongitude(point.longitude + arc), angle, chart.planets[body], body, event));
+              }
+            }
+          }
+        }
+      }
+
+      candidate.hits = hits.sort((a, b) => b.score - a.score);
+      candidate.score = round(hits.reduce((sum, hit) => sum + hit.score, 0));
+      candidate.eventsMatched = new Set(hits.map(hit => hit.event_date + hit.event)).size;
+    }
+
+    // Neighbouring candidates share most hits, so only the peaks of the score curve are ranked
+    const ranked = events.length === 0 ? [] : candidates
+      .filter((candidate, index) => candidate.score > 0 &&
+        (index === 0 || candidate.score >= candidates[index - 1].score) &&
+        (index === candidates.length - 1 || candidate.score > candidates[index + 1].score))
+      .sort((a, b) => b.score - a.score || b.eventsMatched - a.eventsMatched)
+      .map(candidate => ({
+        datetime: new Date(candidate.time).toISOString(),
+        local_time: localTime(candidate.time),
+        score: candidate.score,
+        events_matched: candidate.eventsMatched,
+        ascendant: { sign: candidate.chart.chart_points.Ascendant.sign, degree: candidate.chart.chart_points.Ascendant.degree },
+        midheaven: { sign: candidate.chart.chart_points.Midheaven.sign, degree: candidate.chart.chart_points.Midheaven.degree },
+        moon: { sign: candidate.chart.planets.Moon.sign, degree: candidate.chart.planets.Moon.degree },
+        hits: candidate.hits
+      }));
+
+    // Runs of consecutive candidates sharing a value, as local clock times
+    const segments = (key, value) => {
+      const runs = [];
+      for (const candidate of candidates) {
+        const current = value(candidate.chart);
+        const last = runs[runs.length - 1];
+        if (last && last[key] === current) {
+          last.to = localTime(candidate.time);
+        } else {
+          runs.push({ [key]: current, from: localTime(candidate.time), to: localTime(candidate.time) });
+        }
+      }
+      return runs;
+    };
+    const changing = entries => Object.fromEntries(entries.filter(([, runs]) => runs.length > 1));
+
+    return {
+      ranked,
+      sensitivity: {
+        ascendant_sign: segments('sign', chart => chart.chart_points.Ascendant.sign),
+        midheaven_sign: segments('sign', chart => chart.chart_points.Midheaven.sign),
+        moon_sign: segments('sign', chart => chart.planets.Moon.sign),
+        house_cusp_signs: changing(Array.from({ length: 12 }, (_, index) => [
+          index + 1,
+          segments('sign', chart => chart.houses[index + 1]?.sign ?? null)
+        ])),
+        planet_houses: changing(STELLIUM_PLANETS.map(body => [
+          body,
+          segments('house', chart => this.findHouse(chart.planets[body].longitude, chart.houses))
+        ])),
+        warnings: [...new Set(candidates.flatMap(candidate => candidate.chart.warnings || []))]
+      },
+      candidatesScanned: candidates.length
+    };
+  }
+
+  lotOptionProperties() {
+    // Input schema property selecting the lots to calculate
+    return {
+      lots: {
+        type: 'array',
+        items: {
+          oneOf: [
+            { type: 'string', enum: Object.keys(LOTS) },
+            {
+              type: 'object',
+              properties: {
+                name: { type: 'string' },
+                from: { type: 'string' },
+                to: { type: 'string' },
+                reverse: { type: 'boolean' },
+                base: { type: 'string' },
+              },
+              required: ['name', 'from', 'to'],
+            },
+          ],
+        },
+        description: `Lots to calculate (optional, defaults to ${DEFAULT_LOTS.join(', ')}). Custom lots are { name, from, to, reverse, base }: base + to - from by day, from and to swapped by night when reverse is true (default); base defaults to Ascendant and points may be planets, angles or other lots.`,
+      },
+    };
+  }
+
+  determineSect(chart) {
+    // Day chart when the Sun is above the horizon (houses 7 to 12, between Descendant and Ascendant
+    // through the Midheaven). Mercury is diurnal as a morning star rising before the Sun.
+    const ascendant = chart.chart_points.Ascendant.longitude;
+    const aboveHorizon = longitude => this.normalizeDegrees(longitude - ascendant) >= 180;
+    const sect = aboveHorizon(chart.planets.Sun.longitude) ? 'day' : 'night';
+    const mercuryMorningStar = this.signedAngularDifference(chart.planets.Mercury.longitude, chart.planets.Sun.longitude) > 0;
+    const planetSect = {
+      Sun: 'diurnal', Jupiter: 'diurnal', Saturn: 'diurnal',
+      Moon: 'nocturnal', Venus: 'nocturnal', Mars: 'nocturnal',
+      Mercury: mercuryMorningStar ? 'diurnal' : 'nocturnal'
+    };
+
+    return {
+      chart: sect,
+      sun_above_horizon: sect === 'day',
+      sect_light: sect === 'day' ? 'Sun' : 'Moon',
+      benefic_of_sect: sect === 'day' ? 'Jupiter' : 'Venus',
+      malefic_of_sect: sect === 'day' ? 'Saturn' : 'Mars',
+      benefic_contrary_to_sect: sect === 'day' ? 'Venus' : 'Jupiter',
+      malefic_contrary_to_sect: sect === 'day' ? 'Mars' : 'Saturn',
+      planets: Object.fromEntries(CHALDEAN_ORDER.map(planet => [planet, {
+        sect: planetSect[planet],
+        in_sect: planetSect[planet] === (sect === 'day' ? 'diurnal' : 'nocturnal'),
+        above_horizon: aboveHorizon(chart.planets[planet].longitude),
+        ...(planet === 'Mercury' && { phase: mercuryMorningStar ? 'morning star' : 'evening star' })
+      }]))
+    };
+  }
+
+  calculateEssentialDignities(chart, sect, scores) {
+    // Dignities and debilities of the seven traditional planets, scored with the given point values
+    const dignities = {};
+    for (const planet of CHALDEAN_ORDER) {
+      const { longitude } = chart.planets[planet];
+      const sign = Math.floor(this.normalizeDegrees(longitude) / 30);
+      const degree = this.normalizeDegrees(longitude) % 30;
+      const triplicityRulers = TRIPLICITY_RULERS[sign % 4];
+      const termRuler = EGYPTIAN_TERMS[sign].find(([, end]) => degree < end)[0];
+      const faceRuler = CHALDEAN_ORDER[(sign * 3 + Math.floor(degree / 10) + 2) % 7];
+      const exaltationSign = Object.entries(EXALTATIONS).find(([, [exaltedSign]]) => exaltedSign === sign);
+
+      const roles = ['day', 'night', 'participating'];
+      const triplicityRole = roles.find((role, index) => triplicityRulers[index] === planet) ?? null;
+      const entry = {
+        sign: SIGNS[sign],
+        degree: Math.round(degree * 100) / 100,
+        domicile: DOMICILE_RULERS[sign] === planet,
+        exaltation: EXALTATIONS[planet][0] === sign,
+        // Only the triplicity ruler of the chart's sect scores; the participating ruler is reported
+        triplicity: triplicityRole,
+        terms: termRuler === planet,
+        face: faceRuler === planet,
+        detriment: DOMICILE_RULERS[(sign + 6) % 12] === planet,
+        fall: EXALTATIONS[planet][0] === (sign + 6) % 12
+      };
+      const scoresTriplicity = triplicityRole === sect;
+      entry.peregrine = !entry.domicile && !entry.exaltation && !scoresTriplicity && !entry.terms && !entry.face;
+
+      entry.score = (entry.domicile ? scores.domicile : 0) +
+        (entry.exaltation ? scores.exaltation : 0) +
+        (scoresTriplicity ? scores.triplicity : 0) +
+        (entry.terms ? scores.terms : 0) +
+        (entry.face ? scores.face : 0) +
+        (entry.detriment ? scores.detriment : 0) +
+        (entry.fall ? scores.fall : 0) +
+        (entry.peregrine ? scores.peregrine : 0);
+      entry.lords = {
+        domicile: DOMICILE_RULERS[sign],
+        exaltation: exaltationSign ? exaltationSign[0] : null,
+        triplicity: { day: triplicityRulers[0], night: triplicityRulers[1], participating: triplicityRulers[2] },
+        terms: termRuler,
+        face: faceRuler
+      };
+      dignities[planet] = entry;
+    }
+    return dignities;
+  }
+
+  findMutualReceptions(dignities) {
+    // Pairs of planets each in a sign ruled (domicile) or exalting (exaltation) the other
+    const receptions = [];
+    for (let i = 0; i < CHALDEAN_ORDER.length; i++) {
+      for (let j = i + 1; j < CHALDEAN_ORDER.length; j++) {
+        const [first, second] = [CHALDEAN_ORDER[i], CHALDEAN_ORDER[j]];
+        const receives = (host, guest) => [
+          dignities[guest].lords.domicile === host && 'domicile',
+          dignities[guest].lords.exaltation === host && 'exaltation'
+        ].filter(Boolean);
+        const firstHosts = receives(first, second);
+        const secondHosts = receives(second, first);
+        if (firstHosts.length > 0 && secondHosts.length > 0) {
+          const kinds = [...new Set([...firstHosts, ...secondHosts])];
+          receptions.push({ planets: [first, second], type: kinds.length > 1 || firstHosts[0] !== secondHosts[0] ? 'mixed' : kinds[0] });
+        }
+      }
+    }
+    return receptions;
+  }
+
+  validateLots(lots) {
+    // Lot names from LOTS, or custom { name, from, to, reverse, base } definitions
+    if (!Array.isArray(lots) || lots.length === 0) {
+      throw new McpError(ErrorCode.InvalidParams, 'lots must be a non-empty array of lot names or definitions');
+    }
+    return lots.map(lot => {
+      if (typeof lot === 'string') {
+        if (!LOTS[lot]) {
+          throw new McpError(ErrorCode.InvalidParams, `Unknown lot ${lot}; use one of ${Object.keys(LOTS).join(', ')} or a { name, from, to } definition`);
+        }
+        return { name: lot, base: 'Ascendant', ...LOTS[lot] };
+      }
+      const { name, from, to, reverse = true, base = 'Ascendant' } = lot || {};
+      if ([name, from, to, base].some(value => typeof value !== 'string') || typeof reverse !== 'boolean') {
+        throw new McpError(ErrorCode.InvalidParams, 'Custom lots need string name, from and to (optional base, boolean reverse)');
+      }
+      return { name, from, to, reverse, base };
+    });
+  }
+
+  calculateLots(chart, sect, definitions) {
+    // Lots referring to other lots (Eros uses Spirit) resolve those first, from the definitions
+    // given or from LOTS
+    const lots = {};
+    const known = Object.fromEntries(definitions.map(definition => [definition.name, definition]));
+    const resolving = new Set();
+
+    const pointLongitude = name => {
+      if (chart.planets[name]) return chart.planets[name].longitude;
+      if (chart.chart_points[name]) return chart.chart_points[name].longitude;
+      if (chart.additional_points?.[name]) return chart.additional_points[name].longitude;
+      const definition = known[name] || (LOTS[name] && { name, base: 'Ascendant', ...LOTS[name] });
+      if (!definition) {
+        throw new McpError(ErrorCode.InvalidParams, `Lot formula refers to unknown point ${name}`);
+      }
+      return lotLongitude(definition).longitude;
+    };
+
+    const lotLongitude = definition => {
+      if (lots[definition.name]) return lots[definition.name];
+      if (resolving.has(definition.name)) {
+        throw new McpError(ErrorCode.InvalidParams, `Lot ${definition.name} refers to itself`);
+      }
+      resolving.add(definition.name);
+      const [from, to] = definition.reverse && sect === 'night' ? [definition.to, definition.from] : [definition.from, definition.to];
+      const position = this.positionFromLongitude(pointLongitude(definition.base) + pointLongitude(to) - pointLongitude(from));
+      resolving.delete(definition.name);
+      return {
+        name: definition.name,
+        ...position,
+        house: this.findHouse(position.longitude, chart.houses),
+        ruler: DOMICILE_RULERS[Math.floor(position.longitude / 30)],
+        formula: `${definition.base} + ${to} - ${from}`
+      };
+    };
+
+    for (const definition of definitions) {
+      lots[definition.name] = lotLongitude(definition);
+    }
+    return definitions.map(definition => lots[definition.name]);
+  }
+
+  calculateProfections(chart, birthTime, targetTime) {
+    // Annual profections: the Ascendant sign advances one sign per year of life, the lord of that
+    // sign rules the year. Monthly profections advance one sign per twelfth of the year.
+    const birth = new Date(birthTime);
+    const anniversary = years => Date.UTC(birth.getUTCFullYear() + years, birth.getUTCMonth(), birth.getUTCDate(),
+      birth.getUTCHours(), birth.getUTCMinutes(), birth.getUTCSeconds());
+    let age = new Date(targetTime).getUTCFullYear() - birth.getUTCFullYear();
+    if (anniversary(age) > targetTime) age -= 1;
+
+    const [yearStart, yearEnd] = [anniversary(age), anniversary(age + 1)];
+    const ascendantSign = Math.floor(chart.chart_points.Ascendant.longitude / 30);
+    const sign = (ascendantSign + age) % 12;
+    const lord = DOMICILE_RULERS[sign];
+    const month = Math.min(11, Math.floor((targetTime - yearStart) / (yearEnd - yearStart) * 12));
+    const monthSign = (sign + month) % 12;
+    const monthLength = (yearEnd - yearStart) / 12;
+
+    return {
+      age,
+      year_start: new Date(yearStart).toISOString(),
+      year_end: new Date(yearEnd).toISOString(),
+      profected_house: age % 12 + 1,
+      sign: SIGNS[sign],
+      lord_of_the_year: lord,
+      lord_natal_position: {
+        sign: chart.planets[lord].sign,
+        degree: chart.planets[lord].degree,
+        house: this.findHouse(chart.planets[lord].longitude, chart.houses)
+      },
+      natal_planets_in_sign: Object.entries(chart.planets).filter(([, planet]) => planet.sign === SIGNS[sign]).map(([name]) => name),
+      month: {
+        number: month + 1,
+        sign: SIGNS[monthSign],
+        lord: DOMICILE_RULERS[monthSign],
+        start: new Date(yearStart + month * monthLength).toISOString(),
+        end: new Date(yearStart + (month + 1) * monthLength).toISOString()
+      }
+    };
+  }
+
+  releasingPeriods(startSign, start, end, level) {
+    // Sub-periods of one level, from startSign until end. Once a level has run through all twelve
+    // signs it jumps to the sign opposite its first one (loosing of the bond).
+    const periods = [];
+    let sign = startSign;
+    let loosed = false;
+    for (let index = 0, time = start; time < end; index++) {
+      if (level > 1 && index === 12) {
+        sign = (startSign + 6) % 12;
+        loosed = true;
+      }
+      const length = RELEASING_YEARS[sign] * RELEASING_UNIT_DAYS[level - 1] * 86400000;
+      periods.push({ sign, start: time, end: Math.min(time + length, end), loosing_of_the_bond: loosed && index === 12 });
+      time += length;
+      sign = (sign + 1) % 12;
+    }
+    return periods;
+  }
+
+  calculateZodiacalReleasing(lot, fortuneSign, birthTime, targetTime) {
+    // Level 1 runs from birth; levels 2 and 3 subdivide the period in force at the target date
+    const lotSign = Math.floor(lot.longitude / 30);
+    const describe = (period, level) => {
+      const fromFortune = (period.sign - fortuneSign + 12) % 12 + 1;
+      return {
+        level,
+        sign: SIGNS[period.sign],
+        ruler: DOMICILE_RULERS[period.sign],
+        start: new Date(period.start).toISOString(),
+        end: new Date(period.end).toISOString(),
+        sign_from_fortune: fromFortune,
+        angular_to_fortune: [1, 4, 7, 10].includes(fromFortune),
+        peak: fromFortune === 10,
+        loosing_of_the_bond: period.loosing_of_the_bond
+      };
+    };
+
+    // Level 1 periods follow each other for as long as needed to pass the target date
+    const level1 = [];
+    for (let sign = lotSign, time = birthTime; time <= targetTime || level1.length === 0; sign = (sign + 1) % 12) {
+      const length = RELEASING_YEARS[sign] * RELEASING_UNIT_DAYS[0] * 86400000;
+      level1.push({ sign, start: time, end: time + length, loosing_of_the_bond: false });
+      time += length;
+    }
+    const level1Current = level1[level1.length - 1];
+    const level2 = this.releasingPeriods(level1Current.sign, level1Current.start, level1Current.end, 2);
+    const level2Current = level2.find(period => period.start <= targetTime && targetTime < period.end);
+    const level3Current = this.releasingPeriods(level2Current.sign, level2Current.start, level2Current.end, 3)
+      .find(period => period.start <= targetTime && targetTime < period.end);
+
+    return {
+      lot: { name: lot.name, sign: lot.sign, degree: lot.degree },
+      current: [level1Current, level2Current, level3Current].map((period, index) => describe(period, index + 1)),
+      level1_periods: level1.map(period => describe(period, 1)),
+      level2_periods: level2.map(period => describe(period, 2))
+    };
+  }
+
+  calculateFirdaria(sect, birthTime, targetTime) {
+    // Periods in tropical years, repeating every 75 years. A planetary period splits into seven
+    // equal sub-periods in Chaldean order starting with its lord.
+    const year = 365.2422 * 86400000;
+    const sequence = FIRDARIA[sect];
+    const cycleLength = 75 * year;
+    const cycleStart = birthTime + Math.max(0, Math.floor((targetTime - birthTime) / cycleLength)) * cycleLength;
+
+    const periods = [];
+    let time = cycleStart;
+    for (const [lord, years] of sequence) {
+      periods.push({ lord, years, start: time, end: time + years * year });
+      time += years * year;
+    }
+
+    const active = periods.find(period => period.start <= targetTime && targetTime < period.end) || periods[0];
+    const current = {
+      lord: active.lord,
+      start: new Date(active.start).toISOString(),
+      end: new Date(active.end).toISOString(),
+      sub_lord: null
+    };
+    if (CHALDEAN_ORDER.includes(active.lord)) {
+      const subLength = (active.end - active.start) / 7;
+      const subIndex = Math.min(6, Math.max(0, Math.floor((targetTime - active.start) / subLength)));
+      current.sub_lord = CHALDEAN_ORDER[(CHALDEAN_ORDER.indexOf(active.lord) + subIndex) % 7];
+      current.sub_start = new Date(active.start + subIndex * subLength).toISOString();
+      current.sub_end = new Date(active.start + (subIndex + 1) * subLength).toISOString();
+    }
+
+    return {
+      sect,
+      current,
+      periods: periods.map(period => ({
+        lord: period.lord,
+        years: period.years,
+        start: new Date(period.start).toISOString(),
+        end: new Date(period.end).toISOString()
+      }))
+    };
+  }
+
+  nakshatraPosition(longitude) {
+    // Nakshatra, its Vimshottari lord and pada (quarter of 3°20') of a sidereal longitude
+    const index = Math.min(26, Math.floor(longitude / NAKSHATRA_SPAN));
+    return {
+      nakshatra: NAKSHATRAS[index],
+      nakshatra_number: index + 1,
+      nakshatra_lord: VIMSHOTTARI_DASHAS[index % 9][0],
+      pada: Math.min(4, Math.floor((longitude - index * NAKSHATRA_SPAN) / (NAKSHATRA_SPAN / 4)) + 1)
+    };
+  }
+
+  divisionalSign(longitude, division) {
+    // Sign index of a longitude in a Parashari divisional chart. Odd signs (Aries, Gemini, ...)
+    // have even indices; modality is 0 for movable, 1 for fixed and 2 for dual signs.
+    const sign = Math.floor(longitude / 30);
+    const degree = longitude - sign * 30;
+    const part = Math.floor(degree * division / 30);
+    const odd = sign % 2 === 0;
+    const modality = sign % 3;
+
+    switch (division) {
+      case 1: return sign;
+      case 2: return odd === (part === 0) ? 4 : 3;
+      case 3: return (sign + part * 4) % 12;
+      case 4: return (sign + part * 3) % 12;
+      case 7: return (sign + (odd ? 0 : 6) + part) % 12;
+      case 10: return (sign + (odd ? 0 : 8) + part) % 12;
+      case 12:
+      case 60: return (sign + part) % 12;
+      case 16:
+      case 45: return ([0, 4, 8][modality] + part) % 12;
+      case 20: return ([0, 8, 4][modality] + part) % 12;
+      case 24: return ((odd ? 4 : 3) + part) % 12;
+      case 30: return TRIMSAMSA_PORTIONS[odd ? 'odd' : 'even'].find(([end]) => degree < end)[1];
+      case 40: return ((odd ? 0 : 6) + part) % 12;
+      // Navamsa and Bhamsa count on continuously from Aries
+      default: return Math.floor(longitude * division / 30) % 12;
+    }
+  }
+
+  calculateVedicPositions(chart) {
+    // Lagna and grahas with rashi, whole sign house from the lagna, bhava and nakshatra.
+    // Ketu is opposite Rahu (the North Node).
+    const rahu = chart.planets['North Node'];
+    const bodies = {
+      ...Object.fromEntries(VEDIC_GRAHAS.filter(name => chart.planets[name]).map(name => [name, chart.planets[name]])),
+      ...(rahu && {
+        Rahu: rahu,
+        Ketu: { ...this.positionFromLongitude(rahu.longitude + 180), speed: rahu.speed, retrograde: rahu.retrograde }
+      })
+    };
+    const lagna = chart.chart_points.Ascendant;
+    const lagnaSign = Math.floor(lagna.longitude / 30);
+    const describe = position => ({
+      longitude: position.longitude,
+      sign: position.sign,
+      rashi: RASHIS[Math.floor(position.longitude / 30)],
+      degree: position.degree,
+      ...this.nakshatraPosition(position.longitude)
+    });
+
+    return {
+      lagna: describe(lagna),
+      grahas: Object.fromEntries(Object.entries(bodies).map(([name, body]) => [name, {
+        ...describe(body),
+        house: (Math.floor(body.longitude / 30) - lagnaSign + 12) % 12 + 1,
+        bhava: this.findHouse(body.longitude, chart.houses),
+        speed: body.speed,
+        retrograde: body.retrograde
+      }]))
+    };
+  }
+
+  calculateVarga(positions, varga) {
+    // Divisional chart: lagna and grahas moved to their varga signs, houses counted from the varga lagna
+    const division = Number(varga.slice(1));
+    const lagnaSign = this.divisionalSign(positions.lagna.longitude, division);
+    const grahas = Object.fromEntries(Object.entries(positions.grahas).map(([name, graha]) => {
+      const sign = this.divisionalSign(graha.longitude, division);
+      return [name, {
+        sign: SIGNS[sign],
+        rashi: RASHIS[sign],
+        house: (sign - lagnaSign + 12) % 12 + 1,
+        ...(division > 1 && { vargottama: sign === Math.floor(graha.longitude / 30) })
+      }];
+    }));
+
+    return {
+      name: VARGAS[varga],
+      division,
+      lagna: { sign: SIGNS[lagnaSign], rashi: RASHIS[lagnaSign] },
+      grahas,
+      houses: Array.from({ length: 12 }, (_, index) => {
+        const sign = (lagnaSign + index) % 12;
+        return {
+          house: index + 1,
+          sign: SIGNS[sign],
+          rashi: RASHIS[sign],
+          lord: DOMICILE_RULERS[sign],
+          grahas: Object.keys(grahas).filter(name => grahas[name].house === index + 1)
+        };
+      })
+    };
+  }
+
+  calculateVimshottariDasha(moonLongitude, birthTime, targetTime) {
+    // The dasha in force at birth belongs to the lord of the Moon's nakshatra, with the part of
+    // the nakshatra still ahead of the Moon left to run. Each period divides into nine sub-periods
+    // starting with its own lord, each lasting lord years / 120 of the period.
+    const year = VIMSHOTTARI_YEAR_DAYS * 86400000;
+    const nakshatra = Math.min(26, Math.floor(moonLongitude / NAKSHATRA_SPAN));
+    const first = nakshatra % 9;
+    const elapsed = (moonLongitude - nakshatra * NAKSHATRA_SPAN) / NAKSHATRA_SPAN;
+    const [firstLord, firstYears] = VIMSHOTTARI_DASHAS[first];
+
+    const subPeriods = period => {
+      const periods = [];
+      for (let step = 0, time = period.start; step < 9; step++) {
+        const index = (period.index + step) % 9;
+        const length = (period.end - period.start) * VIMSHOTTARI_DASHAS[index][1] / 120;
+        periods.push({ lord: VIMSHOTTARI_DASHAS[index][0], index, start: time, end: time + length });
+        time += length;
+      }
+      return periods;
+    };
+    const inForce = periods => periods?.find(period => period.start <= targetTime && targetTime < period.end) || null;
+    const describe = period => period && {
+      lord: period.lord,
+      start: new Date(period.start).toISOString(),
+      end: new Date(period.end).toISOString(),
+      years: Math.round((period.end - period.start) / year * 10000) / 10000
+    };
+
+    const cycleStart = birthTime - elapsed * firstYears * year;
+    const mahaDashas = subPeriods({ index: first, start: cycleStart, end: cycleStart + 120 * year });
+    const maha = inForce(mahaDashas);
+    const antar = maha && inForce(subPeriods(maha));
+    const pratyantarDashas = antar ? subPeriods(antar) : [];
+
+    return {
+      moon_nakshatra: NAKSHATRAS[nakshatra],
+      balance_at_birth: {
+        lord: firstLord,
+        years: Math.round((1 - elapsed) * firstYears * 10000) / 10000,
+        ends: new Date(cycleStart + firstYears * year).toISOString()
+      },
+      current: {
+        maha_dasha: describe(maha),
+        antar_dasha: describe(antar),
+        pratyantar_dasha: describe(inForce(pratyantarDashas))
+      },
+      maha_dashas: mahaDashas.map(period => ({ ...describe(period), antar_dashas: subPeriods(period).map(describe) })),
+      pratyantar_dashas: pratyantarDashas.map(describe)
+    };
+  }
+
+  harmonicPoints(points, harmonic) {
+    // Positions multiplied by the harmonic number; speeds scale with them
+    return Object.fromEntries(Object.entries(points).map(([name, point]) => [name, {
+      ...this.positionFromLongitude(point.longitude * harmonic),
+      speed: typeof point.speed === 'number' ? point.speed * harmonic : undefined
+    }]));
+  }
+
+  calculateMidpoints(points) {
+    // Near midpoint (on the shorter arc) of every pair, in Ebertin's order of 90° dial position
+    const names = Object.keys(points);
+    const midpoints = [];
+    for (let i = 0; i < names.length; i++) {
+      for (let j = i + 1; j < names.length; j++) {
+        const [first, second] = [points[names[i]], points[names[j]]];
+        const longitude = this.normalizeDegrees(first.longitude + this.signedAngularDifference(first.longitude, second.longitude) / 2);
+        midpoints.push({
+          midpoint: `${names[i]}/${names[j]}`,
+          points: [names[i], names[j]],
+          ...this.positionFromLongitude(longitude),
+          dial_90: Math.round(longitude % 90 * 100) / 100,
+          dial_45: Math.round(longitude % 45 * 100) / 100
+        });
+      }
+    }
+    return midpoints.sort((a, b) => a.longitude % 90 - b.longitude % 90);
+  }
+
+  calculateDialContacts(points, midpoints, dial, orb, { skipOwnMidpoints = false } = {}) {
+    // Points standing on a midpoint on the dial: a conjunction in the 360/dial harmonic, found with
+    // the same cross aspect search transits use. Orbs are given and reported in degrees of arc.
+    const harmonic = 360 / dial;
+    const midpointPoints = Object.fromEntries(midpoints.map(midpoint => [midpoint.midpoint, midpoint]));
+    const dialOptions = {
+      aspects: [{ name: 'conjunction', angle: 0, type: 'major', orb: orb * harmonic }],
+      luminaryOrbBonus: 0,
+      points: null
+    };
+
+    return this.calculateCrossAspects(this.harmonicPoints(points, harmonic), this.harmonicPoints(midpointPoints, harmonic), dialOptions)
+      .filter(contact => !skipOwnMidpoints || !midpointPoints[contact.point2].points.includes(contact.point1))
+      .map(contact => {
+        const distance = Math.abs(this.signedAngularDifference(points[contact.point1].longitude, midpointPoints[contact.point2].longitude));
+        return {
+          point: contact.point1,
+          midpoint: contact.point2,
+          contact: DIAL_CONTACTS[Math.round(distance / 45)],
+          orb: Math.round(Math.abs(distance - Math.round(distance / 45) * 45) * 100) / 100,
+          applying: contact.applying,
+          status: contact.status
+        };
+      });
+  }
+
+  calculateMidpointTrees(points, midpoints, dials, orb) {
+    // Midpoint pictures (point = A/B) grouped by point, for each dial
+    return Object.fromEntries(dials.map(dial => {
+      const trees = {};
+      for (const { point, midpoint, contact, orb: contactOrb } of this.calculateDialContacts(points, midpoints, dial, orb, { skipOwnMidpoints: true })) {
+        (trees[point] = trees[point] || []).push({ midpoint, contact, orb: contactOrb });
+      }
+      return [`dial_${dial}`, trees];
+    }));
+  }
+
+  calculateHarmonicChart(chart, harmonic, aspectOptions) {
+    // Harmonic chart: every position multiplied by the harmonic, aspects recomputed between them
+    const harmonicChart = {
+      planets: this.harmonicPoints(chart.planets, harmonic),
+      chart_points: this.harmonicPoints(
+        Object.fromEntries(['Ascendant', 'Midheaven'].filter(angle => chart.chart_points[angle]).map(angle => [angle, chart.chart_points[angle]])),
+        harmonic
+      ),
+      houses: {}
+    };
+    const { aspects, aspect_patterns } = this.calculateNatalAspects(harmonicChart, aspectOptions);
+
+    return {
+      harmonic,
+      positions: Object.fromEntries(Object.entries(this.collectAspectPoints(harmonicChart, aspectOptions.points))
+        .map(([name, point]) => [name, { longitude: point.longitude, sign: point.sign, degree: point.degree }])),
+      aspects: aspects.map(({ applying, status, ...aspect }) => aspect),
+      aspect_patterns
+    };
+  }
+
+  greatCircleDistance(latitude1, longitude1, latitude2, longitude2) {
+    // Haversine distance in kilometres
+    const rad = Math.PI / 180;
+    const a = Math.sin((latitude2 - latitude1) * rad / 2) ** 2 +
+      Math.cos(latitude1 * rad) * Math.cos(latitude2 * rad) * Math.sin((longitude2 - longitude1) * rad / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+  }
+
+  initialBearing(latitude1, longitude1, latitude2, longitude2) {
+    // Great circle course from the first place towards the second, clockwise from north
+    const rad = Math.PI / 180;
+    const y = Math.sin((longitude2 - longitude1) * rad) * Math.cos(latitude2 * rad);
+    const x = Math.cos(latitude1 * rad) * Math.sin(latitude2 * rad) -
+      Math.sin(latitude1 * rad) * Math.cos(latitude2 * rad) * Math.cos((longitude2 - longitude1) * rad);
+    return this.normalizeDegrees(Math.atan2(y, x) / rad);
+  }
+
+  compassDirection(bearing) {
+    return COMPASS_POINTS[Math.round(this.normalizeDegrees(bearing) / 22.5) % 16];
+  }
+
+  angleLineLongitude(body, angle, latitude, siderealTime) {
+    // Geographic longitude where the body is on the given angle at the chart moment, or null where
+    // it never rises or sets. The MC/IC lines are meridians; on the ASC/DSC lines the hour angle
+    // is the semi-diurnal arc, cos H0 = -tan(latitude) tan(declination).
+    const rad = Math.PI / 180;
+    let longitude;
+    if (angle === 'MC' || angle === 'IC') {
+      longitude = body.right_ascension - siderealTime + (angle === 'IC' ? 180 : 0);
+    } else {
+      const cosine = -Math.tan(latitude * rad) * Math.tan(body.declination * rad);
+      if (Math.abs(cosine) > 1 + 1e-9) return null;
+      const semiArc = Math.acos(Math.max(-1, Math.min(1, cosine))) / rad;
+      longitude = body.right_ascension - siderealTime + (angle === 'ASC' ? -semiArc : semiArc);
+    }
+    const normalized = this.normalizeDegrees(longitude);
+    return normalized > 180 ? normalized - 360 : normalized;
+  }
+
+  chartSiderealTime(chart) {
+    // Greenwich sidereal time of a chart in degrees, from the ARMC of its houses
+    return this.normalizeDegrees(chart.chart_points.ARMC.longitude - chart.coordinates.longitude);
+  }
+
+  calculateAstrocartographyLines(chart, bodies, angles, latitudeStep) {
+    // GeoJSON polylines, split where they cross the antimeridian. ASC/DSC lines also end at the
+    // latitude where the body turns circumpolar, where both lines meet.
+    const rad = Math.PI / 180;
+    const siderealTime = this.chartSiderealTime(chart);
+    const round = value => Math.round(value * 1000) / 1000;
+    const features = [];
+
+    for (const body of bodies) {
+      const planet = chart.planets[body];
+      const latitudes = [];
+      for (let latitude = -ACG_MAX_LATITUDE; latitude <= ACG_MAX_LATITUDE + 1e-9; latitude += latitudeStep) {
+        latitudes.push(latitude);
+      }
+      const limit = Math.abs(planet.declination) < 1e-6 ? 90 : Math.atan(1 / Math.abs(Math.tan(planet.declination * rad))) / rad;
+      latitudes.sort((a, b) => a - b);
+
+      for (const angle of angles) {
+        const meridian = angle === 'MC' || angle === 'IC';
+        const vertices = !meridian && limit < ACG_MAX_LATITUDE ? [...latitudes, -limit, limit].sort((a, b) => a - b) : latitudes;
+        const segments = [];
+        let current = null;
+        for (const latitude of vertices) {
+          if (!meridian && Math.abs(latitude) > limit + 1e-9) {
+            current = null;
+            continue;
+          }
+          const longitude = this.angleLineLongitude(planet, angle, meridian ? latitude : Math.max(-limit, Math.min(limit, latitude)), siderealTime);
+          if (longitude === null) {
+            current = null;
+            continue;
+          }
+          if (!current) {
+            current = [];
+            segments.push(current);
+          } else {
+            const [previousLongitude, previousLatitude] = current[current.length - 1];
+            if (Math.abs(longitude - previousLongitude) > 180) {
+              // Close the segment on the antimeridian and continue on the other side
+              const edge = previousLongitude > 0 ? 180 : -180;
+              const span = longitude - previousLongitude + (previousLongitude > 0 ? 360 : -360);
+              const crossing = previousLatitude + (latitude - previousLatitude) * (edge - previousLongitude) / span;
+              current.push([edge, round(crossing)]);
+              current = [[-edge, round(crossing)]];
+              segments.push(current);
+            }
+          }
+          current.push([round(longitude), round(latitude)]);
+        }
+
+        features.push({
+          type: 'Feature',
+          geometry: { type: 'MultiLineString', coordinates: segments.filter(segment => segment.length > 1) },
+          properties: {
+            body,
+            angle,
+            right_ascension: planet.right_ascension,
+            declination: planet.declination
+          }
+        });
+      }
+    }
+
+    return { type: 'FeatureCollection', features };
+  }
+
+  findNearestLines(chart, bodies, angles, place, maxDistance) {
+    // Closest point of every angle line to a place. The lines are walked in fine latitude steps
+    // across the band that can lie within maxDistance of the place.
+    const siderealTime = this.chartSiderealTime(chart);
+    const span = maxDistance / 111 + 1;
+    const matches = [];
+
+    for (const body of bodies) {
+      for (const angle of angles) {
+        let best = null;
+        for (let latitude = Math.max(-89.9, place.latitude - span); latitude <= Math.min(89.9, place.latitude + span); latitude += 0.02) {
+          const longitude = this.angleLineLongitude(chart.planets[body], angle, latitude, siderealTime);
+          if (longitude === null) continue;
+          const distance = this.greatCircleDistance(place.latitude, place.longitude, latitude, longitude);
+          if (!best || distance < best.distance) best = { distance, latitude, longitude };
+        }
+        if (!best || best.distance > maxDistance) continue;
+
+        const bearing = this.initialBearing(place.latitude, place.longitude, best.latitude, best.longitude);
+        matches.push({
+          body,
+          angle,
+          distance_km: Math.round(best.distance * 10) / 10,
+          closest_point: { latitude: Math.round(best.latitude * 1000) / 1000, longitude: Math.round(best.longitude * 1000) / 1000 },
+          bearing: Math.round(bearing * 10) / 10,
+          direction: this.compassDirection(bearing)
+        });
+      }
+    }
+
+    return matches.sort((a, b) => a.distance_km - b.distance_km);
+  }
+
+  calculateLocalSpace(chart, bodies, place) {
+    // Azimuth (clockwise from north) and altitude of each body seen from a place at the chart moment.
+    // Each azimuth is the direction of the body's local space line.
+    const rad = Math.PI / 180;
+    const siderealTime = this.chartSiderealTime(chart);
+    return bodies.map(body => {
+      const planet = chart.planets[body];
+      const hourAngle = (siderealTime + place.longitude - planet.right_ascension) * rad;
+      const azimuth = Math.atan2(
+        Math.sin(hourAngle),
+        Math.cos(hourAngle) * Math.sin(place.latitude * rad) - Math.tan(planet.declination * rad) * Math.cos(place.latitude * rad)
+      ) / rad + 180;
+      const altitude = Math.asin(
+        Math.sin(place.latitude * rad) * Math.sin(planet.declination * rad) +
+        Math.cos(place.latitude * rad) * Math.cos(planet.declination * rad) * Math.cos(hourAngle)
+      ) / rad;
+      return {
+        body,
+        azimuth: Math.round(this.normalizeDegrees(azimuth) * 100) / 100,
+        altitude: Math.round(altitude * 100) / 100,
+        direction: this.compassDirection(azimuth)
+      };
+    });
+  }
+
+  findLocalSpaceLines(localSpace, origin, place, orb) {
+    // Local space lines are great circles through the origin, so a place lies on one when its
+    // bearing matches the body's azimuth or the opposite direction
+    const bearing = this.initialBearing(origin.latitude, origin.longitude, place.latitude, place.longitude);
+    return localSpace
+      .map(line => {
+        const toward = Math.abs(this.signedAngularDifference(line.azimuth, bearing));
+        const away = Math.abs(this.signedAngularDifference(line.azimuth + 180, bearing));
+        return {
+          body: line.body,
+          azimuth: line.azimuth,
+          orb: Math.round(Math.min(toward, away) * 100) / 100,
+          side: toward <= away ? 'toward' : 'opposite'
+        };
+      })
+      .filter(line => line.orb <= orb)
+      .sort((a, b) => a.orb - b.orb);
+  }
+
+  renderOptionProperties() {
+    // Input schema property for drawing the result as a chart wheel
+    return {
+      render: {
+        type: 'boolean',
+        description: 'Also return the chart wheel as PNG image content and SVG text, like render_chart_wheel (optional, defaults to false)',
+      },
+    };
+  }
+
+  spreadLongitudes(longitudes, minimumGap) {
+    // Display positions for glyphs that would overlap: neighbours closer than minimumGap are
+    // pushed apart symmetrically until every gap is wide enough (or the circle is full)
+    const order = longitudes.map((longitude, index) => ({ longitude, index })).sort((a, b) => a.longitude - b.longitude);
+    const displayed = order.map(entry => entry.longitude);
+    const gap = Math.min(minimumGap, 360 / Math.max(displayed.length, 1));
+
+    for (let pass = 0; pass < 200 && displayed.length > 1; pass++) {
+      let moved = false;
+      for (let i = 0; i < displayed.length; i++) {
+        const j = (i + 1) % displayed.length;
+        const distance = this.normalizeDegrees(displayed[j] - displayed[i]);
+        if (distance < gap - 0.01) {
+          const shift = (gap - distance) / 2;
+          displayed[i] -= shift;
+          displayed[j] += shift;
+          moved = true;
+        }
+      }
+      if (!moved) break;
+    }
+
+    const result = [];
+    order.forEach((entry, position) => {
+      result[entry.index] = this.normalizeDegrees(displayed[position]);
+    });
+    return result;
+  }
+
+  renderChartWheel(rings, aspectOptions, showAspects) {
+    // Draws the first chart as the inner wheel (houses, angles) and an optional second chart as an
+    // outer ring. Ascendant on the left, zodiac running counterclockwise. Coordinates are on an
+    // 800 x 800 canvas; the caller scales it with width and height.
+    const center = 400;
+    const [zodiacOuter, zodiacInner, aspectRadius] = [360, 315, 170];
+    const inner = rings[0].chart;
+    const ascendant = inner.chart_points.Ascendant?.longitude ?? 0;
+    const point = (longitude, radius) => {
+      const angle = (longitude - ascendant) * Math.PI / 180;
+      return [center - radius * Math.cos(angle), center + radius * Math.sin(angle)];
+    };
+    const xy = (longitude, radius) => point(longitude, radius).map(value => value.toFixed(2)).join(',');
+    const escape = text => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    const text = (longitude, radius, content, attributes = '') => {
+      const [x, y] = point(longitude, radius);
+      return `<text x="${x.toFixed(2)}" y="${y.toFixed(2)}" dy="0.35em" text-anchor="middle"${attributes}>${escape(content)}</text>`;
+    };
+    const line = (longitude1, radius1, longitude2, radius2, attributes) => {
+      const [x1, y1] = point(longitude1, radius1);
+      const [x2, y2] = point(longitude2, radius2);
+      return `<line x1="${x1.toFixed(2)}" y1="${y1.toFixed(2)}" x2="${x2.toFixed(2)}" y2="${y2.toFixed(2)}" ${attributes}/>`;
+    };
+    const circle = (radius, attributes = 'fill="none" stroke="#444"') => `<circle cx="${center}" cy="${center}" r="${radius}" ${attributes}/>`;
+
+    const elements = [`<rect width="800" height="800" fill="#ffffff"/>`];
+
+    // Zodiac band: element-coloured sign sectors with glyphs and degree ticks
+    for (let sign = 0; sign < 12; sign++) {
+      const [start, end] = [sign * 30, sign * 30 + 30];
+      elements.push(`<path d="M${xy(start, zodiacOuter)} A${zodiacOuter},${zodiacOuter} 0 0,0 ${xy(end, zodiacOuter)} L${xy(end, zodiacInner)} A${zodiacInner},${zodiacInner} 0 0,1 ${xy(start, zodiacInner)} Z" fill="${ELEMENT_COLORS[sign % 4]}" stroke="#444"/>`);
+      elements.push(text(start + 15, (zodiacOuter + zodiacInner) / 2, SIGN_GLYPHS[sign], ' font-size="24" fill="#333"'));
+    }
+    for (let degree = 0; degree < 360; degree++) {
+      const length = degree % 10 === 0 ? 9 : degree % 5 === 0 ? 6 : 3;
+      elements.push(line(degree, zodiacInner, degree, zodiacInner - length, 'stroke="#888" stroke-width="0.6"'));
+    }
+
+    // Planet rings, outermost first. The inner chart fills the space down to the aspect circle.
+    const ringBounds = rings.length > 1 ? [[zodiacInner, 245], [245, aspectRadius]] : [[zodiacInner, aspectRadius]];
+    const ringCharts = rings.length > 1 ? [rings[1], rings[0]] : [rings[0]];
+    const drawnPoints = ringCharts.map(() => ({}));
+    ringCharts.forEach((ring, index) => {
+      const [outerRadius, innerRadius] = ringBounds[index];
+      const glyphRadius = outerRadius - (rings.length > 1 ? 18 : 32);
+      const fontSize = rings.length > 1 ? 18 : 21;
+      elements.push(circle(innerRadius));
+
+      const names = (aspectOptions.points || WHEEL_POINTS).filter(name => ring.chart.planets[name]);
+      const longitudes = names.map(name => ring.chart.planets[name].longitude);
+      const displayed = this.spreadLongitudes(longitudes, (fontSize + 4) / glyphRadius * 180 / Math.PI);
+      const color = index === 0 && rings.length > 1 ? '#7a3e9d' : '#1d1d1d';
+
+      names.forEach((name, position) => {
+        const planet = ring.chart.planets[name];
+        const minutes = Math.floor((planet.degree % 1) * 60);
+        drawnPoints[index][name] = planet;
+        elements.push(line(planet.longitude, outerRadius, planet.longitude, outerRadius - 6, `stroke="${color}" stroke-width="1.5"`));
+        elements.push(line(planet.longitude, outerRadius - 6, displayed[position], glyphRadius + fontSize / 2 + 2, `stroke="${color}" stroke-width="0.5"`));
+        elements.push(text(displayed[position], glyphRadius, PLANET_GLYPHS[name] || name.slice(0, 2), ` font-size="${fontSize}" fill="${color}"`));
+        // Degrees and minutes are stacked radially so that labels stay as narrow as the glyphs; the
+        // stack spreads out towards the horizon, where the text width runs along the radius
+        const horizontal = Math.abs(Math.cos((displayed[position] - ascendant) * Math.PI / 180));
+        const degreeRadius = glyphRadius - (rings.length > 1 ? 19 : 24) - 8 * horizontal;
+        elements.push(text(displayed[position], degreeRadius, `${Math.floor(planet.degree)}°`, ` font-size="10" fill="${color}"`));
+        elements.push(text(displayed[position], degreeRadius - 10 - 12 * horizontal, `${String(minutes).padStart(2, '0')}′${planet.retrograde ? 'R' : ''}`, ` font-size="8" fill="${color}"`));
+      });
+    });
+
+    // House cusps and numbers of the inner chart; the axes are drawn heavier and labelled outside
+    const cuspOuter = ringBounds[ringBounds.length - 1][0];
+    for (let house = 1; house <= 12; house++) {
+      const cusp = inner.houses[house];
+      const next = inner.houses[house === 12 ? 1 : house + 1];
+      if (!cusp || !next) continue;
+      const axis = [1, 4, 7, 10].includes(house);
+      elements.push(line(cusp.longitude, aspectRadius, cusp.longitude, cuspOuter, `stroke="#444" stroke-width="${axis ? 2 : 0.8}"`));
+      elements.push(text(cusp.longitude + this.normalizeDegrees(next.longitude - cusp.longitude) / 2, aspectRadius + 12, house, ' font-size="10" fill="#666"'));
+    }
+    for (const [name, label] of [['Ascendant', 'AC'], ['Descendant', 'DC'], ['Midheaven', 'MC'], ['IC', 'IC']]) {
+      const angle = inner.chart_points[name];
+      if (!angle) continue;
+      elements.push(line(angle.longitude, zodiacInner, angle.longitude, zodiacOuter + 8, 'stroke="#222" stroke-width="2"'));
+      elements.push(text(angle.longitude, zodiacOuter + 22, label, ' font-size="13" font-weight="bold" fill="#222"'));
+    }
+
+    // Aspect lines: within the inner chart, or from the outer chart to the inner one on a bi-wheel
+    elements.push(circle(aspectRadius, 'fill="#ffffff" stroke="#444"'));
+    const aspects = !showAspects ? [] : rings.length > 1
+      ? this.calculateCrossAspects(drawnPoints[0], drawnPoints[1], aspectOptions)
+      : this.calculateNatalAspects({ ...inner, planets: drawnPoints[0], chart_points: {} }, aspectOptions).aspects;
+    const pointsByName = [drawnPoints[0], drawnPoints[drawnPoints.length - 1]];
+    for (const aspect of aspects) {
+      if (aspect.aspect_angle === 0) continue;
+      const from = pointsByName[0][aspect.point1];
+      const to = pointsByName[1][aspect.point2];
+      const dash = aspect.aspect_type === 'minor' ? ' stroke-dasharray="4,3"' : '';
+      elements.push(line(from.longitude, aspectRadius, to.longitude, aspectRadius, `stroke="${ASPECT_COLORS[aspect.aspect] || '#3a9d5d'}" stroke-width="${aspect.orb < 1 ? 1.6 : 1}"${dash}`));
+    }
+
+    // Legend in the top left corner
+    const settings = inner.settings || {};
+    const legend = rings.map((ring, index) => `${rings.length > 1 ? (index === 0 ? 'Inner: ' : 'Outer: ') : ''}${ring.label}${ring.chart.datetime ? ` ${new Date(ring.chart.datetime).toISOString().slice(0, 16).replace('T', ' ')} UTC` : ''}`);
+    legend.push([settings.house_system, settings.zodiac, settings.ayanamsa].filter(Boolean).join(' · '));
+    legend.forEach((entry, index) => {
+      elements.push(`<text x="12" y="${22 + index * 16}" font-size="12" fill="#333">${escape(entry)}</text>`);
+    });
+
+    return {
+      svg: `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 800 800" font-family="DejaVu Sans, Segoe UI Symbol, Noto Sans Symbols, sans-serif">${elements.join('')}</svg>`,
+      aspects
+    };
+  }
+
+  rasterizeSvg(svg, size) {
+    // PNG output uses the optional @resvg/resvg-js dependency, loaded on first use
+    if (this.Resvg === undefined) {
+      try {
+        this.Resvg = createRequire(import.meta.url)('@resvg/resvg-js').Resvg;
+      } catch (error) {
+        this.Resvg = null;
+      }
+    }
+    if (!this.Resvg) {
+      throw new Error('PNG output needs the optional @resvg/resvg-js dependency');
+    }
+    const renderer = new this.Resvg(svg, {
+      fitTo: { mode: 'width', value: size },
+      font: { loadSystemFonts: true, defaultFontFamily: 'DejaVu Sans' }
+    });
+    return renderer.render().asPng().toString('base64');
+  }
+
+  attachChartWheel(result, rings, { format, size, showAspects, aspectOptions }) {
+    // Draws the wheel and keeps it under CHART_WHEEL; the JSON result only describes it
+    const { svg, aspects } = this.renderChartWheel(rings, aspectOptions, showAspects);
+    const sizedSvg = svg.replace('<svg ', `<svg width="${size}" height="${size}" `);
+    const wheel = { svg: format === 'png' ? null : sizedSvg, png: null };
+    const warnings = [];
+
+    if (format !== 'svg') {
+      try {
+        wheel.png = this.rasterizeSvg(svg, size);
+      } catch (error) {
+        warnings.push(`${error.message}; returned SVG instead`);
+        wheel.svg = sizedSvg;
+      }
+    }
+
+    result.chart_wheel = {
+      rings: rings.map(ring => ring.label),
+      format,
+      size,
+      png: wheel.png !== null,
+      svg: wheel.svg !== null,
+      aspects_drawn: aspects.filter(aspect => aspect.aspect_angle !== 0).length,
+      warnings
+    };
+    result[CHART_WHEEL] = wheel;
+    return result;
+  }
+
+  formatDms(longitude) {
+    // Position within the sign as degrees, minutes and whole arcseconds, truncated so the sign never rolls over
+    const seconds = Math.floor(Math.round(this.normalizeDegrees(longitude) * 3600 * 1000) / 1000);
+    const sign = SIGNS[Math.floor(seconds / 108000) % 12];
+    const withinSign = seconds % 108000;
+    const minutes = String(Math.floor(withinSign / 60) % 60).padStart(2, '0');
+    const secs = String(withinSign % 60).padStart(2, '0');
+    return `${Math.floor(withinSign / 3600)}°${minutes}'${secs}" ${sign}`;
+  }
+
+  formatToolResult(name, result, compact) {
+    // Applies the response contract: fixed precision, no undefined fields, DMS for every zodiac position
+    const format = value => {
+      if (typeof value === 'number') {
+        return Number.isInteger(value) ? value : Number(value.toFixed(RESULT_DECIMALS));
+      }
+      if (Array.isArray(value)) {
+        return value.map(format);
+      }
+      if (value === null || typeof value !== 'object') {
+        return value;
+      }
+      const formatted = {};
+      for (const [key, entry] of Object.entries(value)) {
+        if (entry !== undefined) {
+          formatted[key] = format(entry);
+        }
+      }
+      if (typeof value.longitude === 'number' && SIGNS.includes(value.sign)) {
+        formatted.dms = this.formatDms(value.longitude);
+      }
+      return formatted;
+    };
+
+    const omitted = compact ? COMPACT_OMITTED[name] || [] : [];
+    const formatted = { schema_version: RESPONSE_SCHEMA_VERSION };
+    for (const [key, value] of Object.entries(result)) {
+      if (!omitted.includes(key) && value !== undefined) {
+        formatted[key] = format(value);
+      }
+    }
+    if (result[CHART_WHEEL]) {
+      formatted[CHART_WHEEL] = result[CHART_WHEEL];
+    }
+    return formatted;
+  }
+
+  findProfile(id, argument, profileOwner) {
+    const profile = typeof id === 'string' ? this.profileStore.get(profileOwner, id) : undefined;
+    if (!profile) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `${argument} must be the ID of a saved profile, got ${JSON.stringify(id)}`
+      );
+    }
+    return profile;
+  }
+
+  applyProfiles(name, args, profileOwner) {
+    // Fills in the birth data each profile argument stands for. Coordinates go in directly;
+    // datetimes are returned separately, already in UTC.
+    const filled = { ...args };
+    const datetimes = {};
+    const profiles = {};
+    for (const [argument, [datetimeArgument, latitudeArgument, longitudeArgument]] of Object.entries(PROFILE_ARGUMENTS[name] || {})) {
+      if (args[argument] === undefined) continue;
+      const replaced = [datetimeArgument, latitudeArgument, longitudeArgument, ...(datetimeArgument === 'birth_date' ? ['birth_timezone'] : [])];
+      const conflicting = replaced.filter(other => args[other] !== undefined);
+      if (conflicting.length > 0) {
+        throw new McpError(
+          ErrorCode.InvalidParams,
+          `${argument} replaces ${conflicting.join(', ')}; pass one or the other`
+        );
+      }
+
+      const profile = this.findProfile(args[argument], argument, profileOwner);
+      filled[latitudeArgument] = profile.latitude;
+      filled[longitudeArgument] = profile.longitude;
+      if (datetimeArgument === 'birth_date') {
+        // The local date as entered, read in the profile's zone or the offset it was entered with
+        const offset = profile.datetime.match(/(Z|[+-]\d{2}:?\d{2})$/i)?.[1];
+        filled.birth_date = profile.datetime.slice(0, profile.datetime.indexOf('-', 1) + 6);
+        const zone = profile.timezone || (offset && offset.toUpperCase() !== 'Z' ? offset.replace(/^([+-]\d{2})(\d{2})$/, '$1:$2') : undefined);
+        if (zone) filled.birth_timezone = zone;
+      } else {
+        datetimes[datetimeArgument] = profile.utc;
+      }
+      profiles[argument] = { id: profile.id, name: profile.name };
+    }
+    return { args: filled, datetimes, profiles };
+  }
+
+  validateProfile(fields) {
+    // Checks a complete profile and resolves its datetime to UTC, with the resolution details
+    const { name, datetime, timezone, calendar, disambiguation, latitude, longitude, notes } = fields;
+
+    if (typeof name !== 'string' || name.trim() === '' || name.length > 100) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        'name is required and must be a string of up to 100 characters'
+      );
+    }
+
+    if (typeof latitude !== 'number' || latitude < -90 || latitude > 90) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        'latitude must be a number between -90 and 90'
+      );
+    }
+
+    if (typeof longitude !== 'number' || longitude < -180 || longitude > 180) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        'longitude must be a number between -180 and 180'
+      );
+    }
+
+    if (timezone !== null && typeof timezone !== 'string') {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        'timezone must be a string, or null for none'
+      );
+    }
+
+    if (notes !== null && (typeof notes !== 'string' || notes.length > 2000)) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        'notes must be a string of up to 2000 characters, or null for none'
+      );
+    }
+
+    const { args: resolved, timeResolution } = this.resolveDatetimeArguments({ datetime, timezone: timezone ?? undefined, calendar, disambiguation, longitude });
+    // calendar is always given, so every datetime that could be read has its resolution
+    if (typeof datetime !== 'string' || !timeResolution.datetime) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        'datetime parameter is required and must be an ISO8601 datetime'
+      );
+    }
+
+    return {
+      profile: { name: name.trim(), datetime, timezone, calendar, disambiguation, latitude, longitude, notes, utc: resolved.datetime },
+      timeResolution: timeResolution.datetime
+    };
+  }
+
+  profileResources(profile) {
+    return [`chart://profiles/${profile.id}`, `chart://profiles/${profile.id}/natal`];
+  }
+
+  async handleToolCall(name, args, profileOwner = null) {
+    if (args?.render !== undefined && (typeof args.render !== 'boolean' || !WHEEL_SOURCES[name])) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `render must be a boolean and is only supported by: ${Object.keys(WHEEL_SOURCES).join(', ')}`
+      );
+    }
+    if (args?.compact !== undefined && typeof args.compact !== 'boolean') {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        'compact must be a boolean'
+      );
+    }
+
+    // Local civil times and Julian calendar dates are converted to UTC before any tool sees them.
+    // Profile datetimes were converted when the profile was saved and are filled in afterwards.
+    const { args: profileArgs, datetimes: profileDatetimes, profiles } = PROFILE_TOOLS.includes(name)
+      ? { args: args || {}, datetimes: {}, profiles: {} }
+      : this.applyProfiles(name, args || {}, profileOwner);
+    const { args: resolvedArgs, timeResolution } = PROFILE_TOOLS.includes(name)
+      ? { args: profileArgs, timeResolution: {} }
+      : this.resolveDatetimeArguments(profileArgs);
+    Object.assign(resolvedArgs, profileDatetimes);
+
+    const result = await this.calculateTool(name, resolvedArgs, profileOwner);
+    if (Object.keys(timeResolution).length > 0) {
+      result.time_resolution = timeResolution;
+    }
+    if (Object.keys(profiles).length > 0) {
+      result.used_profiles = profiles;
+    }
+
+    if (resolvedArgs.render) {
+      const rings = WHEEL_SOURCES[name](result);
+      const wheelAspectOptions = this.validateAspectOptions(resolvedArgs, rings.length > 1 ? { orb: 3, luminaryOrbBonus: 0 } : {});
+      this.attachChartWheel(result, rings, { format: 'both', size: 800, showAspects: true, aspectOptions: wheelAspectOptions });
+    }
+    return this.formatToolResult(name, result, resolvedArgs.compact === true);
+  }
+
+  async calculateTool(name, args, profileOwner) {
+    // House system and zodiac settings are shared by every tool
+    const chartOptions = this.validateChartOptions({ ...TOOL_CHART_DEFAULTS[name], ...args });
+
+    switch (name) {
+      case 'calculate_planetary_positions':
+        const { datetime, latitude, longitude } = args;
+        
+        if (!datetime || typeof datetime !== 'string') {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            'datetime parameter is required and must be a string'
+          );
+        }
+        
+        if (typeof latitude !== 'number' || latitude < -90 || latitude > 90) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            'latitude must be a number between -90 and 90'
+          );
+        }
+        
+        if (typeof longitude !== 'number' || longitude < -180 || longitude > 180) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            'longitude must be a number between -180 and 180'
+          );
+        }
+
+        const positionsAspectOptions = this.validateAspectOptions(args);
+        const positionsStarOptions = this.validateFixedStarOptions(args);
+        const positionsChart = this.calculateEphemeris(datetime, latitude, longitude, chartOptions);
+        const positionsResult = {
+          ...positionsChart,
+          ...this.calculateNatalAspects(positionsChart, positionsAspectOptions)
+        };
+
+        if (positionsStarOptions.include) {
+          const { stars, missing } = this.calculateFixedStars(datetime, positionsStarOptions.stars, chartOptions);
+          positionsResult.fixed_star_conjunctions = this.findFixedStarConjunctions(positionsChart, stars, positionsStarOptions.orb);
+          positionsResult.missing_fixed_stars = missing;
+        }
+
+        return positionsResult;
+
+      case 'calculate_fixed_stars':
+        const { datetime: fs_datetime, latitude: fs_latitude, longitude: fs_longitude, paran_orb_minutes = 4 } = args;
+
+        if (!fs_datetime || typeof fs_datetime !== 'string') {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            'datetime parameter is required and must be a string'
+          );
+        }
+
+        if (typeof fs_latitude !== 'number' || fs_latitude < -90 || fs_latitude > 90) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            'latitude must be a number between -90 and 90'
+          );
+        }
+
+        if (typeof fs_longitude !== 'number' || fs_longitude < -180 || fs_longitude > 180) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            'longitude must be a number between -180 and 180'
+          );
+        }
+
+        if (typeof paran_orb_minutes !== 'number' || paran_orb_minutes < 0 || paran_orb_minutes > 60) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            'paran_orb_minutes must be a number between 0 and 60'
+          );
+        }
+
+        const starOptions = this.validateFixedStarOptions(args);
+        const starChart = this.calculateEphemeris(fs_datetime, fs_latitude, fs_longitude, chartOptions);
+        const fixedStars = this.calculateFixedStars(fs_datetime, starOptions.stars, chartOptions);
+
+        return {
+          stars: fixedStars.stars,
+          missing_fixed_stars: fixedStars.missing,
+          conjunctions: this.findFixedStarConjunctions(starChart, fixedStars.stars, starOptions.orb),
+          parans: this.calculateParans(starChart, fixedStars.stars, fs_latitude, paran_orb_minutes),
+          datetime: fs_datetime,
+          coordinates: starChart.coordinates,
+          settings: starChart.settings,
+          calculation_time: new Date().toISOString()
+        };
+
+      case 'calculate_natal_aspects':
+        const { datetime: na_datetime, latitude: na_latitude, longitude: na_longitude } = args;
+
+        if (!na_datetime || typeof na_datetime !== 'string') {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            'datetime parameter is required and must be a string'
+          );
+        }
+
+        if (typeof na_latitude !== 'number' || na_latitude < -90 || na_latitude > 90) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            'latitude must be a number between -90 and 90'
+          );
+        }
+
+        if (typeof na_longitude !== 'number' || na_longitude < -180 || na_longitude > 180) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            'longitude must be a number between -180 and 180'
+          );
+        }
+
+        const natalAspectOptions = this.validateAspectOptions(args);
+        const aspectChart = this.calculateEphemeris(na_datetime, na_latitude, na_longitude, chartOptions);
+        const natalAspects = this.calculateNatalAspects(aspectChart, natalAspectOptions);
+
+        return {
+          aspects: natalAspects.aspects,
+          aspect_patterns: natalAspects.aspect_patterns,
+          points: this.collectAspectPoints(aspectChart, natalAspectOptions.points),
+          datetime: na_datetime,
+          coordinates: aspectChart.coordinates,
+          settings: aspectChart.settings,
+          warnings: aspectChart.warnings,
+          calculation_time: new Date().toISOString()
+        };
+
+      case 'calculate_transits':
+        const { birth_datetime, latitude: birth_latitude, longitude: birth_longitude } = args;
+        
+        if (!birth_datetime || typeof birth_datetime !== 'string') {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            'birth_datetime parameter is required and must be a string'
+          );
+        }
+        
+        if (typeof birth_latitude !== 'number' || birth_latitude < -90 || birth_latitude > 90) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            'birth_latitude must be a number between -90 and 90'
+          );
+        }
+        
+        if (typeof birth_longitude !== 'number' || birth_longitude < -180 || birth_longitude > 180) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            'birth_longitude must be a number between -180 and 180'
+          );
+        }
+
+        const { transit_datetime, transit_latitude, transit_longitude } = args;
+
+        if (transit_datetime !== undefined && (typeof transit_datetime !== 'string' || isNaN(new Date(transit_datetime).getTime()))) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            'transit_datetime must be an ISO8601 datetime string'
+          );
+        }
+
+        if (transit_latitude !== undefined && (typeof transit_latitude !== 'number' || transit_latitude < -90 || transit_latitude > 90)) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            'transit_latitude must be a number between -90 and 90'
+          );
+        }
+
+        if (transit_longitude !== undefined && (typeof transit_longitude !== 'number' || transit_longitude < -180 || transit_longitude > 180)) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            'transit_longitude must be a number between -180 and 180'
+          );
+        }
+
+        // Calculate birth chart
+        const natalChart = this.calculateEphemeris(birth_datetime, birth_latitude, birth_longitude, chartOptions);
+ 
+         // Calculate transits for the requested moment and place (defaults: now, at the birth location)
+         const transitISOString = transit_datetime !== undefined ? new Date(transit_datetime).toISOString() : new Date().toISOString();
+         const transitLat = transit_latitude !== undefined ? transit_latitude : birth_latitude;
+         const transitLon = transit_longitude !== undefined ? transit_longitude : birth_longitude;
+         const currentEphemeris = this.calculateEphemeris(transitISOString, transitLat, transitLon, chartOptions);
+ 
+         return {
+           natal_chart: natalChart,
+           current_transits: currentEphemeris,
+           transit_datetime: transitISOString,
+           calculation_time: new Date().toISOString()
+         };
+
+      case 'calculate_transit_timeline':
+        const { birth_datetime: tl_birth_datetime, latitude: tl_latitude, longitude: tl_longitude, start_date, end_date, transiting_bodies } = args;
+
+        if (!tl_birth_datetime || typeof tl_birth_datetime !== 'string') {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            'birth_datetime parameter is required and must be a string'
+          );
+        }
+
+        if (typeof tl_latitude !== 'number' || tl_latitude < -90 || tl_latitude > 90) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            'latitude must be a number between -90 and 90'
+          );
+        }
+
+        if (typeof tl_longitude !== 'number' || tl_longitude < -180 || tl_longitude > 180) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            'longitude must be a number between -180 and 180'
+          );
+        }
+
+        const timelineStart = new Date(start_date);
+        const timelineEnd = new Date(end_date);
+        if (typeof start_date !== 'string' || typeof end_date !== 'string' || isNaN(timelineStart.getTime()) || isNaN(timelineEnd.getTime())) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            'start_date and end_date are required ISO8601 datetime strings'
+          );
+        }
+
+        if (timelineEnd <= timelineStart || timelineEnd - timelineStart > 3660 * 86400000) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            'end_date must be after start_date and at most 10 years later'
+          );
+        }
+
+        const timelineBodies = transiting_bodies || TRANSITING_BODIES;
+        if (!Array.isArray(timelineBodies) || timelineBodies.length === 0 || timelineBodies.some(body => !RETURN_BODIES[body])) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            `transiting_bodies must be a non-empty array of: ${Object.keys(RETURN_BODIES).join(', ')}`
+          );
+        }
+
+        const timelineAspectOptions = this.validateAspectOptions(args, { orb: 1, luminaryOrbBonus: 0 });
+        const timelineNatalChart = this.calculateEphemeris(tl_birth_datetime, tl_latitude, tl_longitude, chartOptions);
+
+        return {
+          natal_chart: timelineNatalChart,
+          start_date: timelineStart.toISOString(),
+          end_date: timelineEnd.toISOString(),
+          events: this.calculateTransitTimeline(timelineNatalChart, timelineStart, timelineEnd, timelineBodies, timelineAspectOptions, chartOptions),
+          calculation_time: new Date().toISOString()
+        };
+
+      case 'find_eclipses':
+        const { start_date: ec_start_date, end_date: ec_end_date, eclipse_types = 'both', latitude: ec_latitude, longitude: ec_longitude, birth_datetime: ec_birth_datetime, birth_latitude: ec_birth_latitude, birth_longitude: ec_birth_longitude, eclipse_orb = 3 } = args;
+
+        const eclipseStart = new Date(ec_start_date);
+        const eclipseEnd = new Date(ec_end_date);
+        if (typeof ec_start_date !== 'string' || typeof ec_end_date !== 'string' || isNaN(eclipseStart.getTime()) || isNaN(eclipseEnd.getTime())) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            'start_date and end_date are required ISO8601 datetime strings'
+          );
+        }
+
+        if (eclipseEnd <= eclipseStart || eclipseEnd - eclipseStart > 3660 * 86400000) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            'end_date must be after start_date and at most 10 years later'
+          );
+        }
+
+        if (!['solar', 'lunar', 'both'].includes(eclipse_types)) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            'eclipse_types must be one of: solar, lunar, both'
+          );
+        }
+
+        let eclipseLocation = null;
+        if (ec_latitude !== undefined || ec_longitude !== undefined) {
+          if (typeof ec_latitude !== 'number' || ec_latitude < -90 || ec_latitude > 90 ||
+              typeof ec_longitude !== 'number' || ec_longitude < -180 || ec_longitude > 180) {
+            throw new McpError(
+              ErrorCode.InvalidParams,
+              'latitude (-90 to 90) and longitude (-180 to 180) must both be numbers when a location is given'
+            );
+          }
+          eclipseLocation = { latitude: ec_latitude, longitude: ec_longitude };
+        }
+
+        let eclipseNatalChart = null;
+        if (ec_birth_datetime !== undefined) {
+          if (typeof ec_birth_datetime !== 'string' ||
+              typeof ec_birth_latitude !== 'number' || ec_birth_latitude < -90 || ec_birth_latitude > 90 ||
+              typeof ec_birth_longitude !== 'number' || ec_birth_longitude < -180 || ec_birth_longitude > 180) {
+            throw new McpError(
+              ErrorCode.InvalidParams,
+              'birth_datetime requires birth_latitude (-90 to 90) and birth_longitude (-180 to 180)'
+            );
+          }
+          eclipseNatalChart = this.calculateEphemeris(ec_birth_datetime, ec_birth_latitude, ec_birth_longitude, chartOptions);
+        }
+
+        if (typeof eclipse_orb !== 'number' || eclipse_orb < 0 || eclipse_orb > 15) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            'eclipse_orb must be a number between 0 and 15'
+          );
+        }
+
+        const eclipseKinds = eclipse_types === 'both' ? ['solar', 'lunar'] : [eclipse_types];
+        const eclipses = this.findEclipses(eclipseStart, eclipseEnd, eclipseKinds, eclipseLocation, chartOptions);
+        if (eclipseNatalChart) {
+          eclipses.forEach(eclipse => {
+            eclipse.natal_contacts = this.findEclipseNatalContacts(eclipseNatalChart, eclipse, eclipse_orb);
+          });
+        }
+
+        return {
+          start_date: eclipseStart.toISOString(),
+          end_date: eclipseEnd.toISOString(),
+          eclipses,
+          ...(eclipseNatalChart && { natal_chart: eclipseNatalChart }),
+          calculation_time: new Date().toISOString()
+        };
+
+      case 'generate_ephemeris':
+        const { start_date: ep_start_date, end_date: ep_end_date, step = 'daily', bodies: ep_bodies = STELLIUM_PLANETS } = args;
+
+        const ephemerisStart = new Date(ep_start_date);
+        const ephemerisEnd = new Date(ep_end_date);
+        if (typeof ep_start_date !== 'string' || typeof ep_end_date !== 'string' || isNaN(ephemerisStart.getTime()) || isNaN(ephemerisEnd.getTime())) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            'start_date and end_date are required ISO8601 datetime strings'
+          );
+        }
+
+        if (ephemerisEnd < ephemerisStart) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            'end_date must not be before start_date'
+          );
+        }
+
+        if (!EPHEMERIS_STEPS[step]) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            `step must be one of: ${Object.keys(EPHEMERIS_STEPS).join(', ')}`
+          );
+        }
+
+        if (!Array.isArray(ep_bodies) || ep_bodies.length === 0 || ep_bodies.some(body => !RETURN_BODIES[body])) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            `bodies must be a non-empty array of: ${Object.keys(RETURN_BODIES).join(', ')}`
+          );
+        }
+
+        // Count rows the way swetest steps: calendar months for monthly, fixed intervals otherwise
+        let ephemerisRows = 0;
+        for (const row = new Date(ephemerisStart); row <= ephemerisEnd && ephemerisRows <= MAX_EPHEMERIS_ROWS; ephemerisRows++) {
+          if (step === 'monthly') {
+            row.setUTCMonth(row.getUTCMonth() + 1);
+          } else {
+            row.setTime(row.getTime() + parseInt(EPHEMERIS_STEPS[step]) * (step === 'hourly' ? 3600000 : 86400000));
+          }
+        }
+
+        if (ephemerisRows > MAX_EPHEMERIS_ROWS) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            `The range yields more than ${MAX_EPHEMERIS_ROWS} rows at a ${step} step; shorten it or use a larger step`
+          );
+        }
+
+        const ephemerisCodes = ep_bodies.map(body => this.swetestBodyCode(body, chartOptions)).join('');
+        const ephemerisNames = ep_bodies.map(body => body === 'North Node' ? `${chartOptions.nodeType} Node` : body);
+        const ephemerisRowsData = this.calculatePositionSeries(ephemerisCodes, ephemerisStart, EPHEMERIS_STEPS[step], ephemerisRows, chartOptions);
+
+        return {
+          start_date: ephemerisStart.toISOString(),
+          end_date: ephemerisEnd.toISOString(),
+          step,
+          bodies: ep_bodies,
+          settings: {
+            zodiac: chartOptions.zodiac,
+            ayanamsa: chartOptions.ayanamsa,
+            ayanamsa_offset: chartOptions.ayanamsaOffset,
+            node_type: chartOptions.nodeType
+          },
+          rows: ephemerisRowsData.map(({ time, positions }) => ({
+            datetime: new Date(time).toISOString(),
+            positions: Object.fromEntries(ep_bodies.map((body, index) => {
+              const position = positions[ephemerisNames[index]];
+              return [body, position && {
+                longitude: position.longitude,
+                sign: position.sign,
+                degree: position.degree,
+                speed: position.speed,
+                retrograde: position.speed < 0,
+                latitude: position.latitude,
+                declination: position.declination,
+                distance_au: position.distance
+              }];
+            }))
+          })),
+          calculation_time: new Date().toISOString()
+        };
+
+      case 'find_sky_events':
+        const { start_date: se_start_date, end_date: se_end_date, event_types = SKY_EVENT_TYPES, bodies: se_bodies = TRANSITING_BODIES } = args;
+
+        const skyStart = new Date(se_start_date);
+        const skyEnd = new Date(se_end_date);
+        if (typeof se_start_date !== 'string' || typeof se_end_date !== 'string' || isNaN(skyStart.getTime()) || isNaN(skyEnd.getTime())) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            'start_date and end_date are required ISO8601 datetime strings'
+          );
+        }
+
+        if (skyEnd <= skyStart || skyEnd - skyStart > 3660 * 86400000) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            'end_date must be after start_date and at most 10 years later'
+          );
+        }
+
+        if (!Array.isArray(event_types) || event_types.length === 0 || event_types.some(type => !SKY_EVENT_TYPES.includes(type))) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            `event_types must be a non-empty array of: ${SKY_EVENT_TYPES.join(', ')}`
+          );
+        }
+
+        if (!Array.isArray(se_bodies) || se_bodies.length === 0 || se_bodies.some(body => !RETURN_BODIES[body])) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            `bodies must be a non-empty array of: ${Object.keys(RETURN_BODIES).join(', ')}`
+          );
+        }
+
+        const skyAspects = this.validateAspectOptions({ aspects: args.aspects }).aspects;
+
+        return {
+          start_date: skyStart.toISOString(),
+          end_date: skyEnd.toISOString(),
+          events: this.findSkyEvents(skyStart, skyEnd, se_bodies, event_types, skyAspects, chartOptions),
+          calculation_time: new Date().toISOString()
+        };
+
+      case 'calculate_progressions':
+        const { birth_datetime: pg_birth_datetime, latitude: pg_latitude, longitude: pg_longitude, target_date, mc_method = 'naibod' } = args;
+
+        if (!pg_birth_datetime || typeof pg_birth_datetime !== 'string') {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            'birth_datetime parameter is required and must be a string'
+          );
+        }
+
+        if (typeof pg_latitude !== 'number' || pg_latitude < -90 || pg_latitude > 90) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            'latitude must be a number between -90 and 90'
+          );
+        }
+
+        if (typeof pg_longitude !== 'number' || pg_longitude < -180 || pg_longitude > 180) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            'longitude must be a number between -180 and 180'
+          );
+        }
+
+        const progressionTarget = new Date(target_date);
+        if (typeof target_date !== 'string' || isNaN(progressionTarget.getTime())) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            'target_date is required and must be an ISO8601 datetime string'
+          );
+        }
+
+        if (!['naibod', 'solar_arc', 'true'].includes(mc_method)) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            'mc_method must be one of: naibod, solar_arc, true'
+          );
+        }
+
+        const progressionAspectOptions = this.validateAspectOptions(args, { orb: 1, luminaryOrbBonus: 0 });
+        const progressionNatalChart = this.calculateEphemeris(pg_birth_datetime, pg_latitude, pg_longitude, chartOptions);
+
+        return {
+          natal_chart: progressionNatalChart,
+          target_date: progressionTarget.toISOString(),
+          ...this.calculateProgressions(progressionNatalChart, progressionTarget, mc_method, progressionAspectOptions, chartOptions),
+          calculation_time: new Date().toISOString()
+        };
+
+      case 'calculate_solar_revolution':
+        const { birth_datetime: sr_birth_datetime, birth_latitude: sr_birth_latitude, birth_longitude: sr_birth_longitude, return_year, return_latitude, return_longitude } = args;
+
+        if (!sr_birth_datetime || typeof sr_birth_datetime !== 'string') {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            'birth_datetime parameter is required and must be a string'
+          );
+        }
+
+        if (typeof sr_birth_latitude !== 'number' || sr_birth_latitude < -90 || sr_birth_latitude > 90) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            'birth_latitude must be a number between -90 and 90'
+          );
+        }
+
+        if (typeof sr_birth_longitude !== 'number' || sr_birth_longitude < -180 || sr_birth_longitude > 180) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            'birth_longitude must be a number between -180 and 180'
+          );
+        }
+
+        if (typeof return_year !== 'number' || return_year < 1900 || return_year > 2100) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            'return_year must be a number between 1900 and 2100'
+          );
+        }
+
+        // Calculate birth chart to get natal Sun position
+        const srNatalChart = this.calculateEphemeris(sr_birth_datetime, sr_birth_latitude, sr_birth_longitude, chartOptions);
+        const natalSunLongitude = srNatalChart.planets.Sun.longitude;
+
+        // Search a week around the birthday in the return year (UTC) for the exact solar return
+        const birthDate = new Date(sr_birth_datetime);
+        const searchStart = new Date(Date.UTC(return_year, birthDate.getUTCMonth(), birthDate.getUTCDate() - 3, birthDate.getUTCHours(), birthDate.getUTCMinutes(), birthDate.getUTCSeconds()));
+        const [solarReturn] = this.findLongitudeReturn(RETURN_BODIES.Sun.code, natalSunLongitude, searchStart, 7, 1, chartOptions);
+        if (!solarReturn) {
+          throw new Error(`Sun does not reach ${natalSunLongitude.toFixed(4)}° within the search window for ${return_year}`);
+        }
+        
+        // Use return location if provided, otherwise use birth location
+        const returnLat = return_latitude !== undefined ? return_latitude : sr_birth_latitude;
+        const returnLon = return_longitude !== undefined ? return_longitude : sr_birth_longitude;
+        
+        // Calculate the solar return chart at the exact return moment
+        const solarReturnChart = this.calculateEphemeris(solarReturn.datetime, returnLat, returnLon, chartOptions);
+
+        return {
+          natal_chart: srNatalChart,
+          solar_return_chart: solarReturnChart,
+          natal_sun_longitude: natalSunLongitude,
+          return_sun_longitude: solarReturnChart.planets.Sun.longitude,
+          return_datetime: solarReturn.datetime,
+          residual_arcseconds: solarReturn.residual_arcseconds,
+          calculation_time: new Date().toISOString()
+        };
+
+      case 'calculate_planetary_return':
+        const { birth_datetime: pr_birth_datetime, birth_latitude: pr_birth_latitude, birth_longitude: pr_birth_longitude, planet, start_datetime, return_latitude: pr_return_latitude, return_longitude: pr_return_longitude } = args;
+
+        if (!pr_birth_datetime || typeof pr_birth_datetime !== 'string') {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            'birth_datetime parameter is required and must be a string'
+          );
+        }
+
+        if (typeof pr_birth_latitude !== 'number' || pr_birth_latitude < -90 || pr_birth_latitude > 90) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            'birth_latitude must be a number between -90 and 90'
+          );
+        }
+
+        if (typeof pr_birth_longitude !== 'number' || pr_birth_longitude < -180 || pr_birth_longitude > 180) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            'birth_longitude must be a number between -180 and 180'
+          );
+        }
+
+        if (!RETURN_BODIES[planet]) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            `planet must be one of: ${Object.keys(RETURN_BODIES).join(', ')}`
+          );
+        }
+
+        const prStartDate = start_datetime !== undefined ? new Date(start_datetime) : new Date();
+        if (isNaN(prStartDate.getTime())) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            'start_datetime must be an ISO8601 datetime string'
+          );
+        }
+
+        const prNatalChart = this.calculateEphemeris(pr_birth_datetime, pr_birth_latitude, pr_birth_longitude, chartOptions);
+        if (!prNatalChart.planets[planet]) {
+          throw new Error(`${planet} is missing from the natal chart`);
+        }
+        const natalPlanetLongitude = prNatalChart.planets[planet].longitude;
+
+        const { windowDays, stepDays } = RETURN_BODIES[planet];
+        const passes = this.findLongitudeReturn(this.swetestBodyCode(planet, chartOptions), natalPlanetLongitude, prStartDate, windowDays, stepDays, chartOptions);
+        if (passes.length === 0) {
+          throw new Error(`${planet} does not return to ${natalPlanetLongitude.toFixed(4)}° within ${windowDays} days of ${prStartDate.toISOString()}`);
+        }
+
+        const prReturnLat = pr_return_latitude !== undefined ? pr_return_latitude : pr_birth_latitude;
+        const prReturnLon = pr_return_longitude !== undefined ? pr_return_longitude : pr_birth_longitude;
+        const planetaryReturnChart = this.calculateEphemeris(passes[0].datetime, prReturnLat, prReturnLon, chartOptions);
+
+        return {
+          natal_chart: prNatalChart,
+          return_chart: planetaryReturnChart,
+          planet,
+          natal_longitude: natalPlanetLongitude,
+          return_longitude: planetaryReturnChart.planets[planet].longitude,
+          return_datetime: passes[0].datetime,
+          residual_arcseconds: passes[0].residual_arcseconds,
+          passes,
+          calculation_time: new Date().toISOString()
+        };
+
+      case 'calculate_composite':
+        const { person1_datetime: cp_person1_datetime, person1_latitude: cp_person1_latitude, person1_longitude: cp_person1_longitude, person2_datetime: cp_person2_datetime, person2_latitude: cp_person2_latitude, person2_longitude: cp_person2_longitude, method = 'both', davison_location = 'arithmetic' } = args;
+
+        if (!cp_person1_datetime || typeof cp_person1_datetime !== 'string') {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            'person1_datetime parameter is required and must be a string'
+          );
+        }
+
+        if (typeof cp_person1_latitude !== 'number' || cp_person1_latitude < -90 || cp_person1_latitude > 90) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            'person1_latitude must be a number between -90 and 90'
+          );
+        }
+
+        if (typeof cp_person1_longitude !== 'number' || cp_person1_longitude < -180 || cp_person1_longitude > 180) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            'person1_longitude must be a number between -180 and 180'
+          );
+        }
+
+        if (!cp_person2_datetime || typeof cp_person2_datetime !== 'string') {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            'person2_datetime parameter is required and must be a string'
+          );
+        }
+
+        if (typeof cp_person2_latitude !== 'number' || cp_person2_latitude < -90 || cp_person2_latitude > 90) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            'person2_latitude must be a number between -90 and 90'
+          );
+        }
+
+        if (typeof cp_person2_longitude !== 'number' || cp_person2_longitude < -180 || cp_person2_longitude > 180) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            'person2_longitude must be a number between -180 and 180'
+          );
+        }
+
+        if (!['midpoint', 'davison', 'both'].includes(method)) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            'method must be one of: midpoint, davison, both'
+          );
+        }
+
+        if (!['arithmetic', 'great_circle'].includes(davison_location)) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            'davison_location must be one of: arithmetic, great_circle'
+          );
+        }
+
+        const person1Time = new Date(cp_person1_datetime).getTime();
+        const person2Time = new Date(cp_person2_datetime).getTime();
+        if (isNaN(person1Time) || isNaN(person2Time)) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            'person1_datetime and person2_datetime must be ISO8601 datetime strings'
+          );
+        }
+
+        const compositeAspectOptions = this.validateAspectOptions(args);
+        const compositePerson1Chart = this.calculateEphemeris(cp_person1_datetime, cp_person1_latitude, cp_person1_longitude, chartOptions);
+        const compositePerson2Chart = this.calculateEphemeris(cp_person2_datetime, cp_person2_latitude, cp_person2_longitude, chartOptions);
+        const compositeResult = {
+          person1_chart: compositePerson1Chart,
+          person2_chart: compositePerson2Chart
+        };
+
+        if (method !== 'davison') {
+          const compositeChart = this.calculateCompositeChart(compositePerson1Chart, compositePerson2Chart);
+          compositeResult.composite = {
+            method: {
+              name: 'midpoint',
+              points: 'near midpoint of both positions',
+              houses: `near midpoints of both charts' ${compositeChart.settings.house_system} cusps`
+            },
+            chart: compositeChart,
+            ...this.describeRelationshipChart(compositeChart, compositeAspectOptions)
+          };
+        }
+
+        if (method !== 'midpoint') {
+          const davisonDatetime = new Date(Math.round((person1Time + person2Time) / 2000) * 1000).toISOString();
+          const davisonPlace = this.calculateDavisonLocation(cp_person1_latitude, cp_person1_longitude, cp_person2_latitude, cp_person2_longitude, davison_location);
+          const davisonChart = this.calculateEphemeris(davisonDatetime, davisonPlace.latitude, davisonPlace.longitude, chartOptions);
+          compositeResult.davison = {
+            method: {
+              name: 'davison',
+              time: 'midpoint of both birth instants (UTC)',
+              location: davison_location === 'great_circle' ? 'great circle midpoint of both birthplaces' : 'mean of both latitudes and longitudes'
+            },
+            datetime: davisonDatetime,
+            coordinates: davisonPlace,
+            chart: davisonChart,
+            ...this.describeRelationshipChart(davisonChart, compositeAspectOptions)
+          };
+        }
+
+        compositeResult.calculation_time = new Date().toISOString();
+        return compositeResult;
+
+      case 'calculate_synastry':
+        const { person1_datetime, person1_latitude, person1_longitude, person2_datetime, person2_latitude, person2_longitude } = args;
+
+        if (!person1_datetime || typeof person1_datetime !== 'string') {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            'person1_datetime parameter is required and must be a string'
+          );
+        }
+
+        if (typeof person1_latitude !== 'number' || person1_latitude < -90 || person1_latitude > 90) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            'person1_latitude must be a number between -90 and 90'
+          );
+        }
+
+        if (typeof person1_longitude !== 'number' || person1_longitude < -180 || person1_longitude > 180) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            'person1_longitude must be a number between -180 and 180'
+          );
+        }
+
+        if (!person2_datetime || typeof person2_datetime !== 'string') {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            'person2_datetime parameter is required and must be a string'
+          );
+        }
+
+        if (typeof person2_latitude !== 'number' || person2_latitude < -90 || person2_latitude > 90) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            'person2_latitude must be a number between -90 and 90'
+          );
+        }
+
+        if (typeof person2_longitude !== 'number' || person2_longitude < -180 || person2_longitude > 180) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            'person2_longitude must be a number between -180 and 180'
+          );
+        }
+
+        // Calculate person 1's natal chart
+        const person1NatalChart = this.calculateEphemeris(person1_datetime, person1_latitude, person1_longitude, chartOptions);
+
+        // Calculate person 2's natal chart
+        const person2NatalChart = this.calculateEphemeris(person2_datetime, person2_latitude, person2_longitude, chartOptions);
+
+        // Calculate aspects between the two charts, including angles, nodes, Chiron and asteroids
+        const person1Points = this.collectAspectPoints(person1NatalChart);
+        const person2Points = this.collectAspectPoints(person2NatalChart);
+        const synastryScoring = this.loadSynastryScoring(args.scoring_weights);
+        const aspects = this.calculateSynastryAspects(person1Points, person2Points, synastryScoring.orbs);
+
+        const synastryResult = {
+          person1_chart: person1NatalChart,
+          person2_chart: person2NatalChart,
+          synastry_aspects: aspects,
+          house_overlays: {
+            person1_in_person2_houses: this.calculateHouseOverlays(person1Points, person2NatalChart.houses),
+            person2_in_person1_houses: this.calculateHouseOverlays(person2Points, person1NatalChart.houses)
+          },
+          calculation_time: new Date().toISOString()
+        };
+
+        if (args.include_score || args.scoring_weights !== undefined) {
+          synastryResult.compatibility_score = this.scoreSynastry(aspects, synastryScoring);
+        }
+
+        const synastryStarOptions = this.validateFixedStarOptions(args);
+        if (synastryStarOptions.include) {
+          const person1Stars = this.calculateFixedStars(person1_datetime, synastryStarOptions.stars, chartOptions);
+          const person2Stars = this.calculateFixedStars(person2_datetime, synastryStarOptions.stars, chartOptions);
+          synastryResult.person1_fixed_star_conjunctions = this.findFixedStarConjunctions(person1NatalChart, person1Stars.stars, synastryStarOptions.orb);
+          synastryResult.person2_fixed_star_conjunctions = this.findFixedStarConjunctions(person2NatalChart, person2Stars.stars, synastryStarOptions.orb);
+          synastryResult.missing_fixed_stars = person1Stars.missing;
+        }
+
+        return synastryResult;
+
+      case 'rectify_birth_time':
+        const { birth_date, latitude: rt_latitude, longitude: rt_longitude, window_start = '00:00', window_end = '23:59', step_minutes = 4, events: rt_events = [], techniques = Object.keys(RECTIFICATION_TECHNIQUES), max_results = 5 } = args;
+
+        if (typeof birth_date !== 'string' || !/^[+-]?\d{4,6}-\d{2}-\d{2}$/.test(birth_date)) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            'birth_date is required and must be a date like 1962-05-03'
+          );
+        }
+
+        if (typeof rt_latitude !== 'number' || rt_latitude < -90 || rt_latitude > 90) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            'latitude must be a number between -90 and 90'
+          );
+        }
+
+        if (typeof rt_longitude !== 'number' || rt_longitude < -180 || rt_longitude > 180) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            'longitude must be a number between -180 and 180'
+          );
+        }
+
+        for (const [argument, value] of [['window_start', window_start], ['window_end', window_end]]) {
+          if (typeof value !== 'string' || !/^([01]\d|2[0-3]):[0-5]\d$/.test(value)) {
+            throw new McpError(
+              ErrorCode.InvalidParams,
+              `${argument} must be a time like 06:30`
+            );
+          }
+        }
+
+        if (typeof step_minutes !== 'number' || step_minutes < 1 || step_minutes > 60) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            'step_minutes must be a number between 1 and 60'
+          );
+        }
+
+        if (!Array.isArray(techniques) || techniques.length === 0 || techniques.some(technique => !RECTIFICATION_TECHNIQUES[technique])) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            `techniques must be a non-empty array of: ${Object.keys(RECTIFICATION_TECHNIQUES).join(', ')}`
+          );
+        }
+
+        if (typeof max_results !== 'number' || max_results < 1 || max_results > 20) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            'max_results must be a number between 1 and 20'
+          );
+        }
+
+        // The window is local time on the birth date, resolved like birth_datetime (birth_timezone, LMT, calendar)
+        const rectificationArgs = { ...args, longitude: rt_longitude };
+        const rectificationStart = this.resolveDatetime('birth_datetime', `${birth_date}T${window_start}`, rectificationArgs, 'birth_date');
+        const rectificationEnd = this.resolveDatetime('birth_datetime', `${birth_date}T${window_end}`, rectificationArgs, 'birth_date');
+        if (rectificationEnd.utc <= rectificationStart.utc) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            'window_end must be later than window_start'
+          );
+        }
+
+        const rectificationCount = Math.floor((rectificationEnd.utc - rectificationStart.utc) / (step_minutes * 60000)) + 1;
+        if (rectificationCount > MAX_RECTIFICATION_CANDIDATES) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            `The window holds ${rectificationCount} candidate times at ${step_minutes} minute steps; at most ${MAX_RECTIFICATION_CANDIDATES} are allowed, use a larger step_minutes or a shorter window`
+          );
+        }
+
+        if (!Array.isArray(rt_events) || rt_events.length > MAX_RECTIFICATION_EVENTS) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            `events must be an array of at most ${MAX_RECTIFICATION_EVENTS} events`
+          );
+        }
+
+        const rectificationEvents = rt_events.map((event, index) => {
+          const resolved = event && typeof event.date === 'string' ? this.resolveDatetime('datetime', event.date, { calendar: args.calendar }, `events[${index}].date`) : null;
+          if (!resolved) {
+            throw new McpError(
+              ErrorCode.InvalidParams,
+              `events[${index}].date is required and must be an ISO8601 date`
+            );
+          }
+          if (resolved.utc <= rectificationEnd.utc) {
+            throw new McpError(
+              ErrorCode.InvalidParams,
+              `events[${index}] is dated before the birth window ends`
+            );
+          }
+          const { weight = 1, description = `event ${index + 1}` } = event;
+          if (typeof weight !== 'number' || weight < 0 || weight > 10) {
+            throw new McpError(
+              ErrorCode.InvalidParams,
+              `events[${index}].weight must be a number between 0 and 10`
+            );
+          }
+          return { date: event.date, description: String(description), weight, time: resolved.utc };
+        });
+
+        const rectificationAspectOptions = this.validateAspectOptions({ aspects: RECTIFICATION_ASPECTS, ...args }, { orb: 1, luminaryOrbBonus: 0 });
+        const rectification = this.rectifyBirthTime(
+          rectificationStart.utc,
+          rectificationEnd.utc,
+          step_minutes,
+          { latitude: rt_latitude, longitude: rt_longitude },
+          rectificationEvents,
+          techniques,
+          rectificationAspectOptions,
+          chartOptions,
+          time => this.timeZoneOffsetAt('birth_datetime', rectificationArgs, time)
+        );
+
+        return {
+          birth_date,
+          coordinates: { latitude: rt_latitude, longitude: rt_longitude },
+          window: {
+            start: rectificationStart.resolution,
+            end: rectificationEnd.resolution,
+            step_minutes,
+            candidates_scanned: rectification.candidatesScanned
+          },
+          techniques,
+          candidates: rectification.ranked.slice(0, max_results),
+          window_sensitivity: rectification.sensitivity,
+          calculation_time: new Date().toISOString()
+        };
+
+      case 'render_chart_wheel':
+        const { datetime: rw_datetime, latitude: rw_latitude, longitude: rw_longitude, label = 'Natal', outer_datetime, outer_latitude = rw_latitude, outer_longitude = rw_longitude, outer_label = 'Outer', format = 'both', size = 800, show_aspects = true } = args;
+
+        if (!rw_datetime || typeof rw_datetime !== 'string') {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            'datetime parameter is required and must be a string'
+          );
+        }
+
+        for (const [argument, value, limit] of [['latitude', rw_latitude, 90], ['longitude', rw_longitude, 180], ['outer_latitude', outer_latitude, 90], ['outer_longitude', outer_longitude, 180]]) {
+          if (typeof value !== 'number' || value < -limit || value > limit) {
+            throw new McpError(
+              ErrorCode.InvalidParams,
+              `${argument} must be a number between -${limit} and ${limit}`
+            );
+          }
+        }
+
+        if (outer_datetime !== undefined && typeof outer_datetime !== 'string') {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            'outer_datetime must be an ISO8601 datetime string'
+          );
+        }
+
+        if (typeof label !== 'string' || typeof outer_label !== 'string') {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            'label and outer_label must be strings'
+          );
+        }
+
+        if (!['png', 'svg', 'both'].includes(format)) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            'format must be one of: png, svg, both'
+          );
+        }
+
+        if (typeof size !== 'number' || size < 200 || size > 2400) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            'size must be a number between 200 and 2400'
+          );
+        }
+
+        if (typeof show_aspects !== 'boolean') {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            'show_aspects must be a boolean'
+          );
+        }
+
+        // Bi-wheels show contacts between two charts, which call for tighter orbs than a natal chart
+        const wheelAspectOptions = this.validateAspectOptions(args, outer_datetime ? { orb: 3, luminaryOrbBonus: 0 } : {});
+        const wheelRings = [{ chart: this.calculateEphemeris(rw_datetime, rw_latitude, rw_longitude, chartOptions), label }];
+        if (outer_datetime) {
+          wheelRings.push({ chart: this.calculateEphemeris(outer_datetime, outer_latitude, outer_longitude, chartOptions), label: outer_label });
+        }
+
+        return this.attachChartWheel({
+          charts: wheelRings.map(ring => ({
+            label: ring.label,
+            datetime: ring.chart.datetime,
+            coordinates: ring.chart.coordinates,
+            settings: ring.chart.settings,
+            warnings: ring.chart.warnings
+          })),
+          calculation_time: new Date().toISOString()
+        }, wheelRings, { format, size, showAspects: show_aspects, aspectOptions: wheelAspectOptions });
+
+      case 'calculate_astrocartography':
+        const { birth_datetime: acg_birth_datetime, latitude: acg_latitude, longitude: acg_longitude, bodies: acg_bodies = ACG_BODIES, angles: acg_angles = ACG_ANGLES, latitude_step = 1, city_latitude, city_longitude, city_name, max_distance_km = 500, local_space_orb = 3 } = args;
+
+        if (!acg_birth_datetime || typeof acg_birth_datetime !== 'string') {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            'birth_datetime parameter is required and must be a string'
+          );
+        }
+
+        if (typeof acg_latitude !== 'number' || acg_latitude < -90 || acg_latitude > 90) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            'latitude must be a number between -90 and 90'
+          );
+        }
+
+        if (typeof acg_longitude !== 'number' || acg_longitude < -180 || acg_longitude > 180) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            'longitude must be a number between -180 and 180'
+          );
+        }
+
+        if (!Array.isArray(acg_angles) || acg_angles.length === 0 || acg_angles.some(angle => !ACG_ANGLES.includes(angle))) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            `angles must be a non-empty array of: ${ACG_ANGLES.join(', ')}`
+          );
+        }
+
+        if (typeof latitude_step !== 'number' || latitude_step < 0.25 || latitude_step > 5) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            'latitude_step must be a number between 0.25 and 5'
+          );
+        }
+
+        if ((city_latitude === undefined) !== (city_longitude === undefined)) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            'city_latitude and city_longitude must be given together'
+          );
+        }
+
+        if (city_latitude !== undefined && (typeof city_latitude !== 'number' || city_latitude < -90 || city_latitude > 90 ||
+            typeof city_longitude !== 'number' || city_longitude < -180 || city_longitude > 180)) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            'city_latitude must be a number between -90 and 90 and city_longitude between -180 and 180'
+          );
+        }
+
+        if (typeof max_distance_km !== 'number' || max_distance_km < 1 || max_distance_km > 5000) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            'max_distance_km must be a number between 1 and 5000'
+          );
+        }
+
+        if (typeof local_space_orb !== 'number' || local_space_orb < 0 || local_space_orb > 15) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            'local_space_orb must be a number between 0 and 15'
+          );
+        }
+
+        const acgChart = this.calculateEphemeris(acg_birth_datetime, acg_latitude, acg_longitude, chartOptions);
+        if (!Array.isArray(acg_bodies) || acg_bodies.length === 0 || acg_bodies.some(body => !acgChart.planets[body])) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            `bodies must be a non-empty array of: ${Object.keys(acgChart.planets).join(', ')}`
+          );
+        }
+
+        const birthplace = { latitude: acg_latitude, longitude: acg_longitude };
+        const acgLocalSpace = this.calculateLocalSpace(acgChart, acg_bodies, birthplace);
+        const acgResult = {
+          datetime: acgChart.datetime,
+          coordinates: acgChart.coordinates,
+          greenwich_sidereal_time: this.chartSiderealTime(acgChart),
+          lines: this.calculateAstrocartographyLines(acgChart, acg_bodies, acg_angles, latitude_step),
+          local_space: acgLocalSpace,
+          settings: acgChart.settings,
+          warnings: acgChart.warnings,
+          calculation_time: new Date().toISOString()
+        };
+
+        if (city_latitude !== undefined) {
+          const city = { latitude: city_latitude, longitude: city_longitude };
+          const cityBearing = this.initialBearing(acg_latitude, acg_longitude, city_latitude, city_longitude);
+          acgResult.city = {
+            ...(city_name !== undefined && { name: String(city_name) }),
+            ...city,
+            max_distance_km,
+            nearest_lines: this.findNearestLines(acgChart, acg_bodies, acg_angles, city, max_distance_km),
+            distance_from_birthplace_km: Math.round(this.greatCircleDistance(acg_latitude, acg_longitude, city_latitude, city_longitude) * 10) / 10,
+            bearing_from_birthplace: Math.round(cityBearing * 100) / 100,
+            direction_from_birthplace: this.compassDirection(cityBearing),
+            local_space_lines: this.findLocalSpaceLines(acgLocalSpace, birthplace, city, local_space_orb)
+          };
+        }
+
+        return acgResult;
+
+      case 'calculate_relocated_chart':
+        const { birth_datetime: rl_birth_datetime, latitude: rl_latitude, longitude: rl_longitude, relocation_latitude, relocation_longitude, relocation_name, angular_orb = 5 } = args;
+
+        if (!rl_birth_datetime || typeof rl_birth_datetime !== 'string') {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            'birth_datetime parameter is required and must be a string'
+          );
+        }
+
+        for (const [argument, value, limit] of [['latitude', rl_latitude, 90], ['longitude', rl_longitude, 180], ['relocation_latitude', relocation_latitude, 90], ['relocation_longitude', relocation_longitude, 180]]) {
+          if (typeof value !== 'number' || value < -limit || value > limit) {
+            throw new McpError(
+              ErrorCode.InvalidParams,
+              `${argument} must be a number between -${limit} and ${limit}`
+            );
+          }
+        }
+
+        if (typeof angular_orb !== 'number' || angular_orb < 0 || angular_orb > 15) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            'angular_orb must be a number between 0 and 15'
+          );
+        }
+
+        // Planets are geocentric and do not move with the location; only houses and angles are recast
+        const relocationNatalChart = this.calculateEphemeris(rl_birth_datetime, rl_latitude, rl_longitude, chartOptions);
+        const relocatedChart = this.calculateEphemeris(rl_birth_datetime, relocation_latitude, relocation_longitude, chartOptions);
+        const relocationBearing = this.initialBearing(rl_latitude, rl_longitude, relocation_latitude, relocation_longitude);
+        const relocationAngles = ['Ascendant', 'Midheaven', 'Descendant', 'IC'];
+
+        return {
+          natal_chart: relocationNatalChart,
+          relocated_chart: relocatedChart,
+          relocation: {
+            ...(relocation_name !== undefined && { name: String(relocation_name) }),
+            latitude: relocation_latitude,
+            longitude: relocation_longitude,
+            distance_km: Math.round(this.greatCircleDistance(rl_latitude, rl_longitude, relocation_latitude, relocation_longitude) * 10) / 10,
+            bearing: Math.round(relocationBearing * 100) / 100,
+            direction: this.compassDirection(relocationBearing)
+          },
+          angle_shifts: Object.fromEntries(relocationAngles.filter(angle => relocatedChart.chart_points[angle]).map(angle => [angle, {
+            natal: relocationNatalChart.chart_points[angle],
+            relocated: relocatedChart.chart_points[angle],
+            shift: Math.round(this.signedAngularDifference(relocationNatalChart.chart_points[angle].longitude, relocatedChart.chart_points[angle].longitude) * 100) / 100
+          }])),
+          house_changes: Object.keys(relocatedChart.planets)
+            .map(planet => ({
+              planet,
+              natal_house: this.findHouse(relocationNatalChart.planets[planet].longitude, relocationNatalChart.houses),
+              relocated_house: this.findHouse(relocatedChart.planets[planet].longitude, relocatedChart.houses)
+            }))
+            .filter(change => change.natal_house !== change.relocated_house),
+          angular_planets: Object.entries(relocatedChart.planets)
+            .flatMap(([planet, position]) => relocationAngles.filter(angle => relocatedChart.chart_points[angle]).map(angle => ({
+              planet,
+              angle,
+              orb: Math.round(Math.abs(this.signedAngularDifference(position.longitude, relocatedChart.chart_points[angle].longitude)) * 100) / 100
+            })))
+            .filter(contact => contact.orb <= angular_orb)
+            .sort((a, b) => a.orb - b.orb),
+          local_space: this.calculateLocalSpace(relocatedChart, Object.keys(relocatedChart.planets), { latitude: relocation_latitude, longitude: relocation_longitude }),
+          calculation_time: new Date().toISOString()
+        };
+
+      case 'calculate_dignities':
+        const { datetime: dg_datetime, latitude: dg_latitude, longitude: dg_longitude, lots: dg_lots = DEFAULT_LOTS, dignity_scores = {} } = args;
+
+        if (!dg_datetime || typeof dg_datetime !== 'string') {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            'datetime parameter is required and must be a string'
+          );
+        }
+
+        if (typeof dg_latitude !== 'number' || dg_latitude < -90 || dg_latitude > 90) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            'latitude must be a number between -90 and 90'
+          );
+        }
+
+        if (typeof dg_longitude !== 'number' || dg_longitude < -180 || dg_longitude > 180) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            'longitude must be a number between -180 and 180'
+          );
+        }
+
+        if (typeof dignity_scores !== 'object' || dignity_scores === null || Array.isArray(dignity_scores) ||
+            Object.entries(dignity_scores).some(([name, score]) => DEFAULT_DIGNITY_SCORES[name] === undefined || typeof score !== 'number')) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            `dignity_scores must map ${Object.keys(DEFAULT_DIGNITY_SCORES).join(', ')} to numbers`
+          );
+        }
+
+        const dignityLots = this.validateLots(dg_lots);
+        const dignityChart = this.calculateEphemeris(dg_datetime, dg_latitude, dg_longitude, chartOptions);
+        const dignitySect = this.determineSect(dignityChart);
+        const dignityScores = { ...DEFAULT_DIGNITY_SCORES, ...dignity_scores };
+        const dignities = this.calculateEssentialDignities(dignityChart, dignitySect.chart, dignityScores);
+        const ranking = Object.entries(dignities).sort((a, b) => b[1].score - a[1].score);
+
+        return {
+          datetime: dignityChart.datetime,
+          coordinates: dignityChart.coordinates,
+          sect: dignitySect,
+          dignities,
+          totals: {
+            chart: ranking.reduce((sum, [, entry]) => sum + entry.score, 0),
+            strongest: ranking[0][0],
+            weakest: ranking[ranking.length - 1][0],
+            scores: dignityScores
+          },
+          mutual_receptions: this.findMutualReceptions(dignities),
+          lots: this.calculateLots(dignityChart, dignitySect.chart, dignityLots),
+          settings: dignityChart.settings,
+          warnings: dignityChart.warnings,
+          calculation_time: new Date().toISOString()
+        };
+
+      case 'calculate_time_lords':
+        const { birth_datetime: lord_birth_datetime, latitude: lord_latitude, longitude: lord_longitude, target_date: lord_target_date, techniques: lord_techniques = ['profections', 'zodiacal_releasing', 'firdaria'], releasing_lots = ['Fortune', 'Spirit'] } = args;
+
+        if (!lord_birth_datetime || typeof lord_birth_datetime !== 'string') {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            'birth_datetime parameter is required and must be a string'
+          );
+        }
+
+        if (typeof lord_latitude !== 'number' || lord_latitude < -90 || lord_latitude > 90) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            'latitude must be a number between -90 and 90'
+          );
+        }
+
+        if (typeof lord_longitude !== 'number' || lord_longitude < -180 || lord_longitude > 180) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            'longitude must be a number between -180 and 180'
+          );
+        }
+
+        const timeLordTarget = lord_target_date === undefined ? new Date() : new Date(lord_target_date);
+        if ((lord_target_date !== undefined && typeof lord_target_date !== 'string') || isNaN(timeLordTarget.getTime())) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            'target_date must be an ISO8601 datetime string'
+          );
+        }
+
+        if (!Array.isArray(lord_techniques) || lord_techniques.length === 0 || lord_techniques.some(technique => !['profections', 'zodiacal_releasing', 'firdaria'].includes(technique))) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            'techniques must be a non-empty array of: profections, zodiacal_releasing, firdaria'
+          );
+        }
+
+        const releasingLots = this.validateLots(releasing_lots);
+        const timeLordChart = this.calculateEphemeris(lord_birth_datetime, lord_latitude, lord_longitude, chartOptions);
+        const timeLordBirth = new Date(timeLordChart.datetime).getTime();
+        if (timeLordTarget.getTime() < timeLordBirth) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            'target_date must not be before birth_datetime'
+          );
+        }
+
+        const timeLordSect = this.determineSect(timeLordChart).chart;
+        const timeLordResult = {
+          birth_datetime: timeLordChart.datetime,
+          target_date: timeLordTarget.toISOString(),
+          sect: timeLordSect
+        };
+
+        if (lord_techniques.includes('profections')) {
+          timeLordResult.profections = this.calculateProfections(timeLordChart, timeLordBirth, timeLordTarget.getTime());
         }
-      }
-    }
 
-    return aspects.sort((a, b) => parseFloat(a.orb) - parseFloat(b.orb));
-  }
+        if (lord_techniques.includes('zodiacal_releasing')) {
+          // Peaks and angularity are always counted from the Lot of Fortune
+          const [fortune] = this.calculateLots(timeLordChart, timeLordSect, this.validateLots(['Fortune']));
+          const fortuneSign = Math.floor(fortune.longitude / 30);
+          timeLordResult.zodiacal_releasing = this.calculateLots(timeLordChart, timeLordSect, releasingLots)
+            .map(lot => this.calculateZodiacalReleasing(lot, fortuneSign, timeLordBirth, timeLordTarget.getTime()));
+        }
 
-  async handleToolCall(name, args) {
-    switch (name) {
-      case 'calculate_planetary_positions':
-        const { datetime, latitude, longitude } = args;
-        
-        if (!datetime || typeof datetime !== 'string') {
+        if (lord_techniques.includes('firdaria')) {
+          timeLordResult.firdaria = this.calculateFirdaria(timeLordSect, timeLordBirth, timeLordTarget.getTime());
+        }
+
+        timeLordResult.settings = timeLordChart.settings;
+        timeLordResult.warnings = timeLordChart.warnings;
+        timeLordResult.calculation_time = new Date().toISOString();
+        return timeLordResult;
+
+      case 'calculate_vedic_chart':
+        const { datetime: vd_datetime, latitude: vd_latitude, longitude: vd_longitude, divisional_charts = DEFAULT_VARGAS, target_date: vd_target_date } = args;
+
+        if (!vd_datetime || typeof vd_datetime !== 'string') {
           throw new McpError(
             ErrorCode.InvalidParams,
             'datetime parameter is required and must be a string'
           );
         }
-        
-        if (typeof latitude !== 'number' || latitude < -90 || latitude > 90) {
+
+        if (typeof vd_latitude !== 'number' || vd_latitude < -90 || vd_latitude > 90) {
           throw new McpError(
             ErrorCode.InvalidParams,
             'latitude must be a number between -90 and 90'
           );
         }
-        
-        if (typeof longitude !== 'number' || longitude < -180 || longitude > 180) {
+
+        if (typeof vd_longitude !== 'number' || vd_longitude < -180 || vd_longitude > 180) {
           throw new McpError(
             ErrorCode.InvalidParams,
             'longitude must be a number between -180 and 180'
           );
         }
 
-        return this.calculateEphemeris(datetime, latitude, longitude);
+        if (chartOptions.zodiac !== 'sidereal') {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            'calculate_vedic_chart only supports the sidereal zodiac'
+          );
+        }
 
-      case 'calculate_transits':
-        const { birth_datetime, latitude: birth_latitude, longitude: birth_longitude } = args;
-        
-        if (!birth_datetime || typeof birth_datetime !== 'string') {
+        if (!Array.isArray(divisional_charts) || divisional_charts.some(varga => VARGAS[varga] === undefined || varga === 'D1')) {
           throw new McpError(
             ErrorCode.InvalidParams,
-            'birth_datetime parameter is required and must be a string'
+            `divisional_charts must be an array of: ${Object.keys(VARGAS).filter(varga => varga !== 'D1').join(', ')}`
           );
         }
-        
-        if (typeof birth_latitude !== 'number' || birth_latitude < -90 || birth_latitude > 90) {
+
+        const vedicTarget = vd_target_date === undefined ? new Date() : new Date(vd_target_date);
+        if ((vd_target_date !== undefined && typeof vd_target_date !== 'string') || isNaN(vedicTarget.getTime())) {
           throw new McpError(
             ErrorCode.InvalidParams,
-            'birth_latitude must be a number between -90 and 90'
+            'target_date must be an ISO8601 datetime string'
           );
         }
-        
-        if (typeof birth_longitude !== 'number' || birth_longitude < -180 || birth_longitude > 180) {
+
+        const vedicChart = this.calculateEphemeris(vd_datetime, vd_latitude, vd_longitude, chartOptions);
+        const vedicBirth = new Date(vedicChart.datetime).getTime();
+        if (vedicTarget.getTime() < vedicBirth) {
           throw new McpError(
             ErrorCode.InvalidParams,
-            'birth_longitude must be a number between -180 and 180'
+            'target_date must not be before datetime'
           );
         }
 
-        // Calculate birth chart
-        const natalChart = this.calculateEphemeris(birth_datetime, birth_latitude, birth_longitude);
- 
-         // Calculate current transits
-         const currentDate = new Date();
-         const currentISOString = currentDate.toISOString();
-         const currentEphemeris = this.calculateEphemeris(currentISOString, birth_latitude, birth_longitude);
- 
-         return {
-           natal_chart: natalChart,
-           current_transits: currentEphemeris,
-           calculation_time: currentISOString
-         };
+        const vedicPositions = this.calculateVedicPositions(vedicChart);
 
-      case 'calculate_solar_revolution':
-        const { birth_datetime: sr_birth_datetime, birth_latitude: sr_birth_latitude, birth_longitude: sr_birth_longitude, return_year, return_latitude, return_longitude } = args;
+        return {
+          datetime: vedicChart.datetime,
+          coordinates: vedicChart.coordinates,
+          ayanamsa: {
+            name: chartOptions.ayanamsa,
+            degrees: Math.round(this.calculateAyanamsa(vedicBirth, chartOptions) * 1000000) / 1000000
+          },
+          lagna: vedicPositions.lagna,
+          grahas: vedicPositions.grahas,
+          rasi: this.calculateVarga(vedicPositions, 'D1'),
+          divisional_charts: Object.fromEntries(divisional_charts.map(varga => [varga, this.calculateVarga(vedicPositions, varga)])),
+          bhava_cusps: Object.fromEntries(Object.entries(vedicChart.houses).map(([house, cusp]) => [house, {
+            ...cusp,
+            rashi: RASHIS[Math.floor(cusp.longitude / 30)]
+          }])),
+          vimshottari_dasha: this.calculateVimshottariDasha(vedicChart.planets.Moon.longitude, vedicBirth, vedicTarget.getTime()),
+          settings: vedicChart.settings,
+          warnings: vedicChart.warnings,
+          calculation_time: new Date().toISOString()
+        };
 
-        if (!sr_birth_datetime || typeof sr_birth_datetime !== 'string') {
+      case 'calculate_midpoints_and_harmonics':
+        const { datetime: mp_datetime, latitude: mp_latitude, longitude: mp_longitude, dials = MIDPOINT_DIALS, dial_orb = 1.5, harmonics = DEFAULT_HARMONICS, transit_datetime: mp_transit_datetime, progression_date } = args;
+
+        if (!mp_datetime || typeof mp_datetime !== 'string') {
           throw new McpError(
             ErrorCode.InvalidParams,
-            'birth_datetime parameter is required and must be a string'
+            'datetime parameter is required and must be a string'
           );
         }
 
-        if (typeof sr_birth_latitude !== 'number' || sr_birth_latitude < -90 || sr_birth_latitude > 90) {
+        if (typeof mp_latitude !== 'number' || mp_latitude < -90 || mp_latitude > 90) {
           throw new McpError(
             ErrorCode.InvalidParams,
-            'birth_latitude must be a number between -90 and 90'
+            'latitude must be a number between -90 and 90'
           );
         }
 
-        if (typeof sr_birth_longitude !== 'number' || sr_birth_longitude < -180 || sr_birth_longitude > 180) {
+        if (typeof mp_longitude !== 'number' || mp_longitude < -180 || mp_longitude > 180) {
           throw new McpError(
             ErrorCode.InvalidParams,
-            'birth_longitude must be a number between -180 and 180'
+            'longitude must be a number between -180 and 180'
           );
         }
 
-        if (typeof return_year !== 'number' || return_year < 1900 || return_year > 2100) {
+        if (!Array.isArray(dials) || dials.length === 0 || dials.some(dial => !MIDPOINT_DIALS.includes(dial))) {
           throw new McpError(
             ErrorCode.InvalidParams,
-            'return_year must be a number between 1900 and 2100'
+            `dials must be a non-empty array of: ${MIDPOINT_DIALS.join(', ')}`
           );
         }
 
-        // Calculate birth chart to get natal Sun position
-        const srNatalChart = this.calculateEphemeris(sr_birth_datetime, sr_birth_latitude, sr_birth_longitude);
-        const natalSunLongitude = srNatalChart.planets.Sun.longitude;
+        if (typeof dial_orb !== 'number' || dial_orb < 0 || dial_orb > 5) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            'dial_orb must be a number between 0 and 5'
+          );
+        }
 
-        // Calculate solar return chart for the given year
-        // Use the birthday in the return year as a starting point
-        const birthDate = new Date(sr_birth_datetime);
-        const returnDate = new Date(return_year, birthDate.getMonth(), birthDate.getDate(), birthDate.getHours(), birthDate.getMinutes(), birthDate.getSeconds());
-        
-        // Use return location if provided, otherwise use birth location
-        const returnLat = return_latitude !== undefined ? return_latitude : sr_birth_latitude;
-        const returnLon = return_longitude !== undefined ? return_longitude : sr_birth_longitude;
-        
-        // Calculate the solar return chart at the approximate return date
-        const solarReturnChart = this.calculateEphemeris(returnDate.toISOString(), returnLat, returnLon);
+        if (!Array.isArray(harmonics) || harmonics.some(harmonic => !Number.isInteger(harmonic) || harmonic < 1 || harmonic > MAX_HARMONIC)) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            `harmonics must be an array of integers between 1 and ${MAX_HARMONIC}`
+          );
+        }
 
-        return {
-          natal_chart: srNatalChart,
-          solar_return_chart: {
-            planets: solarReturnChart.planets,
-            houses: solarReturnChart.houses,
-            chart_points: solarReturnChart.chart_points,
-            additional_points: solarReturnChart.additional_points,
-            datetime: returnDate.toISOString(),
-            coordinates: {
-              latitude: returnLat,
-              longitude: returnLon
-            }
-          },
-          natal_sun_longitude: natalSunLongitude,
-          return_sun_longitude: solarReturnChart.planets.Sun.longitude,
-          calculation_time: new Date().toISOString()
+        for (const [argument, value] of [['transit_datetime', mp_transit_datetime], ['progression_date', progression_date]]) {
+          if (value !== undefined && (typeof value !== 'string' || isNaN(new Date(value).getTime()))) {
+            throw new McpError(
+              ErrorCode.InvalidParams,
+              `${argument} must be an ISO8601 datetime string`
+            );
+          }
+        }
+
+        const midpointAspectOptions = this.validateAspectOptions(args);
+        const midpointChart = this.calculateEphemeris(mp_datetime, mp_latitude, mp_longitude, chartOptions);
+        const midpointPoints = this.collectAspectPoints(midpointChart, midpointAspectOptions.points);
+        const midpoints = this.calculateMidpoints(midpointPoints);
+        const activations = (points) => Object.fromEntries(dials.map(dial => [`dial_${dial}`, this.calculateDialContacts(points, midpoints, dial, dial_orb)]));
+
+        const midpointResult = {
+          datetime: midpointChart.datetime,
+          coordinates: midpointChart.coordinates,
+          dial_orb,
+          midpoints,
+          midpoint_trees: this.calculateMidpointTrees(midpointPoints, midpoints, dials, dial_orb),
+          harmonic_charts: Object.fromEntries(harmonics.map(harmonic => [`H${harmonic}`, this.calculateHarmonicChart(midpointChart, harmonic, midpointAspectOptions)]))
         };
 
-      case 'calculate_synastry':
-        const { person1_datetime, person1_latitude, person1_longitude, person2_datetime, person2_latitude, person2_longitude } = args;
+        if (mp_transit_datetime !== undefined || progression_date !== undefined) {
+          midpointResult.activations = {};
+        }
 
-        if (!person1_datetime || typeof person1_datetime !== 'string') {
+        if (mp_transit_datetime !== undefined) {
+          // Transiting planets only: the transit chart's angles belong to the natal place, not the sky
+          const midpointTransits = this.calculateEphemeris(mp_transit_datetime, mp_latitude, mp_longitude, chartOptions);
+          const transitPlanets = Object.fromEntries(Object.entries(midpointTransits.planets)
+            .filter(([name]) => !midpointAspectOptions.points || midpointAspectOptions.points.includes(name)));
+          midpointResult.activations.transits = { datetime: midpointTransits.datetime, ...activations(transitPlanets) };
+        }
+
+        if (progression_date !== undefined) {
+          const progressionDate = new Date(progression_date);
+          if (progressionDate.getTime() < new Date(midpointChart.datetime).getTime()) {
+            throw new McpError(
+              ErrorCode.InvalidParams,
+              'progression_date must not be before datetime'
+            );
+          }
+          const { progressed_datetime, solar_arc, progressed_chart, solar_arc_chart } = this.calculateProgressions(midpointChart, progressionDate, 'naibod', midpointAspectOptions, chartOptions);
+          midpointResult.activations.progressions = {
+            progressed_datetime,
+            ...activations(this.collectAspectPoints(progressed_chart, midpointAspectOptions.points))
+          };
+          midpointResult.activations.solar_arc = {
+            solar_arc: Math.round(solar_arc * 10000) / 10000,
+            ...activations(this.collectAspectPoints(solar_arc_chart, midpointAspectOptions.points))
+          };
+        }
+
+        midpointResult.settings = midpointChart.settings;
+        midpointResult.warnings = midpointChart.warnings;
+        midpointResult.calculation_time = new Date().toISOString();
+        return midpointResult;
+
+      case 'calculate_charts_batch':
+        const { charts: bt_charts, include_synastry = false } = args;
+
+        if (!Array.isArray(bt_charts) || bt_charts.length === 0 || bt_charts.length > MAX_BATCH_CHARTS) {
           throw new McpError(
             ErrorCode.InvalidParams,
-            'person1_datetime parameter is required and must be a string'
+            `charts must be an array of 1 to ${MAX_BATCH_CHARTS} birth records`
           );
         }
 
-        if (typeof person1_latitude !== 'number' || person1_latitude < -90 || person1_latitude > 90) {
+        if (typeof include_synastry !== 'boolean') {
           throw new McpError(
             ErrorCode.InvalidParams,
-            'person1_latitude must be a number between -90 and 90'
+            'include_synastry must be a boolean'
           );
         }
 
-        if (typeof person1_longitude !== 'number' || person1_longitude < -180 || person1_longitude > 180) {
+        // Each record is resolved like a datetime argument with its own timezone; calendar and
+        // disambiguation apply to the whole batch
+        const batchRecords = bt_charts.map((record, index) => {
+          if (typeof record !== 'object' || record === null || Array.isArray(record)) {
+            throw new McpError(
+              ErrorCode.InvalidParams,
+              `charts[${index}] must be an object with datetime, latitude and longitude, or profile_id`
+            );
+          }
+
+          // A profile record takes the profile's name as default label and its datetime, already in UTC
+          let recordProfile = null;
+          if (record.profile_id !== undefined) {
+            const conflicting = ['datetime', 'latitude', 'longitude', 'timezone'].filter(field => record[field] !== undefined);
+            if (conflicting.length > 0) {
+              throw new McpError(
+                ErrorCode.InvalidParams,
+                `charts[${index}].profile_id replaces ${conflicting.join(', ')}; pass one or the other`
+              );
+            }
+            recordProfile = this.findProfile(record.profile_id, `charts[${index}].profile_id`, profileOwner);
+          }
+          const { label = recordProfile ? recordProfile.name : `Chart ${index + 1}`, datetime: recordDatetime, latitude: recordLatitude, longitude: recordLongitude, timezone: recordTimezone } = recordProfile
+            ? { label: record.label, datetime: recordProfile.datetime, latitude: recordProfile.latitude, longitude: recordProfile.longitude }
+            : record;
+
+          if (typeof label !== 'string' || label.trim() === '') {
+            throw new McpError(
+              ErrorCode.InvalidParams,
+              `charts[${index}].label must be a non-empty string`
+            );
+          }
+
+          if (typeof recordLatitude !== 'number' || recordLatitude < -90 || recordLatitude > 90) {
+            throw new McpError(
+              ErrorCode.InvalidParams,
+              `charts[${index}].latitude must be a number between -90 and 90`
+            );
+          }
+
+          if (typeof recordLongitude !== 'number' || recordLongitude < -180 || recordLongitude > 180) {
+            throw new McpError(
+              ErrorCode.InvalidParams,
+              `charts[${index}].longitude must be a number between -180 and 180`
+            );
+          }
+
+          const resolved = recordProfile
+            ? { utc: Date.parse(recordProfile.utc), resolution: null }
+            : typeof recordDatetime === 'string'
+              ? this.resolveDatetime('datetime', recordDatetime, { calendar: args.calendar, disambiguation: args.disambiguation, timezone: recordTimezone, longitude: recordLongitude }, `charts[${index}].datetime`)
+              : null;
+          if (!resolved) {
+            throw new McpError(
+              ErrorCode.InvalidParams,
+              `charts[${index}].datetime is required and must be an ISO8601 datetime`
+            );
+          }
+
+          return {
+            label,
+            datetime: new Date(resolved.utc).toISOString(),
+            latitude: recordLatitude,
+            longitude: recordLongitude,
+            timeResolution: !recordProfile && (recordTimezone !== undefined || args.calendar !== undefined || resolved.resolution.calendar === 'julian') ? resolved.resolution : null,
+            profile: recordProfile && { id: recordProfile.id, name: recordProfile.name }
+          };
+        });
+
+        const batchLabels = batchRecords.map(record => record.label);
+        const duplicateLabel = batchLabels.find((label, index) => batchLabels.indexOf(label) !== index);
+        if (duplicateLabel !== undefined) {
           throw new McpError(
             ErrorCode.InvalidParams,
-            'person1_longitude must be a number between -180 and 180'
+            `chart labels must be unique, ${duplicateLabel} is used more than once`
           );
         }
 
-        if (!person2_datetime || typeof person2_datetime !== 'string') {
+        // Records repeated in the batch or charted by earlier calls come from the chart cache
+        const cacheBefore = this.chartCache.stats();
+        const batchCharts = batchRecords.map(record => ({
+          label: record.label,
+          chart: this.calculateEphemeris(record.datetime, record.latitude, record.longitude, chartOptions),
+          ...(record.timeResolution && { time_resolution: record.timeResolution }),
+          ...(record.profile && { profile: record.profile })
+        }));
+        const cacheAfter = this.chartCache.stats();
+
+        const batchResult = {
+          charts: batchCharts,
+          chart_cache: { hits: cacheAfter.hits - cacheBefore.hits, misses: cacheAfter.misses - cacheBefore.misses }
+        };
+
+        if (include_synastry) {
+          // Every pair once, in record order: the earlier record is person 1
+          batchResult.synastry = [];
+          const batchOrbs = this.loadSynastryScoring().orbs;
+          const batchPoints = batchCharts.map(({ chart }) => this.collectAspectPoints(chart));
+          for (let first = 0; first < batchCharts.length; first++) {
+            for (let second = first + 1; second < batchCharts.length; second++) {
+              batchResult.synastry.push({
+                person1: batchCharts[first].label,
+                person2: batchCharts[second].label,
+                synastry_aspects: this.calculateSynastryAspects(batchPoints[first], batchPoints[second], batchOrbs),
+                house_overlays: {
+                  person1_in_person2_houses: this.calculateHouseOverlays(batchPoints[first], batchCharts[second].chart.houses),
+                  person2_in_person1_houses: this.calculateHouseOverlays(batchPoints[second], batchCharts[first].chart.houses)
+                }
+              });
+            }
+          }
+        }
+
+        batchResult.calculation_time = new Date().toISOString();
+        return batchResult;
+
+      case 'save_profile':
+        const { id: sp_id, name: sp_name, datetime: sp_datetime, timezone: sp_timezone = null, calendar: sp_calendar = 'auto', disambiguation: sp_disambiguation = 'earlier', latitude: sp_latitude, longitude: sp_longitude, notes: sp_notes = null } = args;
+
+        if (sp_id !== undefined && (typeof sp_id !== 'string' || !PROFILE_ID_PATTERN.test(sp_id))) {
           throw new McpError(
             ErrorCode.InvalidParams,
-            'person2_datetime parameter is required and must be a string'
+            'id must be 1 to 64 lowercase letters, digits and hyphens, starting with a letter or digit'
           );
         }
 
-        if (typeof person2_latitude !== 'number' || person2_latitude < -90 || person2_latitude > 90) {
+        if (sp_id !== undefined && this.profileStore.get(profileOwner, sp_id)) {
           throw new McpError(
             ErrorCode.InvalidParams,
-            'person2_latitude must be a number between -90 and 90'
+            `Profile ${sp_id} already exists; use update_profile to change it`
           );
         }
 
-        if (typeof person2_longitude !== 'number' || person2_longitude < -180 || person2_longitude > 180) {
+        const { profile: savedFields, timeResolution: savedResolution } = this.validateProfile({
+          name: sp_name, datetime: sp_datetime, timezone: sp_timezone, calendar: sp_calendar, disambiguation: sp_disambiguation,
+          latitude: sp_latitude, longitude: sp_longitude, notes: sp_notes
+        });
+        const savedAt = new Date().toISOString();
+        const savedProfile = { id: sp_id ?? this.profileStore.newId(profileOwner, savedFields.name), ...savedFields, created_at: savedAt, updated_at: savedAt };
+        this.profileStore.put(profileOwner, savedProfile);
+        this.notifyResourceListChanged(profileOwner);
+
+        return {
+          profile: savedProfile,
+          time_resolution: { datetime: savedResolution },
+          resources: this.profileResources(savedProfile)
+        };
+
+      case 'list_profiles':
+        const { query } = args;
+
+        if (query !== undefined && typeof query !== 'string') {
           throw new McpError(
             ErrorCode.InvalidParams,
-            'person2_longitude must be a number between -180 and 180'
+            'query must be a string'
           );
         }
 
-        // Calculate person 1's natal chart
-        const person1NatalChart = this.calculateEphemeris(person1_datetime, person1_latitude, person1_longitude);
+        const listedProfiles = this.profileStore.list(profileOwner)
+          .filter(profile => !query || `${profile.name} ${profile.notes || ''}`.toLowerCase().includes(query.toLowerCase()))
+          .sort((a, b) => a.name.localeCompare(b.name));
+        return {
+          profiles: listedProfiles.map(profile => ({ ...profile, resources: this.profileResources(profile) })),
+          count: listedProfiles.length
+        };
 
-        // Calculate person 2's natal chart
-        const person2NatalChart = this.calculateEphemeris(person2_datetime, person2_latitude, person2_longitude);
+      case 'update_profile':
+        const existingProfile = this.findProfile(args.profile_id, 'profile_id', profileOwner);
+        const updatableFields = ['name', 'datetime', 'timezone', 'calendar', 'disambiguation', 'latitude', 'longitude', 'notes'];
+        const updates = updatableFields.filter(field => args[field] !== undefined);
+
+        if (updates.length === 0) {
+          throw new McpError(
+            ErrorCode.InvalidParams,
+            `update_profile needs at least one of: ${updatableFields.join(', ')}`
+          );
+        }
 
-        // Calculate aspects between the two charts
-        const aspects = this.calculateSynastryAspects(person1NatalChart.planets, person2NatalChart.planets);
+        // The datetime is resolved again, so changing the time zone or calendar moves the stored UTC instant
+        const { profile: updatedFields, timeResolution: updatedResolution } = this.validateProfile({
+          ...existingProfile,
+          ...Object.fromEntries(updates.map(field => [field, args[field]]))
+        });
+        const updatedProfile = { id: existingProfile.id, ...updatedFields, created_at: existingProfile.created_at, updated_at: new Date().toISOString() };
+        this.profileStore.put(profileOwner, updatedProfile);
+        this.notifyResourceListChanged(profileOwner);
 
         return {
-          person1_chart: person1NatalChart,
-          person2_chart: person2NatalChart,
-          synastry_aspects: aspects,
-          calculation_time: new Date().toISOString()
+          profile: updatedProfile,
+          time_resolution: { datetime: updatedResolution },
+          resources: this.profileResources(updatedProfile)
         };
 
+      case 'delete_profile':
+        const deletedProfile = this.findProfile(args.profile_id, 'profile_id', profileOwner);
+        this.profileStore.delete(profileOwner, deletedProfile.id);
+        this.notifyResourceListChanged(profileOwner);
+        return { deleted: deletedProfile };
+
       default:
         throw new McpError(
           ErrorCode.MethodNotFound,
@@ -816,15 +7946,87 @@ class SwissEphemerisServer {
     if (useHttp) {
       // HTTP mode for ngrok
       const port = process.env.PORT || 8000;
+      const security = this.loadHttpSecurity();
 
       console.log('Starting HTTP server for ngrok...');
       console.log(`Port: ${port}`);
 
       const app = express();
+      // Behind a reverse proxy or gateway, req.ip (the rate limit key without API keys) comes from
+      // X-Forwarded-For, but only for the proxies trusted through MCP_TRUST_PROXY
+      try {
+        app.set('trust proxy', security.trustProxy);
+      } catch (error) {
+        throw new Error(`MCP_TRUST_PROXY is not a valid trust proxy setting: ${error.message}`);
+      }
       app.use(express.json());
 
-      // Map to store transports by session ID
-      const transports = {};
+      // Sessions by ID, each with its own transport and MCP server, and rate limit buckets by client
+      const sessions = new Map();
+      const rateLimits = new Map();
+
+      // Close sessions idle for longer than the TTL; buckets idle for a minute are full again and dropped
+      const sweep = setInterval(() => {
+        const now = Date.now();
+        for (const [sessionId, session] of sessions) {
+          if (now - session.lastSeen > security.sessionTtl) {
+            sessions.delete(sessionId);
+            session.server.close().catch(error => console.error(`Error closing session ${sessionId}:`, error));
+            console.log(`⌛ Session expired: ${sessionId}`);
+          }
+        }
+        for (const [clientId, bucket] of rateLimits) {
+          if (now - bucket.updated >= 60000) rateLimits.delete(clientId);
+        }
+      }, SESSION_SWEEP_MS);
+      sweep.unref();
+
+      // Origin check and CORS. Browsers send an Origin header, and only listed origins may use the
+      // endpoints (DNS rebinding protection); clients without one, like gateways, are not affected.
+      app.use(['/mcp', '/api'], (req, res, next) => {
+        const origin = req.headers.origin;
+        if (origin !== undefined) {
+          if (!security.allowedOrigins.includes(origin) && !security.allowedOrigins.includes('*')) {
+            return this.sendHttpError(req, res, 403, 'Forbidden: origin not allowed');
+          }
+          res.set({
+            'Access-Control-Allow-Origin': origin,
+            'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+            'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-API-Key, Mcp-Session-Id, Mcp-Protocol-Version, Last-Event-ID',
+            'Access-Control-Expose-Headers': 'Mcp-Session-Id',
+            'Vary': 'Origin'
+          });
+        }
+        if (req.method === 'OPTIONS') {
+          return res.sendStatus(204);
+        }
+        next();
+      });
+
+      // OpenAPI document of the REST API, readable without an API key
+      app.get('/api/v1/openapi.json', (req, res) => {
+        res.json(this.openApiDocument(security));
+      });
+
+      // Authentication and rate limiting
+      app.use(['/mcp', '/api'], (req, res, next) => {
+        const client = this.authenticateRequest(req, security);
+        if (!client) {
+          res.set('WWW-Authenticate', 'Bearer');
+          return this.sendHttpError(req, res, 401, 'Unauthorized: a valid API key is required');
+        }
+
+        const retryAfter = this.takeRateLimitToken(rateLimits, client);
+        if (retryAfter > 0) {
+          res.set('Retry-After', String(retryAfter));
+          return this.sendHttpError(req, res, 429, 'Too Many Requests: rate limit exceeded');
+        }
+
+        req.apiClient = client;
+        // With API keys every key has its own saved profiles; without keys all clients share them
+        req.profileOwner = security.apiKeys.size > 0 ? client.id : null;
+        next();
+      });
 
       // SSE endpoint for Claude MCP Connector
       app.all('/mcp', async (req, res) => {
@@ -833,43 +8035,48 @@ class SwissEphemerisServer {
           
           // Check for existing session ID
           const sessionId = req.headers['mcp-session-id'];
-          let transport;
-
-          if (sessionId && transports[sessionId]) {
-            // Reuse existing transport
-            transport = transports[sessionId];
-          } else if (!sessionId && this.isInitializeRequest(req.body)) {
-            // New initialization request
-            transport = new StreamableHTTPServerTransport({
-              sessionIdGenerator: () => Math.random().toString(36).substring(2, 15),
-            });
 
-            // Connect to the MCP server
-            await this.server.connect(transport);
-            
-            // Handle the request first, then store the transport
-            await transport.handleRequest(req, res, req.body);
-            
-            // Store the transport by session ID after handling the request
-            if (transport.sessionId) {
-              transports[transport.sessionId] = transport;
-              console.log(`✅ New session created and stored: ${transport.sessionId}`);
+          if (sessionId) {
+            // Sessions belong to the client that created them; unknown, expired and foreign
+            // sessions all look the same
+            const session = sessions.get(sessionId);
+            if (!session || session.clientId !== req.apiClient.id) {
+              return this.sendHttpError(req, res, 404, 'Session not found');
             }
-            
-            return; // Exit early since we already handled the request
-          } else {
+            session.lastSeen = Date.now();
+
+            // DELETE ends the session: the transport closes and onclose removes it
+            await session.transport.handleRequest(req, res, req.body);
+            return;
+          }
+
+          if (req.method !== 'POST' || !this.isInitializeRequest(req.body)) {
             // Invalid request
-            return res.status(400).json({
-              jsonrpc: '2.0',
-              error: {
-                code: -32000,
-                message: 'Bad Request: No valid session ID provided',
-              },
-              id: null,
-            });
+            return this.sendHttpError(req, res, 400, 'Bad Request: No valid session ID provided');
           }
 
-          // Handle the request using the transport (for existing sessions)
+          if (sessions.size >= security.maxSessions) {
+            return this.sendHttpError(req, res, 503, 'Service Unavailable: too many active sessions');
+          }
+
+          // New initialization request: a fresh server and transport for the session
+          const server = this.createServer(req.profileOwner);
+          const transport = new StreamableHTTPServerTransport({
+            sessionIdGenerator: () => randomUUID(),
+            onsessioninitialized: (newSessionId) => {
+              const now = Date.now();
+              sessions.set(newSessionId, { transport, server, clientId: req.apiClient.id, created: now, lastSeen: now });
+              console.log(`✅ New session created and stored: ${newSessionId}`);
+            },
+          });
+          transport.onclose = () => {
+            if (transport.sessionId && sessions.get(transport.sessionId)?.transport === transport) {
+              sessions.delete(transport.sessionId);
+              console.log(`👋 Session closed: ${transport.sessionId}`);
+            }
+          };
+
+          await server.connect(transport);
           await transport.handleRequest(req, res, req.body);
         } catch (error) {
           console.error('Error handling MCP request:', error);
@@ -882,6 +8089,51 @@ class SwissEphemerisServer {
         }
       });
 
+      // REST API: the MCP tools as JSON endpoints, with the request body as tool arguments
+      app.post('/api/v1/:route', async (req, res) => {
+        const tool = REST_ROUTES[req.params.route];
+        if (!tool) {
+          return this.sendHttpError(req, res, 404, `Unknown route: ${req.params.route}`);
+        }
+        if (typeof req.body !== 'object' || req.body === null || Array.isArray(req.body)) {
+          return this.sendHttpError(req, res, 400, 'Request body must be a JSON object of tool arguments');
+        }
+
+        try {
+          const result = await this.handleToolCall(tool, req.body, req.profileOwner);
+          const wheel = result[CHART_WHEEL];
+          if (wheel) {
+            // The wheel travels as MCP image content over MCP; REST clients get it inline
+            result.chart_wheel = { ...result.chart_wheel, png_base64: wheel.png, svg_markup: wheel.svg };
+          }
+          res.json(result);
+        } catch (error) {
+          const mapped = error instanceof McpError ? HTTP_ERRORS[error.code] : undefined;
+          if (!mapped || mapped.status === 500) {
+            console.error(`Error handling REST request for ${tool}:`, error);
+          }
+          res.status(mapped?.status || 500).json({
+            error: {
+              status: mapped?.status || 500,
+              code: mapped?.code || 'internal_error',
+              message: error instanceof McpError ? error.message.replace(/^MCP error -?\d+: /, '') : `Tool execution failed: ${error.message}`
+            }
+          });
+        }
+      });
+
+      app.all('/api/*', (req, res) => {
+        this.sendHttpError(req, res, 404, `No ${req.method} route at ${req.path}`);
+      });
+
+      // Malformed JSON bodies on REST routes get a REST error; /mcp keeps express's default
+      app.use((error, req, res, next) => {
+        if (!req.originalUrl.startsWith('/api/') || error.type !== 'entity.parse.failed') {
+          return next(error);
+        }
+        res.status(400).json({ error: { status: 400, code: 'parse_error', message: `Invalid JSON body: ${error.message}` } });
+      });
+
       // Health check endpoint
       app.get('/health', (req, res) => {
         res.json({ 
@@ -891,6 +8143,14 @@ class SwissEphemerisServer {
           transport: 'StreamableHTTP',
           protocol: 'http',
           port: port,
+          ephemeris_backend: this.backend.name,
+          chart_cache: this.chartCache.stats(),
+          authentication: security.apiKeys.size > 0 ? 'api_key' : 'none',
+          sessions: {
+            active: sessions.size,
+            max: security.maxSessions,
+            ttl_seconds: security.sessionTtl / 1000
+          },
           note: 'Use ngrok for HTTPS tunneling',
           endpoint: '/mcp - StreamableHTTP transport for Claude MCP Connector'
         });
@@ -906,6 +8166,8 @@ class SwissEphemerisServer {
           port: port,
           endpoints: {
             mcp: `/mcp - StreamableHTTP transport for Claude MCP Connector`,
+            api: `/api/v1/<route> - REST API (POST, JSON), routes: ${Object.keys(REST_ROUTES).join(', ')}`,
+            openapi: `/api/v1/openapi.json - OpenAPI 3 document of the REST API`,
             health: `/health - Health check`
           },
           usage: 'Use ngrok to create HTTPS tunnel, then connect Claude to the ngrok URL + /mcp',
@@ -919,14 +8181,165 @@ class SwissEphemerisServer {
         console.log(`💡 Start ngrok with: ngrok http ${port}`);
         console.log(`MCP endpoint: http://localhost:${port}/mcp`);
         console.log(`Health check: http://localhost:${port}/health`);
+        console.log(`Ephemeris backend: ${this.backend.name}`);
+        if (security.apiKeys.size === 0) {
+          console.log('⚠️  No API keys configured (MCP_API_KEYS or MCP_API_KEYS_FILE): /mcp is open to anyone');
+        }
         console.log('\nReady for Claude MCP Connector integration via ngrok\n');
       });
     } else {
       // Stdio mode (default) - for Claude Desktop
       const transport = new StdioServerTransport();
       await this.server.connect(transport);
-      console.error('Swiss Ephemeris MCP server running on stdio');
+      console.error(`Swiss Ephemeris MCP server running on stdio (${this.backend.name} backend)`);
+    }
+  }
+
+  loadHttpSecurity() {
+    // API keys come from MCP_API_KEYS (comma separated) and MCP_API_KEYS_FILE (one key per line,
+    // optionally followed by its own requests per minute). Only SHA-256 hashes of the keys are kept.
+    const positiveInteger = (variable, fallback) => {
+      const value = process.env[variable];
+      if (value === undefined || value === '') return fallback;
+      if (!/^\d+$/.test(value) || Number(value) === 0) {
+        throw new Error(`${variable} must be a positive integer`);
+      }
+      return Number(value);
+    };
+    const rateLimit = positiveInteger('MCP_RATE_LIMIT', DEFAULT_RATE_LIMIT);
+
+    const entries = (process.env.MCP_API_KEYS || '').split(',').map(key => [key.trim()]);
+    if (process.env.MCP_API_KEYS_FILE) {
+      for (const line of readFileSync(process.env.MCP_API_KEYS_FILE, 'utf8').split('\n')) {
+        const trimmed = line.trim();
+        if (trimmed && !trimmed.startsWith('#')) entries.push(trimmed.split(/\s+/));
+      }
+    }
+
+    const apiKeys = new Map();
+    for (const [key, limit] of entries) {
+      if (!key) continue;
+      if (limit !== undefined && (!/^\d+$/.test(limit) || Number(limit) === 0)) {
+        throw new Error('Rate limits in MCP_API_KEYS_FILE must be positive integers');
+      }
+      const hash = createHash('sha256').update(key).digest('hex');
+      apiKeys.set(hash, { id: `key ${hash.slice(0, 12)}`, rateLimit: limit === undefined ? rateLimit : Number(limit) });
+    }
+
+    // MCP_TRUST_PROXY takes Express's trust proxy values: true, false, a hop count, or a
+    // comma-separated list of addresses, subnets and names like loopback
+    const trustProxyValue = (process.env.MCP_TRUST_PROXY || 'false').trim();
+    const trustProxy = trustProxyValue === 'true' ? true
+      : trustProxyValue === 'false' ? false
+      : /^\d+$/.test(trustProxyValue) ? Number(trustProxyValue)
+      : trustProxyValue;
+
+    return {
+      apiKeys,
+      rateLimit,
+      trustProxy,
+      allowedOrigins: (process.env.MCP_ALLOWED_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean),
+      sessionTtl: positiveInteger('MCP_SESSION_TTL_SECONDS', DEFAULT_SESSION_TTL_SECONDS) * 1000,
+      maxSessions: positiveInteger('MCP_MAX_SESSIONS', DEFAULT_MAX_SESSIONS)
+    };
+  }
+
+  authenticateRequest(req, security) {
+    // The client a request comes from: its API key (Authorization: Bearer or X-API-Key), or its
+    // address when no keys are configured. Returns null for a missing or unknown key.
+    if (security.apiKeys.size === 0) {
+      return { id: `address ${req.ip}`, rateLimit: security.rateLimit };
+    }
+    const authorization = req.headers.authorization;
+    const key = authorization?.startsWith('Bearer ') ? authorization.slice(7).trim() : req.headers['x-api-key'];
+    if (typeof key !== 'string' || !key) return null;
+    return security.apiKeys.get(createHash('sha256').update(key).digest('hex')) || null;
+  }
+
+  takeRateLimitToken(buckets, client) {
+    // Token bucket per client holding rateLimit tokens, refilled evenly over a minute. Returns 0 when
+    // the request may go ahead, otherwise the seconds until the next token.
+    const now = Date.now();
+    const bucket = buckets.get(client.id) || { tokens: client.rateLimit, updated: now };
+    bucket.tokens = Math.min(client.rateLimit, bucket.tokens + (now - bucket.updated) * client.rateLimit / 60000);
+    bucket.updated = now;
+    buckets.set(client.id, bucket);
+
+    if (bucket.tokens >= 1) {
+      bucket.tokens -= 1;
+      return 0;
+    }
+    return Math.ceil((1 - bucket.tokens) * 60 / client.rateLimit);
+  }
+
+  sendHttpError(req, res, status, message) {
+    // REST routes answer with a REST error body, /mcp with a JSON-RPC error
+    if (req.originalUrl.startsWith('/api/')) {
+      return res.status(status).json({ error: { status, code: HTTP_STATUS_CODES[status], message } });
     }
+    return res.status(status).json({
+      jsonrpc: '2.0',
+      error: {
+        code: -32000,
+        message,
+      },
+      id: null,
+    });
+  }
+
+  openApiDocument(security) {
+    // OpenAPI 3.1 document generated from the tool definitions, one POST operation per REST route
+    const tools = Object.fromEntries(this.toolDefinitions().map(tool => [tool.name, tool]));
+    const errorResponse = description => ({ description, content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } });
+
+    return {
+      openapi: '3.1.0',
+      info: {
+        title: 'Swiss Ephemeris API',
+        version: '1.0.0',
+        description: 'Astrological calculations with the Swiss Ephemeris. Every route takes the arguments of the MCP tool of the same operationId as its JSON body.'
+      },
+      servers: [{ url: '/api/v1' }],
+      ...(security.apiKeys.size > 0 && { security: [{ bearerAuth: [] }, { apiKeyHeader: [] }] }),
+      paths: Object.fromEntries(Object.entries(REST_ROUTES).map(([route, name]) => [`/${route}`, {
+        post: {
+          operationId: name,
+          summary: tools[name].description,
+          requestBody: { required: true, content: { 'application/json': { schema: tools[name].inputSchema } } },
+          responses: {
+            200: { description: 'Calculation result', content: { 'application/json': { schema: tools[name].outputSchema } } },
+            400: errorResponse('Invalid arguments or malformed JSON'),
+            401: errorResponse('Missing or unknown API key'),
+            403: errorResponse('Origin not allowed'),
+            429: errorResponse('Rate limit exceeded; see the Retry-After header'),
+            500: errorResponse('Calculation failed')
+          }
+        }
+      }])),
+      components: {
+        securitySchemes: {
+          bearerAuth: { type: 'http', scheme: 'bearer' },
+          apiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+        },
+        schemas: {
+          Error: {
+            type: 'object',
+            properties: {
+              error: {
+                type: 'object',
+                properties: {
+                  status: { type: 'integer', description: 'HTTP status' },
+                  code: { type: 'string', enum: [...new Set([...Object.values(HTTP_ERRORS).map(error => error.code), ...Object.values(HTTP_STATUS_CODES)])] },
+                  message: { type: 'string' }
+                },
+                required: ['status', 'code', 'message']
+              }
+            },
+            required: ['error']
+          }
+        }
+      }
+    };
   }
 
   // Helper method to check if request is an initialize request
@@ -938,5 +8351,10 @@ class SwissEphemerisServer {
   }
 }
 
-const server = new SwissEphemerisServer();
-server.run().catch(console.error); 
\ No newline at end of file
+export { ChartCache, ProfileStore, SwephBackend, SwetestBackend, SwissEphemerisServer };
+
+// Importing the module (as the tests do) only defines the classes; running it starts the server
+if (process.argv[1] && realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const server = new SwissEphemerisServer();
+  server.run().catch(console.error);
+} 
\ No newline at end of file
@@ -0,0 +1,86 @@
+// The sweph backend against recorded swetest output: charts (positions, houses, sidereal zodiacs,
+// extra bodies, the polar fallback) and raw positions with and without a topocentric observer
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { PARITY_CASES, createTestServer, fixtureBackend, loadFixture, loadSwephBackend, runCase } from './helpers.js';
+
+// swetest prints longitudes to 0.0001", speeds and coordinates to seven decimals and
+// right ascension in hours to seven decimals
+const TOLERANCE = 2e-6;
+
+function assertClose(actual, expected, path) {
+  let difference = Math.abs(actual - expected);
+  if (difference > 180) difference = 360 - difference;
+  assert.ok(difference <= TOLERANCE, `${path}: ${actual} differs from swetest ${expected} by ${difference}`);
+}
+
+function assertPositions(actual, expected, path) {
+  assert.deepEqual(Object.keys(actual).sort(), Object.keys(expected).sort(), `${path}: different bodies`);
+  for (const [name, position] of Object.entries(expected)) {
+    for (const [field, value] of Object.entries(position)) {
+      if (typeof value === 'number' && field !== 'degree') assertClose(actual[name][field], value, `${path}.${name}.${field}`);
+      else if (typeof value !== 'number') assert.equal(actual[name][field], value, `${path}.${name}.${field}`);
+    }
+  }
+}
+
+const sweph = loadSwephBackend();
+
+describe('sweph backend parity with swetest', { skip: !sweph && 'sweph is not installed' }, () => {
+  for (const parityCase of PARITY_CASES) {
+    it(parityCase.name, () => {
+      const server = createTestServer();
+      server.backend = fixtureBackend(loadFixture(parityCase.name));
+      const expected = runCase(server, parityCase);
+      server.backend = sweph;
+      const actual = runCase(server, parityCase);
+
+      if (parityCase.kind === 'positions') {
+        assertPositions(actual, expected, 'positions');
+        return;
+      }
+      assertPositions(actual.planets, expected.planets, 'planets');
+      assertPositions(actual.houses, expected.houses, 'houses');
+      assertPositions(actual.chart_points, expected.chart_points, 'chart_points');
+      assertPositions(actual.additional_points, expected.additional_points, 'additional_points');
+      assert.deepEqual(actual.settings, expected.settings);
+      assert.deepEqual(actual.missing_bodies.map(({ body }) => body), expected.missing_bodies.map(({ body }) => body));
+      assert.deepEqual(
+        actual.warnings.filter(warning => !warning.includes(': warning:')),
+        expected.warnings.filter(warning => !warning.includes(': warning:'))
+      );
+    });
+  }
+
+  it('calculates a chart in one backend call', () => {
+    const server = createTestServer();
+    let calls = 0;
+    server.backend = { name: 'sweph', chart: (request) => (calls++, sweph.chart(request)), run: () => assert.fail('chart fell back to swetest output') };
+    runCase(server, PARITY_CASES.find(({ name }) => name === 'extra-bodies-campanus'));
+    assert.equal(calls, 1);
+  });
+
+  it('reports each missing ephemeris file once', () => {
+    // 2600 is past the vendored files: every asteroid repeats the missing seas_24.se1 error
+    const server = createTestServer();
+    server.backend = sweph;
+    const { warnings } = server.calculateEphemeris('2600-01-01T00:00:00Z', 48.8566, 2.3522, server.validateChartOptions({}));
+    assert.deepEqual(warnings, [...new Set(warnings)]);
+    assert.equal(warnings.filter(warning => warning.includes('seas_24.se1')).length, 1);
+  });
+
+  it('resets the sidereal mode and the observer after each call', () => {
+    const server = createTestServer();
+    server.backend = sweph;
+    const { constants } = sweph.sweph;
+    const julianDay = Date.parse('2024-04-08T18:17:00Z') / 86400000 + 2440587.5;
+    const ayanamsa = sweph.sweph.get_ayanamsa_ut(julianDay);
+    const geocentricMoon = sweph.sweph.calc_ut(julianDay, constants.SE_MOON, constants.SEFLG_SWIEPH | constants.SEFLG_TOPOCTR).data[0];
+
+    runCase(server, PARITY_CASES.find(({ name }) => name === 'sidereal-lahiri-whole-sign'));
+    runCase(server, PARITY_CASES.find(({ name }) => name === 'topocentric-positions'));
+
+    assert.equal(sweph.sweph.get_ayanamsa_ut(julianDay), ayanamsa);
+    assert.equal(sweph.sweph.calc_ut(julianDay, constants.SE_MOON, constants.SEFLG_SWIEPH | constants.SEFLG_TOPOCTR).data[0], geocentricMoon);
+  });
+});
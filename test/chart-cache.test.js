@@ -0,0 +1,51 @@
+// Chart cache file compaction and ephemeris files in the cache key
+import assert from 'node:assert/strict';
+import { copyFileSync, mkdtempSync, readFileSync, readdirSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { after, describe, it } from 'node:test';
+import { ChartCache } from '../index.js';
+import { EPHE_PATH, createTestServer, loadSwephBackend } from './helpers.js';
+
+const directory = mkdtempSync(join(tmpdir(), 'swiss-ephemeris-cache-test-'));
+after(() => rmSync(directory, { recursive: true, force: true }));
+
+const fileLines = file => readFileSync(file, 'utf8').split('\n').filter(Boolean).length;
+
+describe('chart cache file', () => {
+  it('is compacted once it holds twice the cache size', () => {
+    const file = join(directory, 'charts.jsonl');
+    const cache = new ChartCache(3, file);
+    for (let index = 0; index < 20; index++) {
+      cache.set(`chart ${index}`, { index });
+      assert.ok(fileLines(file) < 6, `${fileLines(file)} lines after ${index + 1} charts`);
+    }
+
+    const reloaded = new ChartCache(3, file);
+    assert.deepEqual([...reloaded.entries.keys()], ['chart 17', 'chart 18', 'chart 19']);
+  });
+});
+
+describe('chart cache key', () => {
+  const ephePath = mkdtempSync(join(directory, 'ephe-'));
+  readdirSync(EPHE_PATH).filter(file => file !== 'se00433s.se1').forEach(file => copyFileSync(join(EPHE_PATH, file), join(ephePath, file)));
+
+  it('changes when ephemeris files are added', { skip: !loadSwephBackend() && 'sweph is not installed' }, () => {
+    const server = createTestServer();
+    // The library has one global ephemeris path and prefers SE_EPHE_PATH to the one it is given
+    process.env.SE_EPHE_PATH = ephePath;
+    server.backend = loadSwephBackend(ephePath);
+    server.chartCache = new ChartCache(10, null);
+    const options = server.validateChartOptions({ extra_bodies: [433] });
+
+    const before = server.calculateEphemeris('2010-07-21T04:05:06Z', 51.5, -0.12, options);
+    assert.deepEqual(before.missing_bodies.map(({ body }) => body), [433]);
+    assert.equal(server.calculateEphemeris('2010-07-21T04:05:06Z', 51.5, -0.12, options).missing_bodies.length, 1);
+    assert.equal(server.chartCache.hits, 1);
+
+    copyFileSync(join(EPHE_PATH, 'se00433s.se1'), join(ephePath, 'se00433s.se1'));
+    const afterCopy = server.calculateEphemeris('2010-07-21T04:05:06Z', 51.5, -0.12, options);
+    assert.deepEqual(afterCopy.missing_bodies, []);
+    assert.equal(afterCopy.planets.Eros.minor_planet_number, 433);
+  });
+});
@@ -0,0 +1,62 @@
+// Datetime arguments: impossible dates and times are rejected instead of rolling over
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { createTestServer } from './helpers.js';
+
+describe('datetime validation', () => {
+  const server = createTestServer();
+  const resolve = (args) => server.resolveDatetimeArguments(args).args;
+
+  it('rejects months, days and times outside their ranges', () => {
+    for (const [datetime, pattern] of [
+      ['2024-13-45T00:00', /datetime 2024-13-45T00:00 has month 13/],
+      ['2024-00-00T00:00', /has month 0/],
+      ['2024-02-30T12:00', /has day 30; month 2 of 2024 has 29 days/],
+      ['2023-02-29T12:00', /has day 29; month 2 of 2023 has 28 days/],
+      ['2024-04-31T12:00', /has day 31/],
+      ['2024-02-28T25:00', /not a valid time/],
+      ['2024-02-28T12:61', /not a valid time/],
+      ['2024-02-28T12:00:60Z', /not a valid time/],
+      ['2024-02-28T12:00+05:75', /invalid UTC offset/]
+    ]) {
+      assert.throws(() => resolve({ datetime }), pattern, datetime);
+    }
+    assert.throws(() => resolve({ birth_datetime: '1962-15-03T14:30', birth_timezone: 'Europe/Paris' }), /birth_datetime 1962-15-03T14:30 has month 15/);
+  });
+
+  it('uses the month lengths of the calendar the date is read in', () => {
+    // 1500 is a leap year in the Julian calendar only
+    assert.equal(resolve({ datetime: '1500-02-29T12:00' }).datetime, '1500-03-10T12:00:00.000Z');
+    assert.throws(() => resolve({ datetime: '1500-02-29T12:00', calendar: 'gregorian' }), /has 28 days in the gregorian calendar/);
+    assert.equal(resolve({ datetime: '2000-02-29T23:59:59Z' }).datetime, '2000-02-29T23:59:59.000Z');
+  });
+
+  it('rejects years outside the ephemeris range', async () => {
+    assert.throws(() => resolve({ datetime: '+300000-01-01T00:00' }), /outside the supported years -13200 to 17190/);
+    assert.throws(() => resolve({ datetime: '99999-01-01' }), /outside the supported years/);
+    assert.throws(() => resolve({ datetime: '-20000-01-01T00:00Z' }), /outside the supported years/);
+    await assert.rejects(server.handleToolCall('calculate_planetary_positions', { datetime: '+300000-01-01T00:00', latitude: 0, longitude: 0 }), /outside the supported years/);
+    assert.equal(resolve({ datetime: '-0043-03-15T12:00Z' }).datetime, '-000043-03-13T12:00:00.000Z');
+  });
+
+  it('rejects impossible dates in profiles, rectification and batch records', async () => {
+    await assert.rejects(
+      server.handleToolCall('save_profile', { name: 'Impossible', datetime: '1962-15-03T14:30', timezone: 'Europe/Paris', latitude: 48.8566, longitude: 2.3522 }),
+      /has month 15/
+    );
+    await assert.rejects(
+      server.handleToolCall('rectify_birth_time', { birth_date: '1962-14-03', latitude: 48.8566, longitude: 2.3522 }),
+      /birth_date 1962-14-03T00:00 has month 14/
+    );
+    await assert.rejects(
+      server.handleToolCall('rectify_birth_time', {
+        birth_date: '1962-05-03', latitude: 48.8566, longitude: 2.3522, events: [{ date: '1990-02-30' }]
+      }),
+      /events\[0\]\.date 1990-02-30 has day 30/
+    );
+    await assert.rejects(
+      server.handleToolCall('calculate_charts_batch', { charts: [{ datetime: '1990-06-31T12:00:00Z', latitude: 0, longitude: 0 }] }),
+      /charts\[0\]\.datetime 1990-06-31T12:00:00Z has day 31/
+    );
+  });
+});
@@ -0,0 +1,29 @@
+// Eclipse magnitudes and local circumstances
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { createTestServer, loadSwephBackend } from './helpers.js';
+
+const sweph = loadSwephBackend();
+
+describe('eclipses in 2024 seen from Paris', { skip: !sweph && 'sweph is not installed' }, async () => {
+  const server = createTestServer();
+  server.backend = sweph;
+  const { eclipses } = await server.calculateTool('find_eclipses', {
+    start_date: '2024-01-01T00:00:00Z', end_date: '2024-12-31T00:00:00Z', latitude: 48.8566, longitude: 2.3522
+  });
+  const eclipseOn = date => eclipses.find(({ maximum }) => maximum.startsWith(date));
+
+  it('gives penumbral lunar eclipses no umbral magnitude', () => {
+    const penumbral = eclipseOn('2024-03-25');
+    assert.equal(penumbral.type, 'penumbral');
+    assert.equal(penumbral.magnitude, 0);
+    assert.ok(penumbral.penumbral_magnitude > 0);
+  });
+
+  it('has no local type for a solar eclipse below the horizon', () => {
+    const { local } = eclipseOn('2024-04-08');
+    assert.equal(local.visible, false);
+    assert.equal(local.type, 'none');
+    assert.equal(local.magnitude, 0);
+  });
+});
@@ -0,0 +1,20 @@
+// Every named extra body can be calculated with the ephemeris files shipped in vendor/swisseph
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { createTestServer, loadSwephBackend } from './helpers.js';
+
+const sweph = loadSwephBackend();
+
+describe('extra bodies', { skip: !sweph && 'sweph is not installed' }, () => {
+  it('are all available from the vendored files', () => {
+    const server = createTestServer();
+    server.backend = sweph;
+    const names = server.chartOptionProperties().extra_bodies.items.anyOf.find(({ type }) => type === 'string').enum;
+    const chart = server.computeEphemeris('2000-01-01T12:00:00Z', 51.5, -0.12, server.validateChartOptions({ extra_bodies: names }));
+
+    assert.deepEqual(chart.missing_bodies, []);
+    for (const name of names) {
+      assert.equal(typeof chart.planets[name]?.longitude, 'number', `${name} has no position`);
+    }
+  });
+});
@@ -0,0 +1,148 @@
+// Shared setup for the test suites: a server without cache or saved profiles, the parity cases
+// and the swetest fixtures recorded for them (see record-swetest-fixtures.js)
+import { spawn } from 'node:child_process';
+import { mkdtempSync, readFileSync, rmSync } from 'node:fs';
+import { createRequire } from 'node:module';
+import { createServer } from 'node:net';
+import { tmpdir } from 'node:os';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { SwephBackend, SwissEphemerisServer } from '../index.js';
+
+const INDEX = join(dirname(fileURLToPath(import.meta.url)), '..', 'index.js');
+export const FIXTURE_DIR = join(dirname(fileURLToPath(import.meta.url)), 'fixtures', 'swetest');
+export const EPHE_PATH = process.env.SE_EPHE_PATH || join(dirname(fileURLToPath(import.meta.url)), '..', 'vendor', 'swisseph');
+
+// Charts go through computeEphemeris; positions through calculatePositions, which is also what
+// the topocentric eclipse circumstances use
+export const PARITY_CASES = [
+  { name: 'tropical-placidus', kind: 'chart', datetime: '1985-04-12T23:20:50Z', latitude: 40.7128, longitude: -74.006, options: {} },
+  {
+    name: 'tropical-koch-mean-node', kind: 'chart', datetime: '2000-01-01T12:00:00Z', latitude: -33.8688, longitude: 151.2093,
+    options: { house_system: 'koch', node_type: 'mean' }
+  },
+  {
+    name: 'sidereal-lahiri-whole-sign', kind: 'chart', datetime: '1990-06-15T06:30:00Z', latitude: 28.6139, longitude: 77.209,
+    options: { zodiac: 'sidereal', ayanamsa: 'lahiri', house_system: 'whole_sign' }
+  },
+  {
+    name: 'sidereal-raman-equal', kind: 'chart', datetime: '1972-11-03T17:45:10Z', latitude: 48.8566, longitude: 2.3522,
+    options: { zodiac: 'sidereal', ayanamsa: 'raman', house_system: 'equal' }
+  },
+  {
+    name: 'extra-bodies-campanus', kind: 'chart', datetime: '2010-07-21T04:05:06Z', latitude: 51.5074, longitude: -0.1278,
+    options: { house_system: 'campanus', extra_bodies: ['Pholus', 'Osculating Lilith', 'Cupido', 433, 136199] }
+  },
+  { name: 'polar-placidus', kind: 'chart', datetime: '1995-12-21T10:00:00Z', latitude: 69.6492, longitude: 18.9553, options: {} },
+  { name: 'geocentric-positions', kind: 'positions', datetime: '2024-04-08T18:17:00Z', bodies: '0123456789' },
+  {
+    name: 'topocentric-positions', kind: 'positions', datetime: '2024-04-08T18:17:00Z', bodies: '0123456789',
+    topo: [2.3522, 48.8566, 35]
+  }
+];
+
+// Servers created in-process share one profile directory, removed when the test file ends
+const PROFILE_DIR = mkdtempSync(join(tmpdir(), 'swiss-ephemeris-test-'));
+process.on('exit', () => rmSync(PROFILE_DIR, { recursive: true, force: true }));
+
+export function createTestServer() {
+  process.env.CHART_CACHE_SIZE = '0';
+  process.env.PROFILE_DATA_DIR = PROFILE_DIR;
+  process.env.SE_EPHE_PATH = EPHE_PATH;
+  return new SwissEphemerisServer();
+}
+
+export function runCase(server, parityCase) {
+  if (parityCase.kind === 'positions') {
+    const topo = parityCase.topo ? ` -topo${parityCase.topo.join(',')}` : '';
+    return server.calculatePositions(Date.parse(parityCase.datetime), parityCase.bodies, topo);
+  }
+  const options = server.validateChartOptions(parityCase.options);
+  return server.computeEphemeris(parityCase.datetime, parityCase.latitude, parityCase.longitude, options);
+}
+
+export function loadFixture(name) {
+  return JSON.parse(readFileSync(join(FIXTURE_DIR, `${name}.json`), 'utf8'));
+}
+
+export function fixtureBackend(fixture) {
+  // Replays recorded swetest output; an unrecorded command means the server asked for
+  // something the fixture was not recorded for
+  return {
+    name: 'swetest',
+    run(args) {
+      if (!(args in fixture.commands)) throw new Error(`No recorded swetest output for: ${args}`);
+      return fixture.commands[args];
+    }
+  };
+}
+
+export function loadSwephBackend(ephePath = EPHE_PATH) {
+  // sweph is an optional dependency; suites comparing against it are skipped without it
+  try {
+    return new SwephBackend(createRequire(import.meta.url)('sweph'), ephePath);
+  } catch {
+    return null;
+  }
+}
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = createServer().listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    }).on('error', reject);
+  });
+}
+
+export async function startHttpServer(env = {}) {
+  // The server in HTTP mode as a child process, with its own profile directory; stop() ends it
+  const port = await freePort();
+  const profileDirectory = mkdtempSync(join(tmpdir(), 'swiss-ephemeris-test-'));
+  const child = spawn(process.execPath, [INDEX], {
+    env: {
+      ...process.env,
+      MCP_HTTP_MODE: 'true',
+      PORT: String(port),
+      SE_EPHE_PATH: EPHE_PATH,
+      CHART_CACHE_SIZE: '0',
+      PROFILE_DATA_DIR: profileDirectory,
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  await new Promise((resolve, reject) => {
+    let output = '';
+    const timer = setTimeout(() => reject(new Error(`HTTP server did not start:\n${output}`)), 10000);
+    const read = (chunk) => {
+      output += chunk;
+      if (output.includes('listening on port')) {
+        clearTimeout(timer);
+        resolve();
+      }
+    };
+    child.stdout.on('data', read);
+    child.stderr.on('data', read);
+    child.on('exit', (code) => {
+      clearTimeout(timer);
+      reject(new Error(`HTTP server exited with ${code}:\n${output}`));
+    });
+  });
+  // Keep draining the logs so the child never blocks on a full pipe
+  child.stdout.resume();
+  child.stderr.resume();
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    stop: async () => {
+      if (child.exitCode === null) {
+        await new Promise(resolve => {
+          child.once('exit', resolve);
+          child.kill();
+        });
+      }
+      rmSync(profileDirectory, { recursive: true, force: true });
+    }
+  };
+}
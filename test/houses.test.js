@@ -0,0 +1,30 @@
+// House cusps with a custom ayanamsa offset
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { createTestServer, loadSwephBackend } from './helpers.js';
+
+const sweph = loadSwephBackend();
+
+describe('custom ayanamsa houses', { skip: !sweph && 'sweph is not installed' }, () => {
+  const chart = (houseSystem) => {
+    const server = createTestServer();
+    server.backend = sweph;
+    const options = server.validateChartOptions({ zodiac: 'sidereal', ayanamsa: 'custom', ayanamsa_offset: 23.85, house_system: houseSystem });
+    return server.computeEphemeris('1990-06-15T06:30:00Z', 28.6139, 77.209, options);
+  };
+
+  it('start whole-sign houses at 0° of the sidereal sign of the Ascendant', () => {
+    const { houses, chart_points: points } = chart('whole_sign');
+    assert.equal(houses[1].sign, points.Ascendant.sign);
+    for (let house = 1; house <= 12; house++) {
+      assert.equal(houses[house].longitude % 30, 0, `house ${house} cusp is ${houses[house].longitude}`);
+    }
+  });
+
+  it('keep equal houses on the shifted angles', () => {
+    const equal = chart('equal');
+    assert.ok(Math.abs(equal.houses[1].longitude - equal.chart_points.Ascendant.longitude) < 1e-9);
+    const equalMc = chart('equal_mc');
+    assert.ok(Math.abs(equalMc.houses[10].longitude - equalMc.chart_points.Midheaven.longitude) < 1e-9);
+  });
+});
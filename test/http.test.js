@@ -0,0 +1,156 @@
+// HTTP mode: API keys, session ownership and cleanup, rate limits, origins, proxies and REST errors
+import assert from 'node:assert/strict';
+import { after, before, describe, it } from 'node:test';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import { startHttpServer } from './helpers.js';
+
+const LIST_TOOLS = { jsonrpc: '2.0', id: 1, method: 'tools/list', params: {} };
+
+function post(server, path, headers = {}, body = LIST_TOOLS) {
+  return fetch(`${server.url}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream', ...headers },
+    body: JSON.stringify(body)
+  });
+}
+
+async function connect(server, key) {
+  const client = new Client({ name: 'http-test', version: '1.0.0' });
+  const transport = new StreamableHTTPClientTransport(new URL(`${server.url}/mcp`), {
+    requestInit: { headers: { Authorization: `Bearer ${key}` } }
+  });
+  await client.connect(transport);
+  return { client, transport };
+}
+
+async function activeSessions(server) {
+  return (await (await fetch(`${server.url}/health`)).json()).sessions.active;
+}
+
+describe('HTTP mode with API keys', () => {
+  let server;
+  before(async () => {
+    server = await startHttpServer({ MCP_API_KEYS: 'alice-key,bob-key', MCP_ALLOWED_ORIGINS: 'https://app.example.com' });
+  });
+  after(() => server.stop());
+
+  it('answers 401 without a known key', async () => {
+    for (const headers of [{}, { Authorization: 'Bearer wrong-key' }, { 'X-API-Key': 'wrong-key' }]) {
+      const response = await post(server, '/mcp', headers);
+      assert.equal(response.status, 401);
+      assert.equal(response.headers.get('www-authenticate'), 'Bearer');
+    }
+    assert.equal((await post(server, '/api/v1/chart', {}, {})).status, 401);
+  });
+
+  it('hides a session from other keys', async () => {
+    const { client, transport } = await connect(server, 'alice-key');
+    try {
+      const sessionHeader = { 'Mcp-Session-Id': transport.sessionId };
+      assert.equal((await post(server, '/mcp', { ...sessionHeader, Authorization: 'Bearer bob-key' })).status, 404);
+      assert.equal((await post(server, '/mcp', { ...sessionHeader, 'X-API-Key': 'bob-key' })).status, 404);
+      assert.ok((await client.listTools()).tools.length > 0);
+    } finally {
+      await client.close();
+    }
+  });
+
+  it('removes a session on DELETE', async () => {
+    const before = await activeSessions(server);
+    const { client, transport } = await connect(server, 'alice-key');
+    const { sessionId } = transport;
+    assert.equal(await activeSessions(server), before + 1);
+
+    await transport.terminateSession();
+    assert.equal(await activeSessions(server), before);
+    const response = await post(server, '/mcp', { 'Mcp-Session-Id': sessionId, Authorization: 'Bearer alice-key' });
+    assert.equal(response.status, 404);
+    await client.close();
+  });
+
+  it('checks the Origin header', async () => {
+    const headers = { Authorization: 'Bearer alice-key' };
+    const foreign = await post(server, '/mcp', { ...headers, Origin: 'https://evil.example.com' });
+    assert.equal(foreign.status, 403);
+    assert.equal(foreign.headers.get('access-control-allow-origin'), null);
+    assert.equal((await post(server, '/api/v1/chart', { ...headers, Origin: 'https://evil.example.com' }, {})).status, 403);
+
+    const preflight = await fetch(`${server.url}/mcp`, { method: 'OPTIONS', headers: { Origin: 'https://app.example.com' } });
+    assert.equal(preflight.status, 204);
+    assert.equal(preflight.headers.get('access-control-allow-origin'), 'https://app.example.com');
+  });
+});
+
+describe('HTTP mode rate limits', () => {
+  let server;
+  before(async () => {
+    server = await startHttpServer({ MCP_API_KEYS: 'carol-key', MCP_RATE_LIMIT: '2' });
+  });
+  after(() => server.stop());
+
+  it('answers 429 with Retry-After once the bucket is empty', async () => {
+    const headers = { Authorization: 'Bearer carol-key' };
+    // Unknown routes still take a token, and answer quickly
+    assert.equal((await post(server, '/api/v1/nothing', headers, {})).status, 404);
+    assert.equal((await post(server, '/api/v1/nothing', headers, {})).status, 404);
+    const limited = await post(server, '/api/v1/nothing', headers, {});
+    assert.equal(limited.status, 429);
+    assert.equal((await limited.json()).error.code, 'rate_limited');
+    // Two tokens a minute: the next one is at most 30 seconds away
+    const retryAfter = Number(limited.headers.get('retry-after'));
+    assert.ok(retryAfter >= 1 && retryAfter <= 30, `Retry-After ${retryAfter}`);
+  });
+});
+
+describe('HTTP mode behind a proxy', () => {
+  const forwardedFor = (server, address) => post(server, '/api/v1/nothing', { 'X-Forwarded-For': address }, {});
+
+  it('shares one bucket for all forwarded clients by default', async () => {
+    const server = await startHttpServer({ MCP_RATE_LIMIT: '1' });
+    try {
+      assert.equal((await forwardedFor(server, '203.0.113.1')).status, 404);
+      assert.equal((await forwardedFor(server, '203.0.113.2')).status, 429);
+    } finally {
+      await server.stop();
+    }
+  });
+
+  it('keys the rate limit on the forwarded address with MCP_TRUST_PROXY', async () => {
+    const server = await startHttpServer({ MCP_RATE_LIMIT: '1', MCP_TRUST_PROXY: 'loopback' });
+    try {
+      assert.equal((await forwardedFor(server, '203.0.113.1')).status, 404);
+      assert.equal((await forwardedFor(server, '203.0.113.1')).status, 429);
+      assert.equal((await forwardedFor(server, '203.0.113.2')).status, 404);
+    } finally {
+      await server.stop();
+    }
+  });
+});
+
+describe('REST datetime errors', () => {
+  let server;
+  before(async () => {
+    server = await startHttpServer();
+  });
+  after(() => server.stop());
+
+  it('answers 400 invalid_params for unparseable datetimes on every route', async () => {
+    const place = { latitude: 48.8566, longitude: 2.3522 };
+    const requests = [
+      ...['chart', 'fixed-stars', 'natal-aspects', 'chart-wheel', 'dignities', 'vedic-chart', 'midpoints'].map(route => [route, 'datetime']),
+      ...['transits', 'astrocartography', 'time-lords', 'relocated-chart'].map(route => [route, 'birth_datetime'])
+    ];
+    for (const [route, argument] of requests) {
+      const response = await post(server, `/api/v1/${route}`, {}, { ...place, [argument]: 'not a date' });
+      assert.equal(response.status, 400, route);
+      const { error } = await response.json();
+      assert.equal(error.code, 'invalid_params', route);
+      assert.match(error.message, new RegExp(`^${argument} must be an ISO8601 datetime`), route);
+    }
+
+    const impossible = await post(server, '/api/v1/chart', {}, { ...place, datetime: '2024-02-30T12:00' });
+    assert.equal(impossible.status, 400);
+    assert.match((await impossible.json()).error.message, /has day 30/);
+  });
+});
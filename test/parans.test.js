@@ -0,0 +1,25 @@
+// Paran pairs between fixed stars and planets
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { createTestServer } from './helpers.js';
+
+describe('parans', () => {
+  const server = createTestServer();
+  const parans = (sunRightAscension) => server.calculateParans(
+    { planets: { Sun: { right_ascension: sunRightAscension, declination: 10 } } },
+    { Sirius: { right_ascension: 101.5, declination: -16.7 } },
+    40,
+    4
+  ).map(({ star_event: starEvent, body_event: bodyEvent }) => `${starEvent}/${bodyEvent}`);
+
+  it('lists a meridian pair once, with the star culminating', () => {
+    assert.deepEqual(parans(101), ['culminating/culminating']);
+    assert.deepEqual(parans(281), ['culminating/anti_culminating']);
+  });
+
+  it('keeps horizon pairs', () => {
+    // The Sun sets (RA + semi-arc) when Sirius culminates
+    const semiArc = Math.acos(-Math.tan(40 * Math.PI / 180) * Math.tan(10 * Math.PI / 180)) * 180 / Math.PI;
+    assert.deepEqual(parans(101.5 - semiArc), ['culminating/setting']);
+  });
+});
@@ -0,0 +1,65 @@
+// Saved profiles belong to the API key that saved them
+import assert from 'node:assert/strict';
+import { after, before, describe, it } from 'node:test';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import { startHttpServer } from './helpers.js';
+
+describe('profiles with several API keys', () => {
+  let server;
+  const rest = async (key, route, body) => {
+    const response = await fetch(`${server.url}/api/v1/${route}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${key}` },
+      body: JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+  const connect = async (key) => {
+    const client = new Client({ name: 'profiles-test', version: '1.0.0' });
+    await client.connect(new StreamableHTTPClientTransport(new URL(`${server.url}/mcp`), {
+      requestInit: { headers: { Authorization: `Bearer ${key}` } }
+    }));
+    return client;
+  };
+
+  before(async () => {
+    server = await startHttpServer({ MCP_API_KEYS: 'alice-key,bob-key' });
+  });
+  after(() => server.stop());
+
+  it('keeps each key to its own profiles', async () => {
+    const saved = await rest('alice-key', 'save-profile', { name: 'Jean Dupont', datetime: '1962-05-03T12:30:00Z', latitude: 48.8566, longitude: 2.3522 });
+    assert.equal(saved.status, 200);
+    const { id } = saved.body.profile;
+
+    assert.equal((await rest('alice-key', 'list-profiles', {})).body.count, 1);
+    assert.equal((await rest('bob-key', 'list-profiles', {})).body.count, 0);
+    assert.equal((await rest('bob-key', 'update-profile', { profile_id: id, name: 'Taken over' })).status, 400);
+    assert.equal((await rest('bob-key', 'delete-profile', { profile_id: id })).status, 400);
+
+    // The same ID is free for another key
+    const other = await rest('bob-key', 'save-profile', { id, name: 'Someone else', datetime: '1990-01-01T00:00:00Z', latitude: 0, longitude: 0 });
+    assert.equal(other.status, 200);
+    assert.equal((await rest('alice-key', 'list-profiles', {})).body.profiles[0].name, 'Jean Dupont');
+  });
+
+  it('lists and reads resources of the key only', async () => {
+    await rest('alice-key', 'save-profile', { id: 'alice-only', name: 'Alice only', datetime: '1975-08-01T08:00:00Z', latitude: 51.5, longitude: -0.12 });
+    const alice = await connect('alice-key');
+    const bob = await connect('bob-key');
+    try {
+      const aliceUris = (await alice.listResources()).resources.map(({ uri }) => uri);
+      const bobUris = (await bob.listResources()).resources.map(({ uri }) => uri);
+      assert.ok(aliceUris.includes('chart://profiles/alice-only/natal'));
+      assert.ok(!bobUris.includes('chart://profiles/alice-only/natal'));
+
+      const read = await alice.readResource({ uri: 'chart://profiles/alice-only' });
+      assert.equal(JSON.parse(read.contents[0].text).profile.name, 'Alice only');
+      await assert.rejects(bob.readResource({ uri: 'chart://profiles/alice-only' }), /Unknown resource/);
+    } finally {
+      await alice.close();
+      await bob.close();
+    }
+  });
+});
@@ -0,0 +1,32 @@
+// Solar arc directed Midheaven in tropical and sidereal zodiacs
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { createTestServer, loadSwephBackend } from './helpers.js';
+
+const sweph = loadSwephBackend();
+
+describe('solar arc progressions', { skip: !sweph && 'sweph is not installed' }, () => {
+  const zodiacs = {
+    tropical: {},
+    lahiri: { zodiac: 'sidereal', ayanamsa: 'lahiri' },
+    fagan_bradley: { zodiac: 'sidereal', ayanamsa: 'fagan_bradley' },
+    custom: { zodiac: 'sidereal', ayanamsa: 'custom', ayanamsa_offset: 23.5 }
+  };
+
+  for (const [name, chartArgs] of Object.entries(zodiacs)) {
+    it(`directs the ${name} Midheaven by the solar arc`, () => {
+      const server = createTestServer();
+      server.backend = sweph;
+      const options = server.validateChartOptions(chartArgs);
+      const natal = server.calculateEphemeris('1985-04-12T23:20:50Z', 40.7128, -74.006, options);
+      const progressions = server.calculateProgressions(
+        natal, new Date('2024-01-01T00:00:00Z'), 'solar_arc', server.validateAspectOptions({}, { orb: 1, luminaryOrbBonus: 0 }), options
+      );
+
+      // The directed MC is converted with the mean obliquity, the cast houses use the true one
+      const expected = server.normalizeDegrees(natal.chart_points.Midheaven.longitude + progressions.solar_arc);
+      const difference = Math.abs(server.signedAngularDifference(expected, progressions.progressed_chart.chart_points.Midheaven.longitude));
+      assert.ok(difference < 0.01, `progressed MC is ${difference}° away from natal MC plus solar arc`);
+    });
+  }
+});
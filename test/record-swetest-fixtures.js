@@ -0,0 +1,25 @@
+// Records the swetest output the parity tests replay. Needs the swetest binary on PATH:
+//   node test/record-swetest-fixtures.js
+// Each fixture holds the case and every swetest command line the server ran for it.
+import { execSync } from 'node:child_process';
+import { writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { SwetestBackend } from '../index.js';
+import { EPHE_PATH, FIXTURE_DIR, PARITY_CASES, createTestServer, runCase } from './helpers.js';
+
+const swetest = new SwetestBackend(EPHE_PATH);
+let version = null;
+try {
+  version = execSync('swetest -h', { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).match(/Version:?\s*([\d.]+\w*)/i)?.[1] || null;
+} catch {
+  // The version is informational; builds without -h still record
+}
+
+for (const parityCase of PARITY_CASES) {
+  const server = createTestServer();
+  const commands = {};
+  server.backend = { name: 'swetest', run: (args) => (commands[args] = swetest.run(args)) };
+  runCase(server, parityCase);
+  writeFileSync(join(FIXTURE_DIR, `${parityCase.name}.json`), JSON.stringify({ ...parityCase, swetest_version: version, commands }, null, 2) + '\n');
+  console.log(`${parityCase.name}: ${Object.keys(commands).length} swetest commands`);
+}
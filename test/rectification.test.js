@@ -0,0 +1,28 @@
+// Local candidate times in a rectification window that spans a daylight saving change
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { createTestServer, loadSwephBackend } from './helpers.js';
+
+const sweph = loadSwephBackend();
+
+describe('rectification window across a DST change', { skip: !sweph && 'sweph is not installed' }, () => {
+  it('reads every candidate in the offset in force at its time', async () => {
+    const server = createTestServer();
+    server.backend = sweph;
+    // Paris clocks went from 02:00 to 03:00 on 28 March 2021: 00:00 to 02:00 UTC is 01:00 to 04:00 local
+    const result = await server.calculateTool('rectify_birth_time', {
+      birth_date: '2021-03-28', birth_timezone: 'Europe/Paris', latitude: 48.8566, longitude: 2.3522,
+      window_start: '01:00', window_end: '04:00', step_minutes: 30, max_results: 20,
+      events: [{ date: '2040-06-01', description: 'Marriage' }]
+    });
+
+    const localTimes = { '00:00': '01:00', '00:30': '01:30', '01:00': '03:00', '01:30': '03:30', '02:00': '04:00' };
+    assert.ok(result.candidates.length > 0);
+    for (const { datetime, local_time: localTime } of result.candidates) {
+      assert.equal(localTime, localTimes[datetime.slice(11, 16)], `local time of ${datetime}`);
+    }
+    const ascendantRuns = result.window_sensitivity.ascendant_sign;
+    assert.equal(ascendantRuns[0].from, '01:00');
+    assert.equal(ascendantRuns[ascendantRuns.length - 1].to, '04:00');
+  });
+});
@@ -0,0 +1,30 @@
+// calculate_relocated_chart takes the birth place as latitude and longitude, like astrocartography
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { createTestServer } from './helpers.js';
+
+describe('relocated chart arguments', () => {
+  const server = createTestServer();
+  const birth = { birth_datetime: '1985-04-12T23:20:50Z', latitude: 40.7128, longitude: -74.006 };
+  const relocation = { relocation_latitude: 51.5, relocation_longitude: 0 };
+  const result = (args) => server.handleToolCall('calculate_relocated_chart', args);
+
+  it('reads the birth place from latitude and longitude', async () => {
+    const relocated = await result({ ...birth, ...relocation });
+    assert.equal(relocated.relocation.distance_km, 5578.9);
+    assert.equal(relocated.relocation.direction, 'NE');
+    await assert.rejects(
+      server.calculateTool('calculate_relocated_chart', { birth_datetime: birth.birth_datetime, birth_latitude: 40.7128, birth_longitude: -74.006, ...relocation }),
+      /latitude must be a number/
+    );
+  });
+
+  it('fills them in from a profile', async () => {
+    await server.handleToolCall('save_profile', { id: 'relocation-test', name: 'Relocation test', datetime: birth.birth_datetime, latitude: birth.latitude, longitude: birth.longitude });
+    const fromProfile = await result({ profile_id: 'relocation-test', ...relocation });
+    const direct = await result({ ...birth, ...relocation });
+    assert.deepEqual(fromProfile.relocation, direct.relocation);
+    assert.deepEqual(fromProfile.angle_shifts, direct.angle_shifts);
+    assert.deepEqual(Object.keys(fromProfile.used_profiles), ['profile_id']);
+  });
+});
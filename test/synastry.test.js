@@ -0,0 +1,64 @@
+// Synastry orbs from the scoring model: built in, SYNASTRY_SCORING_CONFIG and scoring_weights
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { after, describe, it } from 'node:test';
+import { createTestServer } from './helpers.js';
+
+describe('synastry orbs', () => {
+  const configDir = mkdtempSync(join(tmpdir(), 'swiss-ephemeris-synastry-'));
+  after(() => rmSync(configDir, { recursive: true, force: true }));
+
+  const person1 = { Sun: { longitude: 0 } };
+  const person2 = { Moon: { longitude: 9 } };
+
+  it('finds contacts within the built-in orbs', () => {
+    const server = createTestServer();
+    const scoring = server.loadSynastryScoring();
+    assert.equal(scoring.orbs.conjunction, 8);
+    assert.deepEqual(server.calculateSynastryAspects(person1, person2, scoring.orbs), []);
+  });
+
+  it('layers the config file and scoring_weights orbs', () => {
+    const configPath = join(configDir, 'scoring.json');
+    writeFileSync(configPath, JSON.stringify({ orbs: { conjunction: 10 } }));
+    process.env.SYNASTRY_SCORING_CONFIG = configPath;
+    try {
+      const server = createTestServer();
+      const fromConfig = server.loadSynastryScoring();
+      assert.equal(fromConfig.orbs.conjunction, 10);
+      assert.equal(fromConfig.orbs.sextile, 6);
+      const [contact] = server.calculateSynastryAspects(person1, person2, fromConfig.orbs);
+      assert.equal(contact.aspect, 'conjunction');
+
+      // Tightness is measured against the orb in use
+      assert.equal(server.scoreSynastry([contact], fromConfig).total, 1.35);
+      const fromCall = server.loadSynastryScoring({ orbs: { conjunction: 18 } });
+      assert.equal(server.scoreSynastry([{ ...contact }], fromCall).total, 6.75);
+
+      const narrowed = server.loadSynastryScoring({ orbs: { conjunction: 5 } });
+      assert.deepEqual(server.calculateSynastryAspects(person1, person2, narrowed.orbs), []);
+    } finally {
+      delete process.env.SYNASTRY_SCORING_CONFIG;
+    }
+  });
+
+  it('applies scoring_weights orbs to calculate_synastry', async () => {
+    const server = createTestServer();
+    const result = await server.calculateTool('calculate_synastry', {
+      person1_datetime: '1985-04-12T23:20:50Z', person1_latitude: 40.7128, person1_longitude: -74.006,
+      person2_datetime: '1990-06-15T06:30:00Z', person2_latitude: 28.6139, person2_longitude: 77.209,
+      scoring_weights: { orbs: { conjunction: 1, opposition: 1, trine: 1, square: 1, sextile: 1, quincunx: 1, semisextile: 1 } }
+    });
+    assert.ok(result.synastry_aspects.length > 0);
+    assert.ok(result.synastry_aspects.every(aspect => aspect.orb <= 1));
+    assert.equal(result.compatibility_score.model.orbs.trine, 1);
+  });
+
+  it('rejects unknown aspects and non-positive orbs', () => {
+    const server = createTestServer();
+    assert.throws(() => server.loadSynastryScoring({ orbs: { quintile: 2 } }), /orbs must map aspect names/);
+    assert.throws(() => server.loadSynastryScoring({ orbs: { trine: 0 } }), /orbs must map aspect names/);
+  });
+});